@@ -0,0 +1,62 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/autoplay.js — The /autoplay slash command
+//
+// Turns autoplay ("radio mode") on or off for the current server.
+//
+// When autoplay is ON:
+//   Once the queue runs out, the music service picks a song related to the
+//   last one (from YouTube's mix for it, or a search by the same artist) and
+//   keeps going like a radio station until someone uses /stop.
+//   Songs played recently are skipped, so it doesn't repeat itself.
+//
+// When autoplay is OFF:
+//   The music stops when the queue is empty.
+//
+// The setting is saved by the music service, so it survives restarts.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { callMusicService, refreshNowPlaying } = require('../music/player');
+
+const data = new SlashCommandBuilder()
+  .setName('autoplay')
+  .setDescription('Toggle autoplay: keep playing related songs when the queue runs out')
+  .addStringOption(option =>
+    option
+      .setName('mode')
+      .setDescription('Turn autoplay on or off')
+      .setRequired(true)
+      .addChoices(
+        { name: 'On',  value: 'on'  },
+        { name: 'Off', value: 'off' }
+      )
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const enabled = interaction.options.getString('mode') === 'on';
+
+  try {
+    await callMusicService(`/settings/${guildId}`, 'PATCH', { autoplay: enabled });
+  } catch (err) {
+    console.error('[AUTOPLAY] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not change autoplay: ${err.message}`, flags: 64 });
+    return;
+  }
+
+  const statusMsg = enabled
+    ? '📻 Autoplay is now **ON** — related songs will keep playing when the queue runs out.'
+    : '⏹️ Autoplay is now **OFF** — the music stops when the queue is empty.';
+
+  await interaction.reply({ content: statusMsg, flags: 64 });
+
+  // Redraw the Now Playing embed so it shows the new autoplay status.
+  await refreshNowPlaying(guildId);
+}
+
+module.exports = { data, execute };
@@ -26,6 +26,7 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 
 // AI service URL from config — this is where we send the recipe request.
 const { AI_SERVICE_URL } = require('../../shared/config');
+const { internalHeaders } = require('../../shared/auth');   // The internal secret for /recipe
 
 // ── Rarity visual settings ────────────────────────────────────────────────────
 // Different persona rarities get different emoji flair and embed colors.
@@ -82,7 +83,7 @@ async function execute(interaction) {
     // Send the request to the AI service.
     const response = await fetch(`${AI_SERVICE_URL}/recipe`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...internalHeaders() },
       body: JSON.stringify({ prompt })
     });
 
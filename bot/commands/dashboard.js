@@ -0,0 +1,42 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/dashboard.js — The /dashboard slash command
+//
+// Gives you a private link to the web dashboard for this server, where you
+// can see what's playing, the queue and recently played songs, and skip,
+// pause, reorder or remove songs from your browser.
+//
+// The link contains a login token made just for you (see web/tokens.js), so
+// the reply is only shown to you — don't share it. It stops working after
+// DASHBOARD.TOKEN_TTL_HOURS, when the bot restarts, or if you leave the server.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { issueToken } = require('../web/tokens');
+const { DASHBOARD } = require('../../shared/config');
+
+const data = new SlashCommandBuilder()
+  .setName('dashboard')
+  .setDescription('Get a private link to control the music from your browser');
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const token = issueToken(interaction.guild.id, interaction.user.id);
+
+  // The token goes after # so the browser keeps it to itself (see web/server.js).
+  const link = `${DASHBOARD.URL}/#token=${token}`;
+
+  console.log(`[DASHBOARD] Issued a dashboard link to ${interaction.user.tag} in guild ${interaction.guild.id}`);
+
+  await interaction.reply({
+    content:
+      `🖥️ **[Open the dashboard for ${interaction.guild.name}](${link})**\n` +
+      `This link is just for you — don't share it. It works for ${DASHBOARD.TOKEN_TTL_HOURS} hours.`,
+    flags: 64
+  });
+}
+
+module.exports = { data, execute };
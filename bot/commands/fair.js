@@ -0,0 +1,62 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/fair.js — The /fair slash command
+//
+// Turns fair-share queue ordering on or off for the current server.
+//
+// When fair mode is ON:
+//   Requesters take turns. If one person queues 30 songs and someone else
+//   queues one, the second person's song plays after the first person's next
+//   song instead of waiting behind all 30.
+//
+// When fair mode is OFF:
+//   The queue is plain first-come, first-served.
+//
+// The setting is saved by the music service, so it survives restarts.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { callMusicService, refreshNowPlaying } = require('../music/player');
+
+const data = new SlashCommandBuilder()
+  .setName('fair')
+  .setDescription('Toggle fair mode: people who queued songs take turns')
+  .addStringOption(option =>
+    option
+      .setName('mode')
+      .setDescription('Turn fair mode on or off')
+      .setRequired(true)
+      .addChoices(
+        { name: 'On',  value: 'on'  },
+        { name: 'Off', value: 'off' }
+      )
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const enabled = interaction.options.getString('mode') === 'on';
+
+  try {
+    // Turning fair mode on also re-sorts the current queue into turn order.
+    await callMusicService(`/settings/${guildId}`, 'PATCH', { fairMode: enabled });
+  } catch (err) {
+    console.error('[FAIR] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not change fair mode: ${err.message}`, flags: 64 });
+    return;
+  }
+
+  const statusMsg = enabled
+    ? '⚖️ Fair mode is now **ON** — everyone\'s songs take turns.'
+    : '📥 Fair mode is now **OFF** — songs play in the order they were added.';
+
+  await interaction.reply({ content: statusMsg, flags: 64 });
+
+  // Redraw the Now Playing embed so "Up Next" shows the new order.
+  await refreshNowPlaying(guildId);
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,65 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/filter.js — The /filter slash command
+//
+// Puts an audio effect on the music for this server:
+//   Bass Boost, Nightcore, Slowed + Reverb, 8D and Karaoke (vocals removed).
+// /filter off clears it.
+//
+// The filter stays on for every song until someone clears it (it's saved by
+// the music service). Changing it mid-song restarts the song's stream with the
+// new effect from the same point, so nothing is lost but a second of audio.
+//
+// The presets themselves live in services/music/filters.js.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { callMusicService, setFilter } = require('../music/player');
+const { FILTERS } = require('../../services/music/filters');
+
+const data = new SlashCommandBuilder()
+  .setName('filter')
+  .setDescription('Add an audio effect to the music (stays on until you turn it off)')
+  .addStringOption(option =>
+    option
+      .setName('effect')
+      .setDescription('Which effect to use')
+      .setRequired(true)
+      .addChoices(
+        { name: 'Off (no effect)', value: 'off' },
+        // One choice per preset, e.g. { name: 'Nightcore', value: 'nightcore' }.
+        ...Object.entries(FILTERS).map(([value, preset]) => ({ name: preset.label, value }))
+      )
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const filter = interaction.options.getString('effect');
+
+  // Restarting the stream with the new effect can take a couple of seconds.
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    // Save it first, so the next songs use it even if the switch below fails.
+    await callMusicService(`/settings/${guildId}`, 'PATCH', { filter });
+
+    // Switch the song that's playing right now (this also redraws the embed).
+    await setFilter(guildId, filter);
+  } catch (err) {
+    console.error('[FILTER] Error:', err.message);
+    await interaction.editReply({ content: `❌ Could not change the filter: ${err.message}` }).catch(() => {});
+    return;
+  }
+
+  await interaction.editReply({
+    content: filter === 'off'
+      ? '🎛️ Filter cleared — the music sounds normal again.'
+      : `🎛️ Filter set to **${FILTERS[filter].label}**.`
+  });
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,192 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/history.js — The /history slash command
+//
+// Shows the songs this server played recently, newest first — who asked for
+// each one, when it played, and whether it finished or got skipped.
+//
+// Below the list there's:
+//   • A select menu — pick a song to put it back in the queue
+//   • ◀ / ▶ buttons — flip between pages of older plays
+//
+// The history itself is kept by the music service (services/music/history.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,          // A row of components (buttons or one select menu)
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder    // A dropdown list of text options
+} = require('discord.js');
+const { callMusicService, refreshNowPlaying, ensurePlaying } = require('../music/player');
+const { getGuildState } = require('../state');
+const { songLink } = require('../music/embed');
+
+// How many plays to show per page (a select menu can hold up to 25 options).
+const PAGE_SIZE = 10;
+
+// An icon for each way a song can end.
+const OUTCOME_ICONS = {
+  finished: '✅',
+  skipped: '⏭️',
+  stopped: '⏹️',
+  error: '⚠️'
+};
+
+const data = new SlashCommandBuilder()
+  .setName('history')
+  .setDescription('Show recently played songs and queue one of them again')
+  .addIntegerOption(option =>
+    option
+      .setName('page')
+      .setDescription('Which page of history to show (1 = most recent)')
+      .setMinValue(1)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const page = interaction.options.getInteger('page') || 1;
+
+  try {
+    const message = await buildHistoryPage(interaction.guild.id, page);
+    await interaction.reply({ ...message, flags: 64 });
+  } catch (err) {
+    console.error('[HISTORY] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not load the history: ${err.message}`, flags: 64 });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles clicks on the history message (routed here by interactionCreate.js):
+//   "history:page:<n>" — a ◀ / ▶ button → show page n
+//   "history:replay"   — a pick from the select menu → queue that song again
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+  const [, action, arg] = interaction.customId.split(':');
+  // The leading comma skips the first part ("history").
+
+  if (action === 'page') {
+    // .update() edits the message the button is on, instead of sending a new one.
+    await interaction.update(await buildHistoryPage(guildId, parseInt(arg, 10)));
+    return;
+  }
+
+  if (action === 'replay') {
+    // .values is the list of picked options — a single-choice menu has one.
+    const entryId = interaction.values[0];
+
+    // The music service looks the song up again, which can take a few seconds
+    // — longer than Discord waits for a reply.
+    await interaction.deferReply({ flags: 64 });
+
+    const song = await callMusicService(`/history/${guildId}/replay`, 'POST', {
+      id: entryId,
+      requester: { id: interaction.user.id, name: interaction.member.displayName }
+    }).catch(err => {
+      // e.g. "That song is no longer in the history"
+      return { error: err.message };
+    });
+
+    if (song.error) {
+      await interaction.editReply(`❌ ${song.error}`);
+      return;
+    }
+
+    // Start playing if the bot is idle and the user is in a voice channel.
+    const voiceChannel = interaction.member.voice.channel;
+    if (getGuildState(guildId).isPlaying) {
+      await interaction.editReply(`➕ Queued **${song.title}** at position ${song.position}.`);
+      await refreshNowPlaying(guildId);
+    } else if (voiceChannel) {
+      await interaction.editReply(`▶️ Queued **${song.title}** — starting playback.`);
+      await ensurePlaying(guildId, voiceChannel, interaction.channel);
+    } else {
+      await interaction.editReply(`➕ Queued **${song.title}**. Join a voice channel and use /play to start the music.`);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildHistoryPage(guildId, page)
+//
+// Fetches one page of history and builds the message for it: an embed listing
+// the plays, a select menu to replay one, and ◀ / ▶ page buttons.
+//
+// Returns an object that can be passed straight to reply() or update().
+// ─────────────────────────────────────────────────────────────────────────────
+async function buildHistoryPage(guildId, page) {
+  const offset = (page - 1) * PAGE_SIZE;
+  const { total, entries } = await callMusicService(
+    `/history/${guildId}?offset=${offset}&limit=${PAGE_SIZE}`, 'GET'
+  );
+
+  if (total === 0) {
+    return { content: '📭 Nothing has been played here yet.', embeds: [], components: [] };
+  }
+
+  const totalPages = Math.ceil(total / PAGE_SIZE);
+
+  if (entries.length === 0) {
+    return { content: `❌ There are only ${totalPages} page(s) of history.`, embeds: [], components: [] };
+  }
+
+  // One line per play, e.g. "✅ Cotton Eyed Joe — Shannon • 5 minutes ago"
+  const lines = entries.map(entry => {
+    const icon = OUTCOME_ICONS[entry.outcome] || '🎵';
+    const who = entry.requester ? ` — ${entry.requester.name}` : '';
+    // <t:SECONDS:R> is a Discord timestamp that shows as "5 minutes ago"
+    // in each reader's own time zone. It needs seconds, not milliseconds.
+    const when = entry.startedAt ? ` • <t:${Math.floor(entry.startedAt / 1000)}:R>` : '';
+    return `${icon} ${songLink(entry.song)}${who}${when}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle('🕘 Recently Played')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `Page ${page} of ${totalPages} • ${total} play(s)` });
+
+  // The select menu: one option per play on this page.
+  // Option labels can be at most 100 characters long.
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('history:replay')
+    .setPlaceholder('Pick a song to queue it again')
+    .addOptions(entries.map(entry => ({
+      label: entry.song.title.slice(0, 100),
+      description: entry.requester ? `Requested by ${entry.requester.name}`.slice(0, 100) : undefined,
+      value: entry.id
+    })));
+
+  // The page buttons. They're disabled on the first/last page.
+  const buttons = [
+    new ButtonBuilder()
+      .setCustomId(`history:page:${page - 1}`)
+      .setLabel('◀ Newer')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 1),
+    new ButtonBuilder()
+      .setCustomId(`history:page:${page + 1}`)
+      .setLabel('Older ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= totalPages)
+  ];
+
+  return {
+    content: '',
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(menu),
+      new ActionRowBuilder().addComponents(buttons)
+    ]
+  };
+}
+
+module.exports = { data, execute, handleComponent };
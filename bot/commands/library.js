@@ -0,0 +1,211 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/library.js — The /library slash command
+//
+// Browses the local music library — a folder of music files on the bot's
+// computer, set with MUSIC_LIBRARY_DIR — and queues tracks from it:
+//   /library                  — list the library, a page at a time
+//   /library search:<words>   — only tracks whose title, artist, album or
+//                               file path contain the words
+//
+// Below the list there's:
+//   • A select menu — pick one or more tracks to queue them
+//   • ◀ / ▶ buttons — flip between pages
+//
+// Titles, artists and albums come from the files' own tags (read by the music
+// service's local.js). Queued library tracks play like any other song.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder
+} = require('discord.js');
+const { callMusicService, refreshNowPlaying, ensurePlaying } = require('../music/player');
+const { getGuildState } = require('../state');
+const { formatTime } = require('../music/embed');
+const { LIBRARY } = require('../../shared/config');
+
+const data = new SlashCommandBuilder()
+  .setName('library')
+  .setDescription('Browse the local music library and queue tracks from it')
+  .addStringOption(option =>
+    option
+      .setName('search')
+      .setDescription('Only show tracks matching these words (title, artist, album or file name)')
+      // The search is carried in the page buttons' customIds, which can be
+      // at most 100 characters long.
+      .setMaxLength(80)
+  )
+  .addIntegerOption(option =>
+    option
+      .setName('page')
+      .setDescription('Which page to show')
+      .setMinValue(1)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const search = interaction.options.getString('search') || '';
+  const page = interaction.options.getInteger('page') || 1;
+
+  // The first look at a big library reads every file's tags, which takes a while.
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    await interaction.editReply(await buildLibraryPage(search, page));
+  } catch (err) {
+    console.error('[LIBRARY] Error:', err.message);
+    await interaction.editReply({ content: `❌ Could not load the library: ${err.message}` }).catch(() => {});
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles clicks on the library message (routed here by interactionCreate.js):
+//   "library:page:<n>:<search>" — a ◀ / ▶ button → show page n of that search
+//   "library:queue"             — picks from the select menu → queue them
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+  const [, action, pageArg, ...searchParts] = interaction.customId.split(':');
+
+  if (action === 'page') {
+    // The search itself might contain ":" — put it back together.
+    const search = searchParts.join(':');
+    await interaction.update(await buildLibraryPage(search, parseInt(pageArg, 10)));
+    return;
+  }
+
+  if (action === 'queue') {
+    await interaction.deferReply({ flags: 64 });
+
+    // Queue the picks one at a time, in the order they were listed.
+    const queued = [];
+    let firstError = null;
+    for (const trackId of interaction.values) {
+      try {
+        queued.push(await callMusicService('/enqueue', 'POST', {
+          guildId,
+          query: `library:${trackId}`,
+          requester: { id: interaction.user.id, name: interaction.member.displayName }
+        }));
+      } catch (err) {
+        // e.g. the file was deleted since the list was shown, or the
+        // server's song rules don't allow it
+        console.error('[LIBRARY] Error queueing track:', err.message);
+        firstError = firstError || err.message;
+      }
+    }
+
+    if (queued.length === 0) {
+      await interaction.editReply({ content: `❌ Could not queue those tracks: ${firstError}` });
+      return;
+    }
+
+    const summary = queued.length === 1
+      ? `**${queued[0].title}**`
+      : `${queued.length} tracks`;
+
+    // Start playing if the bot is idle and the user is in a voice channel.
+    const voiceChannel = interaction.member.voice.channel;
+    if (getGuildState(guildId).isPlaying) {
+      await interaction.editReply({ content: `➕ Queued ${summary}.` });
+      await refreshNowPlaying(guildId);
+    } else if (voiceChannel) {
+      await interaction.editReply({ content: `▶️ Queued ${summary} — starting playback.` });
+      await ensurePlaying(guildId, voiceChannel, interaction.channel);
+    } else {
+      await interaction.editReply({
+        content: `➕ Queued ${summary}. Join a voice channel and use /play to start the music.`
+      });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildLibraryPage(search, page)
+//
+// Fetches one page of the library and builds the message for it: an embed
+// listing the tracks, a select menu to queue some, and ◀ / ▶ page buttons.
+//
+// Returns an object that can be passed straight to editReply() or update().
+// ─────────────────────────────────────────────────────────────────────────────
+async function buildLibraryPage(search, page) {
+  const offset = (page - 1) * LIBRARY.PAGE_SIZE;
+  const { total, tracks } = await callMusicService(
+    `/library?query=${encodeURIComponent(search)}&offset=${offset}&limit=${LIBRARY.PAGE_SIZE}`, 'GET'
+  );
+
+  if (total === 0) {
+    const content = search ? `🔍 Nothing in the library matches **${search}**.` : '📭 The music library is empty.';
+    return { content, embeds: [], components: [] };
+  }
+
+  const totalPages = Math.ceil(total / LIBRARY.PAGE_SIZE);
+
+  if (tracks.length === 0) {
+    return { content: `❌ There are only ${totalPages} page(s).`, embeds: [], components: [] };
+  }
+
+  // One line per track, e.g. "16. **Folsom Prison Blues** — Johnny Cash • At Folsom Prison (2:42)"
+  const lines = tracks.map((track, i) => {
+    const details = [track.artist, track.album].filter(Boolean).join(' • ');
+    const length = track.duration > 0 ? ` (${formatTime(track.duration)})` : '';
+    return `${offset + i + 1}. **${track.title}**${details ? ` — ${details}` : ''}${length}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle(search ? `📚 Library: "${search}"`.slice(0, 256) : '📚 Music Library')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `Page ${page} of ${totalPages} • ${total} track(s)` });
+
+  // The select menu: one option per track on this page. Several can be
+  // picked at once. Labels and descriptions can be at most 100 characters.
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('library:queue')
+    .setPlaceholder('Pick tracks to queue them')
+    .setMinValues(1)
+    .setMaxValues(tracks.length)
+    .addOptions(tracks.map(track => {
+      const details = [track.artist, track.album].filter(Boolean).join(' • ');
+      return {
+        label: track.title.slice(0, 100),
+        description: details ? details.slice(0, 100) : undefined,
+        value: track.id
+      };
+    }));
+
+  // The page buttons. They're disabled on the first/last page.
+  const buttons = [
+    new ButtonBuilder()
+      .setCustomId(`library:page:${page - 1}:${search}`)
+      .setLabel('◀ Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 1),
+    new ButtonBuilder()
+      .setCustomId(`library:page:${page + 1}:${search}`)
+      .setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= totalPages)
+  ];
+
+  return {
+    content: '',
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(menu),
+      new ActionRowBuilder().addComponents(buttons)
+    ]
+  };
+}
+
+module.exports = { data, execute, handleComponent };
@@ -0,0 +1,90 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/loop.js — The /loop slash command
+//
+// Sets the server's loop mode:
+//   Off   — play through the queue once, then stop
+//   Track — replay the current song until someone skips it
+//   Queue — when a song ends, put it back on the end of the queue
+//
+// The mode is saved by the music service next to the queue, so it survives
+// restarts. The active mode is shown in the "Now Playing" embed.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { callMusicService, refreshNowPlaying } = require('../music/player');
+
+// The order the Loop button on the Now Playing embed cycles through.
+const MODE_ORDER = ['off', 'track', 'queue'];
+
+// The confirmation message for each mode.
+const MODE_MESSAGES = {
+  off: '➡️ Loop is **off** — the queue plays through once.',
+  track: '🔂 Looping the **current song**. Use /skip to move on.',
+  queue: '🔁 Looping the **queue** — finished songs go back on the end.'
+};
+
+const data = new SlashCommandBuilder()
+  .setName('loop')
+  .setDescription('Repeat the current song, repeat the whole queue, or turn looping off')
+  .addStringOption(option =>
+    option
+      .setName('mode')
+      .setDescription('What to repeat')
+      .setRequired(true)
+      .addChoices(
+        { name: 'Off',   value: 'off'   },
+        { name: 'Track', value: 'track' },
+        { name: 'Queue', value: 'queue' }
+      )
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const mode = interaction.options.getString('mode');
+
+  try {
+    // Save the new mode in the music service (PATCH = change part of something).
+    await callMusicService(`/settings/${guildId}`, 'PATCH', { loopMode: mode });
+  } catch (err) {
+    console.error('[LOOP] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not change the loop mode: ${err.message}`, flags: 64 });
+    return;
+  }
+
+  await interaction.reply({ content: MODE_MESSAGES[mode], flags: 64 });
+
+  // Redraw the Now Playing embed so it shows the new mode.
+  await refreshNowPlaying(guildId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles the Loop button on the Now Playing embed ("loop:cycle", routed here
+// by interactionCreate.js). Each click moves to the next mode:
+// Off → Track → Queue → Off.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+
+  try {
+    const { loopMode } = await callMusicService(`/settings/${guildId}`, 'GET');
+    // % wraps around: after the last mode comes the first one again.
+    const next = MODE_ORDER[(MODE_ORDER.indexOf(loopMode) + 1) % MODE_ORDER.length];
+    await callMusicService(`/settings/${guildId}`, 'PATCH', { loopMode: next });
+  } catch (err) {
+    console.error('[LOOP] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not change the loop mode: ${err.message}`, flags: 64 });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  await refreshNowPlaying(guildId);
+}
+
+module.exports = { data, execute, handleComponent };
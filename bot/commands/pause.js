@@ -6,7 +6,7 @@
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { SlashCommandBuilder } = require('discord.js');
-const { pause } = require('../music/player');  // The pause function from our player
+const { pause, resume, refreshNowPlaying } = require('../music/player');  // The pause function from our player
 const { getGuildState } = require('../state');
 
 const data = new SlashCommandBuilder()
@@ -39,9 +39,38 @@ async function execute(interaction) {
 
   if (paused) {
     await interaction.reply({ content: '⏸️ Paused. Use /resume to continue.', flags: 64 });
+    // Redraw the Now Playing embed so its button says "Resume".
+    await refreshNowPlaying(guildId);
   } else {
     await interaction.reply({ content: '❌ Could not pause.', flags: 64 });
   }
 }
 
-module.exports = { data, execute };
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles the Pause/Resume button on the Now Playing embed ("pause:toggle",
+// routed here by interactionCreate.js): pauses if playing, resumes if paused.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+  const state = getGuildState(guildId);
+
+  if (!state.isPlaying) {
+    await interaction.reply({ content: '❌ Nothing is playing right now.', flags: 64 });
+    return;
+  }
+
+  if (state.isPaused) {
+    resume(guildId);
+  } else {
+    pause(guildId);
+  }
+
+  // deferUpdate() acknowledges the click without sending a message — the
+  // embed redraw below (with the button flipped) is the feedback.
+  await interaction.deferUpdate();
+  await refreshNowPlaying(guildId);
+}
+
+module.exports = { data, execute, handleComponent };
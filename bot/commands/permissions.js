@@ -0,0 +1,179 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/permissions.js — The /permissions slash command
+//
+// Lets server managers decide who may use the music controls:
+//   /permissions view                        — show the current rules
+//   /permissions restrict <action> <role>    — only this role (and any other
+//                                              restricted roles) may do it
+//   /permissions unrestrict <action> [role]  — take a role off the list, or
+//                                              leave it out to let everyone again
+//   /permissions own-songs <on|off>          — people without a queue-edit role
+//                                              may only remove their own songs
+//   /permissions voice <on|off>              — controls only work from inside
+//                                              the bot's voice channel
+//
+// The actions are: stop the music, clear the queue, and edit the queue
+// (remove, move and shuffle songs). Server managers are never blocked.
+//
+// The rules are saved in the music settings and checked for every command and
+// button by interactionCreate.js (see music/permissions.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { callMusicService } = require('../music/player');
+
+// ── Actions ───────────────────────────────────────────────────────────────────
+// Each action a role list can guard, and the setting that holds that list.
+const ACTIONS = {
+  stop:  { label: 'Stop the music',  setting: 'stopRoleIds' },
+  clear: { label: 'Clear the queue', setting: 'clearRoleIds' },
+  edit:  { label: 'Edit the queue (remove, move, shuffle)', setting: 'queueEditRoleIds' }
+};
+
+// The same "action" option is used by restrict and unrestrict.
+const actionOption = option =>
+  option
+    .setName('action')
+    .setDescription('Which music control')
+    .setRequired(true)
+    .addChoices(
+      ...Object.entries(ACTIONS).map(([value, action]) => ({ name: action.label, value }))
+    );
+
+const modeOption = option =>
+  option
+    .setName('mode')
+    .setDescription('Turn the rule on or off')
+    .setRequired(true)
+    .addChoices(
+      { name: 'On',  value: 'on'  },
+      { name: 'Off', value: 'off' }
+    );
+
+const data = new SlashCommandBuilder()
+  .setName('permissions')
+  .setDescription('Choose who may use the music controls (server managers only)')
+  .addSubcommand(sub =>
+    sub
+      .setName('view')
+      .setDescription('Show the current music permissions')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('restrict')
+      .setDescription('Only let members with a role use a music control')
+      .addStringOption(actionOption)
+      .addRoleOption(option =>
+        option
+          .setName('role')
+          .setDescription('The role to allow')
+          .setRequired(true)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('unrestrict')
+      .setDescription('Take a role off a music control — or leave it out to let everyone use it')
+      .addStringOption(actionOption)
+      .addRoleOption(option =>
+        option
+          .setName('role')
+          .setDescription('The role to take off the list')
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('own-songs')
+      .setDescription('Only let people without a queue-edit role remove their own songs')
+      .addStringOption(modeOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('voice')
+      .setDescription('Only let people in the bot\'s voice channel control the music')
+      .addStringOption(modeOption)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: '🔒 Only server managers can change the music permissions.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    let settings = await callMusicService(`/settings/${guildId}`, 'GET');
+    let updates = null;
+
+    if (subcommand === 'restrict' || subcommand === 'unrestrict') {
+      const { setting } = ACTIONS[interaction.options.getString('action')];
+      const role = interaction.options.getRole('role');
+      const roleIds = settings[setting] || [];
+
+      if (subcommand === 'restrict') {
+        // A Set drops the role if it's already on the list.
+        updates = { [setting]: [...new Set([...roleIds, role.id])] };
+      } else {
+        // No role = clear the whole list, so everyone may use it again.
+        updates = { [setting]: role ? roleIds.filter(id => id !== role.id) : [] };
+      }
+
+    } else if (subcommand === 'own-songs') {
+      updates = { removeOwnOnly: interaction.options.getString('mode') === 'on' };
+
+    } else if (subcommand === 'voice') {
+      updates = { requireSameVoice: interaction.options.getString('mode') === 'on' };
+    }
+
+    if (updates) {
+      settings = await callMusicService(`/settings/${guildId}`, 'PATCH', updates);
+    }
+
+    // Every subcommand replies with the full set of rules, so it's easy to
+    // see what changed.
+    await interaction.reply({
+      content: updates ? '✅ Music permissions updated.' : undefined,
+      embeds: [buildPermissionsEmbed(settings)],
+      flags: 64,
+      allowedMentions: { parse: [] }   // Show role mentions without pinging anyone
+    });
+
+  } catch (err) {
+    console.error(`[PERMISSIONS] Error in /permissions ${subcommand}:`, err.message);
+    await interaction.reply({ content: `❌ ${err.message}`, flags: 64 }).catch(() => {});
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildPermissionsEmbed(settings)
+//
+// Builds an embed listing who may do what, e.g.
+//   Stop the music: @DJ, @Mods
+//   Clear the queue: Everyone
+// ─────────────────────────────────────────────────────────────────────────────
+function buildPermissionsEmbed(settings) {
+  const lines = Object.values(ACTIONS).map(action => {
+    const roleIds = settings[action.setting] || [];
+    // <@&ROLE_ID> shows as a role mention in Discord.
+    const who = roleIds.length > 0 ? roleIds.map(id => `<@&${id}>`).join(', ') : 'Everyone';
+    return `**${action.label}:** ${who}`;
+  });
+
+  lines.push(`**Only remove own songs:** ${settings.removeOwnOnly ? 'On' : 'Off'}`);
+  lines.push(`**Must be in the bot's voice channel:** ${settings.requireSameVoice ? 'On' : 'Off'}`);
+
+  return new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle('🔒 Music Permissions')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: 'Server managers can always use every control' });
+}
+
+module.exports = { data, execute };
@@ -13,6 +13,21 @@
 //   7. If nothing is currently playing, we start playback
 //   8. The bot replies with "Added to queue!" or just starts playing
 //
+// Pasting a YouTube playlist or mix link queues every song in it (up to the
+// cap in shared/config.js), and the bot replies with a summary like
+// "Queued 37 songs (2h14m)". The optional "shuffle" flag mixes them up first.
+//
+// Links from other sites work too: SoundCloud and Bandcamp tracks, internet
+// radio stations (.m3u/.pls links or stream links) and links straight to an
+// audio file (see services/music/sources.js).
+//
+// Instead of typing something, you can attach an audio file (mp3, ogg, flac
+// or wav) with the "file" option — it's played straight from Discord, with
+// its title and length read from the file's tags.
+//
+// /playnext and /playnow use the same code (handlePlayRequest below), just
+// with the song going to the front of the queue instead of the back.
+//
 // The bot and the music service (separate process) work together here.
 // If the music service is down, the bot replies with an error message
 // but doesn't crash — it just can't play music until the service is back.
@@ -23,32 +38,67 @@
 const { SlashCommandBuilder } = require('discord.js');
 
 // Import the music player (handles voice connections and actual playback).
-const { startPlayback, ensureVoiceConnection } = require('../music/player');
+const { startPlayback, ensureVoiceConnection, refreshNowPlaying, skip } = require('../music/player');
 
 // Import state functions to track channels and check if we're already playing.
 const { setTextChannel, setVoiceChannel, getGuildState } = require('../state');
 
 // Import config to know the music service URL.
 const { MUSIC_SERVICE_URL } = require('../../shared/config');
+const { internalHeaders } = require('../../shared/auth');   // The internal secret for /enqueue
+
+// Used to show a playlist's total length in the summary reply.
+const { formatDuration } = require('../music/embed');
+
+// Checks an attached file is a type we can play.
+const { isAudioFileName, AUDIO_EXTENSIONS } = require('../../services/music/local');
 
 // ── Define the slash command structure ───────────────────────────────────────
 // This object tells Discord what the command looks like.
 // Discord uses this to show autocomplete, help text, and validate inputs.
 const data = new SlashCommandBuilder()
   .setName('play')                         // The command name: /play
-  .setDescription('Play a song from YouTube — type a name or paste a URL')
+  .setDescription('Play a song — type a name or paste a YouTube, SoundCloud, Bandcamp or radio link')
   .addStringOption(option =>
     // addStringOption() adds a text input parameter to the command.
     option
       .setName('query')                    // Internal name for this parameter
-      .setDescription('Song name or YouTube URL (e.g. "Cotton Eyed Joe" or https://youtu.be/...)')
-      .setRequired(true)                   // User MUST provide this — command won't send without it
+      .setDescription('Song name or link (e.g. "Cotton Eyed Joe" or https://youtu.be/...)')
+      // Not required, because an attached file can be played instead.
+  )
+  .addAttachmentOption(option =>
+    // addAttachmentOption() lets the user attach a file to the command.
+    option
+      .setName('file')
+      .setDescription('An audio file to play instead (mp3, ogg, flac or wav)')
+  )
+  .addBooleanOption(option =>
+    // addBooleanOption() adds a True/False choice.
+    option
+      .setName('shuffle')
+      .setDescription('For playlist links: add the songs in a random order')
   );
 
 // ── Command execution function ────────────────────────────────────────────────
 // This runs when a user actually uses the /play command.
 // 'interaction' is the Discord.js object representing the command use.
 async function execute(interaction) {
+  await handlePlayRequest(interaction);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handlePlayRequest(interaction, options)
+//
+// Does all the work for /play, /playnext and /playnow — they only differ in
+// where the song goes and whether the current song is skipped.
+//
+// Options:
+//   position — put the song at this spot in the queue (1 = next up) instead
+//              of the back. Left out (null) for a normal /play.
+//   playNow  — true to skip whatever is playing so the new song starts now.
+//              The DJ intro still plays before it, like any other song.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handlePlayRequest(interaction, { position = null, playNow = false } = {}) {
   // Check that this command was used in a server (guild), not a DM.
   if (!interaction.guild) {
     // .reply() sends a response message. flags: 64 makes it "ephemeral" —
@@ -75,9 +125,30 @@ async function execute(interaction) {
     return;
   }
 
-  // Get the search query the user typed after /play.
+  // An attached audio file, if there is one (/playnext and /playnow don't have
+  // this option, so for them it's always null).
+  const attachment = interaction.options.getAttachment('file');
+
+  if (attachment && !isAudioFileName(attachment.name)) {
+    await interaction.reply({
+      content: `❌ I can only play ${AUDIO_EXTENSIONS.join(', ')} files.`,
+      flags: 64
+    });
+    return;
+  }
+
+  // Get the search query the user typed after /play — or, for an attached
+  // file, the link Discord stores it at (the music service plays from there).
   // interaction.options.getString('query') retrieves the value of the 'query' parameter.
-  const query = interaction.options.getString('query');
+  const query = attachment ? attachment.url : interaction.options.getString('query');
+
+  if (!query) {
+    await interaction.reply({ content: '❌ Type a song name or link, or attach an audio file.', flags: 64 });
+    return;
+  }
+
+  // Whether to shuffle a pasted playlist. getBoolean() returns null if left out.
+  const shuffle = interaction.options.getBoolean('shuffle') || false;
 
   // "Defer" the reply — this tells Discord "we got your command, give us a moment".
   // Discord requires a response within 3 seconds or the interaction expires.
@@ -98,9 +169,18 @@ async function execute(interaction) {
     // We make an HTTP POST request to the music service's /enqueue endpoint.
     const response = await fetch(`${MUSIC_SERVICE_URL}/enqueue`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...internalHeaders() },
       // JSON.stringify() converts our JavaScript object to a JSON text string.
-      body: JSON.stringify({ guildId, query })
+      // requester = who asked for the song — shown in "Up Next" and used by fair mode.
+      // member.displayName is their server nickname (or username if they have none).
+      // position (if set) tells the music service to insert instead of append.
+      body: JSON.stringify({
+        guildId,
+        query,
+        shuffle,
+        requester: { id: interaction.user.id, name: interaction.member.displayName },
+        ...(position ? { position } : {})
+      })
     });
 
     if (!response.ok) {
@@ -108,27 +188,77 @@ async function execute(interaction) {
       const errorData = await response.json().catch(() => ({}));
       // .catch(() => ({})) means: if parsing fails, use an empty object as fallback.
 
+      // The song was found, but this server's song rules don't allow it
+      // (too long, blocked, too many songs queued...) — say exactly why.
+      if (errorData.rejected) {
+        await interaction.editReply({ content: `🚫 ${errorData.error}` });
+        return;
+      }
+
       await interaction.editReply({
         content: `❌ Could not find that song: ${errorData.error || 'Unknown error'}`
       });
       return;
     }
 
+    const result = await response.json();
+
     // Check if music is already playing in this guild.
     const state = getGuildState(guildId);
 
+    if (result.type === 'playlist') {
+      // A whole playlist was added — reply with a summary so people can see
+      // what just landed in the queue, e.g. "Queued 37 songs (2h14m)".
+      const length = result.duration > 0 ? ` (${formatDuration(result.duration)})` : '';
+      const capped = result.truncated ? ` — only the first ${result.count} were added` : '';
+      const skipped = result.skipped > 0 ? `\n🚫 ${result.skipped} song(s) were left out by this server's song rules.` : '';
+      const where = position ? ' at the front of the queue' : '';
+      await interaction.editReply({
+        content: `📃 Queued ${result.count} songs${length} from **${result.title}**${where}${capped}${skipped}`
+      });
+
+      if (state.isPlaying && playNow) {
+        skip(guildId, { wholeSong: true });
+      } else if (state.isPlaying && position) {
+        await refreshNowPlaying(guildId);
+      } else if (!state.isPlaying) {
+        await ensureVoiceConnection(voiceChannel);
+        await startPlayback(guildId, voiceChannel);
+      }
+      return;
+    }
+
+    if (state.isPlaying && playNow) {
+      // /playnow — the song is at the front of the queue, so skipping the
+      // current one starts it (after the DJ intro, if DJ mode is on).
+      await interaction.editReply({ content: `⏭️ Playing **${result.title}** now.` });
+      skip(guildId, { wholeSong: true });
+      return;
+    }
+
+    if (state.isPlaying && position) {
+      // /playnext — say where it went, since it jumped the line, and redraw
+      // the embed so "Up Next" shows it straight away.
+      await interaction.editReply({ content: `⏫ **${result.title}** will play next.` });
+      await refreshNowPlaying(guildId);
+      return;
+    }
+
+    // A short confirmation, e.g. "🎵 Queued **Song** (3m45s) at position 4".
+    // Livestreams and radio stations have no length, so they say so instead.
+    const length = result.duration > 0 ? formatDuration(result.duration) : '🔴 Live';
+
     if (state.isPlaying) {
       // Music is already playing — the song was added to the queue.
-      // The Now Playing embed already shows the updated queue, so just delete
-      // the deferred "thinking..." reply silently.
-      await interaction.deleteReply().catch(() => {});
+      await interaction.editReply({
+        content: `🎵 Queued **${result.title}** (${length}) at position ${result.position}.`
+      });
       return;
     }
 
-    // Nothing is currently playing — delete the "thinking..." message and start.
-    // We delete it because the "Now Playing" embed will appear immediately.
-    await interaction.deleteReply().catch(() => {});
-    // .catch(() => {}) = if deleting fails (e.g. already deleted), ignore the error.
+    // Nothing is currently playing — the song is first in line, so say it's
+    // starting. The "Now Playing" embed appears right after.
+    await interaction.editReply({ content: `🎵 Queued **${result.title}** (${length}) — starting playback.` });
 
     // Connect to voice and start playing the song.
     // ensureVoiceConnection() joins the voice channel if not already there.
@@ -156,6 +286,7 @@ async function execute(interaction) {
 // and handle the command.
 // ─────────────────────────────────────────────────────────────────────────────
 module.exports = {
-  data,     // The SlashCommandBuilder object — describes the command to Discord
-  execute   // The function to call when the command is used
+  data,              // The SlashCommandBuilder object — describes the command to Discord
+  execute,           // The function to call when the command is used
+  handlePlayRequest  // Shared with /playnext and /playnow
 };
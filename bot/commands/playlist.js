@@ -0,0 +1,287 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/playlist.js — The /playlist slash command
+//
+// Saves the current queue under a name so it can be loaded again later:
+//   /playlist save <name>              — save the current song + queue
+//   /playlist load <name> [shuffle]    — add a saved playlist to the queue
+//   /playlist list                     — show the saved playlists
+//   /playlist delete <name>            — delete a saved playlist
+//   /playlist rename <name> <new_name> — rename a saved playlist
+//   /playlist editors [role]           — choose who may edit shared playlists
+//
+// Every subcommand (except editors) has a "shared" option:
+//   shared: False (default) — your own playlists, usable in any server
+//   shared: True            — this server's playlists, usable by everyone here
+//
+// Anyone can LOAD a shared playlist, but only server managers and members of
+// the editor role (set with /playlist editors) can save, rename or delete them.
+//
+// The playlists themselves are stored by the music service (playlists.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { callMusicService, refreshNowPlaying, ensurePlaying } = require('../music/player');
+const { getGuildState } = require('../state');
+const { formatDuration } = require('../music/embed');
+
+// ── Shared options ────────────────────────────────────────────────────────────
+// Several subcommands take the same options, so they're built by these helpers.
+const nameOption = option =>
+  option
+    .setName('name')
+    .setDescription('The playlist\'s name')
+    .setRequired(true)
+    .setMaxLength(50);
+
+const sharedOption = option =>
+  option
+    .setName('shared')
+    .setDescription('Use this server\'s shared playlists instead of your own');
+
+const data = new SlashCommandBuilder()
+  .setName('playlist')
+  .setDescription('Save, load and manage playlists')
+  .addSubcommand(sub =>
+    sub
+      .setName('save')
+      .setDescription('Save the current song and queue as a playlist')
+      .addStringOption(nameOption)
+      .addBooleanOption(sharedOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('load')
+      .setDescription('Add a saved playlist to the queue')
+      .addStringOption(nameOption)
+      .addBooleanOption(sharedOption)
+      .addBooleanOption(option =>
+        option
+          .setName('shuffle')
+          .setDescription('Add the songs in a random order')
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('list')
+      .setDescription('Show the saved playlists')
+      .addBooleanOption(sharedOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('delete')
+      .setDescription('Delete a saved playlist')
+      .addStringOption(nameOption)
+      .addBooleanOption(sharedOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('rename')
+      .setDescription('Rename a saved playlist')
+      .addStringOption(nameOption)
+      .addStringOption(option =>
+        option
+          .setName('new_name')
+          .setDescription('What to call it instead')
+          .setRequired(true)
+          .setMaxLength(50)
+      )
+      .addBooleanOption(sharedOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('editors')
+      .setDescription('Choose which role may edit shared playlists (server managers only)')
+      .addRoleOption(option =>
+        option
+          .setName('role')
+          .setDescription('The editor role — leave out so only server managers can edit')
+      )
+  );
+
+// The subcommands that change a playlist (as opposed to just reading one).
+const EDITING_SUBCOMMANDS = ['save', 'delete', 'rename'];
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'editors') {
+      await setEditorRole(interaction, guildId);
+      return;
+    }
+
+    // Work out whose playlists we're dealing with.
+    const shared = interaction.options.getBoolean('shared') || false;
+    const scope = shared ? 'guild' : 'user';
+    const ownerId = shared ? guildId : interaction.user.id;
+    const base = `/playlists/${scope}/${ownerId}`;
+
+    // Shared playlists can only be changed by editors.
+    if (shared && EDITING_SUBCOMMANDS.includes(subcommand)) {
+      const settings = await callMusicService(`/settings/${guildId}`, 'GET');
+      if (!canEditShared(interaction.member, settings)) {
+        await interaction.reply({
+          content: '🔒 Only server managers and the playlist editor role can change shared playlists.',
+          flags: 64
+        });
+        return;
+      }
+    }
+
+    if (subcommand === 'list') {
+      await showPlaylists(interaction, base, shared);
+      return;
+    }
+
+    if (subcommand === 'load') {
+      await loadPlaylist(interaction, guildId, base);
+      return;
+    }
+
+    // The rest just change a playlist and reply with a short message.
+    // encodeURIComponent() makes a name safe to put in a URL ("a/b" → "a%2Fb").
+    const name = interaction.options.getString('name');
+    const namePath = `${base}/${encodeURIComponent(name)}`;
+    let reply;
+
+    if (subcommand === 'save') {
+      const saved = await callMusicService(base, 'POST', {
+        name,
+        guildId,
+        current: getGuildState(guildId).currentSong,
+        createdBy: { id: interaction.user.id, name: interaction.member.displayName }
+      });
+      const length = saved.duration > 0 ? ` (${formatDuration(saved.duration)})` : '';
+      reply = `💾 Saved **${saved.name}** — ${saved.count} song(s)${length}.`;
+
+    } else if (subcommand === 'delete') {
+      await callMusicService(namePath, 'DELETE');
+      reply = `🗑️ Deleted the playlist **${name}**.`;
+
+    } else if (subcommand === 'rename') {
+      const newName = interaction.options.getString('new_name');
+      const renamed = await callMusicService(`${namePath}/rename`, 'POST', { newName });
+      reply = `✏️ Renamed **${name}** to **${renamed.name}**.`;
+    }
+
+    await interaction.reply({ content: reply, flags: 64 });
+
+  } catch (err) {
+    console.error(`[PLAYLIST] Error in /playlist ${subcommand}:`, err.message);
+    // The reply might already have been deferred (by load), so try both ways.
+    const content = `❌ ${err.message}`;
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content }).catch(() => {});
+    } else {
+      await interaction.reply({ content, flags: 64 }).catch(() => {});
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// canEditShared(member, settings)
+//
+// Returns true if this server member may save, rename or delete the server's
+// shared playlists: server managers always can, and so can anyone with the
+// editor role picked by /playlist editors.
+// ─────────────────────────────────────────────────────────────────────────────
+function canEditShared(member, settings) {
+  if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+  // member.roles.cache is a Map of role ID → role for the roles they have.
+  return Boolean(settings.playlistRoleId) && member.roles.cache.has(settings.playlistRoleId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// setEditorRole(interaction, guildId)
+//
+// Handles /playlist editors — saves which role may edit shared playlists.
+// Leaving the role out clears it, so only server managers can edit.
+// ─────────────────────────────────────────────────────────────────────────────
+async function setEditorRole(interaction, guildId) {
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: '🔒 Only server managers can choose the playlist editors.', flags: 64 });
+    return;
+  }
+
+  const role = interaction.options.getRole('role');
+  await callMusicService(`/settings/${guildId}`, 'PATCH', { playlistRoleId: role ? role.id : null });
+
+  await interaction.reply({
+    content: role
+      ? `✅ Members with **${role.name}** can now edit shared playlists.`
+      : '✅ Only server managers can edit shared playlists now.',
+    flags: 64
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// showPlaylists(interaction, base, shared)
+//
+// Replies with an embed listing the saved playlists (name, songs, length).
+// ─────────────────────────────────────────────────────────────────────────────
+async function showPlaylists(interaction, base, shared) {
+  const playlists = await callMusicService(base, 'GET');
+  const whose = shared ? 'This server has' : 'You have';
+
+  if (playlists.length === 0) {
+    await interaction.reply({ content: `📭 ${whose} no saved playlists yet. Use /playlist save to make one.`, flags: 64 });
+    return;
+  }
+
+  // One line per playlist: "**Friday Night** — 24 songs (1h32m)"
+  const lines = playlists.map(p => {
+    const length = p.duration > 0 ? ` (${formatDuration(p.duration)})` : '';
+    return `**${p.name}** — ${p.count} song(s)${length}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle(shared ? `📂 ${interaction.guild.name} Playlists` : '📂 Your Playlists')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `${playlists.length} playlist(s)` });
+
+  await interaction.reply({ embeds: [embed], flags: 64 });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// loadPlaylist(interaction, guildId, base)
+//
+// Handles /playlist load — queues every song in the playlist, then starts
+// playing if the bot is idle and the user is in a voice channel.
+// ─────────────────────────────────────────────────────────────────────────────
+async function loadPlaylist(interaction, guildId, base) {
+  const name = interaction.options.getString('name');
+  const shuffle = interaction.options.getBoolean('shuffle') || false;
+
+  // Loading a big playlist is quick, but starting playback can take a moment.
+  await interaction.deferReply({ flags: 64 });
+
+  const loaded = await callMusicService(`${base}/${encodeURIComponent(name)}/load`, 'POST', {
+    guildId,
+    shuffle,
+    requester: { id: interaction.user.id, name: interaction.member.displayName }
+  });
+
+  const length = loaded.duration > 0 ? ` (${formatDuration(loaded.duration)})` : '';
+  const skipped = loaded.skipped > 0 ? ` (${loaded.skipped} left out by this server's song rules)` : '';
+  const summary = `📃 Queued ${loaded.count} song(s)${length} from **${loaded.name}**${skipped}`;
+
+  const voiceChannel = interaction.member.voice.channel;
+  if (getGuildState(guildId).isPlaying) {
+    await interaction.editReply({ content: `${summary}.` });
+    await refreshNowPlaying(guildId);
+  } else if (voiceChannel) {
+    await interaction.editReply({ content: `${summary} — starting playback.` });
+    await ensurePlaying(guildId, voiceChannel, interaction.channel);
+  } else {
+    await interaction.editReply({ content: `${summary}. Join a voice channel and use /play to start the music.` });
+  }
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,28 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/playnext.js — The /playnext slash command
+//
+// Like /play, but the song goes to the FRONT of the queue instead of the back,
+// so it plays as soon as the current song ends.
+//
+// All the real work is shared with /play (see handlePlayRequest in play.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { handlePlayRequest } = require('./play');
+
+const data = new SlashCommandBuilder()
+  .setName('playnext')
+  .setDescription('Play a song right after the current one, ahead of the rest of the queue')
+  .addStringOption(option =>
+    option
+      .setName('query')
+      .setDescription('Song name or YouTube URL')
+      .setRequired(true)
+  );
+
+async function execute(interaction) {
+  // position: 1 = the front of the queue (next up).
+  await handlePlayRequest(interaction, { position: 1 });
+}
+
+module.exports = { data, execute };
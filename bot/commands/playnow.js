@@ -0,0 +1,28 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/playnow.js — The /playnow slash command
+//
+// Puts a song at the front of the queue AND skips whatever is playing, so the
+// new song starts right away. The rest of the queue is left as it was.
+// If DJ mode is on, the DJ still introduces it first.
+//
+// All the real work is shared with /play (see handlePlayRequest in play.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { handlePlayRequest } = require('./play');
+
+const data = new SlashCommandBuilder()
+  .setName('playnow')
+  .setDescription('Skip the current song and play this one right away')
+  .addStringOption(option =>
+    option
+      .setName('query')
+      .setDescription('Song name or YouTube URL')
+      .setRequired(true)
+  );
+
+async function execute(interaction) {
+  await handlePlayRequest(interaction, { position: 1, playNow: true });
+}
+
+module.exports = { data, execute };
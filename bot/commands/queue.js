@@ -0,0 +1,196 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/queue.js — The /queue slash command
+//
+// Lets people look at and edit the song queue without wiping all of it:
+//   /queue view [page]       — list the upcoming songs with their numbers
+//   /queue remove <position> — take one song out of the queue
+//   /queue move <from> <to>  — move a song to a different spot
+//   /queue shuffle           — put the queue in a random order
+//   /queue clear             — remove every upcoming song (keeps the current one)
+//
+// Positions are the same numbers shown in the "Up Next" list (1 = next up).
+// After any change, the "Now Playing" embed is redrawn so it matches.
+//
+// The Shuffle and Show Queue buttons on the Now Playing embed are handled
+// here too (see handleComponent below).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { callMusicService, refreshNowPlaying } = require('../music/player');
+const { formatTime } = require('../music/embed');
+
+// How many songs to list per page in /queue view.
+const PAGE_SIZE = 15;
+
+// ── Define the slash command structure ───────────────────────────────────────
+// .addSubcommand() gives one command several "modes", each with its own options.
+// Discord shows them as /queue view, /queue remove, and so on.
+const data = new SlashCommandBuilder()
+  .setName('queue')
+  .setDescription('View or edit the song queue')
+  .addSubcommand(sub =>
+    sub
+      .setName('view')
+      .setDescription('Show the upcoming songs')
+      .addIntegerOption(option =>
+        option
+          .setName('page')
+          .setDescription('Which page of the queue to show')
+          .setMinValue(1)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('remove')
+      .setDescription('Remove one song from the queue')
+      .addIntegerOption(option =>
+        option
+          .setName('position')
+          .setDescription('The song\'s number in the queue (1 = next up)')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('move')
+      .setDescription('Move a song to a different spot in the queue')
+      .addIntegerOption(option =>
+        option
+          .setName('from')
+          .setDescription('The song\'s current number in the queue')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('to')
+          .setDescription('The number it should have afterwards (1 = next up)')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('shuffle')
+      .setDescription('Put the queue in a random order')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('clear')
+      .setDescription('Remove every upcoming song (the current song keeps playing)')
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+
+  // Which subcommand was used: 'view', 'remove', 'move', 'shuffle' or 'clear'.
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'view') {
+      await showQueue(interaction, guildId, interaction.options.getInteger('page') || 1);
+      return;
+    }
+
+    // Every other subcommand changes the queue, then we build a reply message.
+    let reply;
+
+    if (subcommand === 'remove') {
+      const position = interaction.options.getInteger('position');
+      const removed = await callMusicService(`/queue/${guildId}/${position}`, 'DELETE');
+      reply = `🗑️ Removed **${removed.title}** from the queue.`;
+
+    } else if (subcommand === 'move') {
+      const from = interaction.options.getInteger('from');
+      const to = interaction.options.getInteger('to');
+      const moved = await callMusicService(`/queue/${guildId}/move`, 'POST', { from, to });
+      reply = `↕️ Moved **${moved.title}** to position ${to}.`;
+
+    } else if (subcommand === 'shuffle') {
+      const { shuffled } = await callMusicService(`/queue/${guildId}/shuffle`, 'POST');
+      reply = shuffled > 1
+        ? `🔀 Shuffled ${shuffled} songs.`
+        : '🔀 Not much to shuffle — the queue has fewer than 2 songs.';
+
+    } else if (subcommand === 'clear') {
+      await callMusicService(`/queue/${guildId}`, 'DELETE');
+      reply = '🧹 Cleared the queue.';
+    }
+
+    await interaction.reply({ content: reply, flags: 64 });
+
+    // Redraw the Now Playing embed so "Up Next" matches the edited queue.
+    await refreshNowPlaying(guildId);
+
+  } catch (err) {
+    console.error(`[QUEUE] Error in /queue ${subcommand}:`, err.message);
+    await interaction.reply({ content: `❌ ${err.message}`, flags: 64 }).catch(() => {});
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles the queue buttons on the Now Playing embed (routed here by
+// interactionCreate.js):
+//   "queue:shuffle" — shuffle the queue
+//   "queue:view"    — show the first page of the queue (only to the clicker)
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+  const [, action] = interaction.customId.split(':');
+
+  if (action === 'view') {
+    await showQueue(interaction, guildId, 1);
+    return;
+  }
+
+  if (action === 'shuffle') {
+    await callMusicService(`/queue/${guildId}/shuffle`, 'POST');
+    // The redrawn "Up Next" list is the feedback — no message needed.
+    await interaction.deferUpdate();
+    await refreshNowPlaying(guildId);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// showQueue(interaction, guildId, page)
+//
+// Replies with an embed listing one page of the queue, numbered by position.
+// ─────────────────────────────────────────────────────────────────────────────
+async function showQueue(interaction, guildId, page) {
+  const queue = await callMusicService(`/queue/${guildId}`, 'GET');
+
+  if (!queue || queue.length === 0) {
+    await interaction.reply({ content: '📭 The queue is empty.', flags: 64 });
+    return;
+  }
+
+  // Work out which page to show. Math.ceil() rounds up (31 songs → 3 pages).
+  const totalPages = Math.ceil(queue.length / PAGE_SIZE);
+  page = Math.min(page, totalPages);
+  const start = (page - 1) * PAGE_SIZE;
+
+  // Build one line per song: "3. Song Title (4:12) — Shannon"
+  const lines = queue.slice(start, start + PAGE_SIZE).map((song, i) => {
+    const length = song.duration > 0 ? ` (${formatTime(song.duration)})` : '';
+    const who = song.requester ? ` — ${song.requester.name}` : '';
+    return `${start + i + 1}. ${song.title}${length}${who}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle('📜 Queue')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `Page ${page} of ${totalPages} • ${queue.length} song(s)` });
+
+  await interaction.reply({ embeds: [embed], flags: 64 });
+}
+
+module.exports = { data, execute, handleComponent };
@@ -6,7 +6,7 @@
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { SlashCommandBuilder } = require('discord.js');
-const { resume } = require('../music/player');  // The resume function
+const { resume, refreshNowPlaying } = require('../music/player');  // The resume function
 const { getGuildState } = require('../state');
 
 const data = new SlashCommandBuilder()
@@ -36,6 +36,8 @@ async function execute(interaction) {
 
   if (resumed) {
     await interaction.reply({ content: '▶️ Resumed!', flags: 64 });
+    // Redraw the Now Playing embed so its button says "Pause" again.
+    await refreshNowPlaying(guildId);
   } else {
     await interaction.reply({ content: '❌ Could not resume.', flags: 64 });
   }
@@ -0,0 +1,33 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/rewind.js — The /rewind slash command
+//
+// Jumps back in the current song by some seconds (10 if not given).
+// Works like /seek, counted from where the song is right now.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { getPlaybackPosition } = require('../state');
+const { seekAndReply } = require('./seek');
+
+const data = new SlashCommandBuilder()
+  .setName('rewind')
+  .setDescription('Jump back in the current song')
+  .addIntegerOption(option =>
+    option
+      .setName('seconds')
+      .setDescription('How many seconds to jump back (default 10)')
+      .setMinValue(1)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const seconds = interaction.options.getInteger('seconds') || 10;
+  // seek() won't go below 0:00, so rewinding further than the start just restarts the song.
+  await seekAndReply(interaction, getPlaybackPosition(interaction.guild.id) - seconds);
+}
+
+module.exports = { data, execute };
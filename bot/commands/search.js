@@ -0,0 +1,142 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/search.js — The /search slash command
+//
+// /play always takes YouTube's top result, which for a vague query can be a
+// cover, a lyric video or a meme. /search shows the top few results instead
+// (title, channel, length) in a select menu, and picking one queues it.
+//
+// The search itself is done by the music service (GET /search). The pick is
+// queued through the normal POST /enqueue route, using the video's URL.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder
+} = require('discord.js');
+const { callMusicService, refreshNowPlaying, ensurePlaying } = require('../music/player');
+const { getGuildState } = require('../state');
+const { formatTime } = require('../music/embed');
+
+const data = new SlashCommandBuilder()
+  .setName('search')
+  .setDescription('Search YouTube and pick which result to play')
+  .addStringOption(option =>
+    option
+      .setName('query')
+      .setDescription('What to search for (e.g. "Cotton Eyed Joe")')
+      .setRequired(true)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const query = interaction.options.getString('query');
+
+  // Searching takes a few seconds — defer so Discord doesn't give up on us.
+  // Only the person searching sees the results.
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    // encodeURIComponent() makes the query safe to put in a URL (spaces → %20).
+    const results = await callMusicService(`/search?query=${encodeURIComponent(query)}`, 'GET');
+
+    if (results.length === 0) {
+      await interaction.editReply({ content: `🔍 No results for **${query}**.` });
+      return;
+    }
+
+    // One line per result: "3. [Title](url) — Channel (4:12)"
+    const lines = results.map((song, i) => {
+      const length = song.duration > 0 ? ` (${formatTime(song.duration)})` : '';
+      const channel = song.uploader ? ` — ${song.uploader}` : '';
+      return `${i + 1}. [${song.title}](${song.url})${channel}${length}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x1DB954)
+      .setTitle(`🔍 Results for "${query}"`.slice(0, 256))   // Embed titles max out at 256 characters
+      .setDescription(lines.join('\n'))
+      .setThumbnail(results[0].thumbnail || null)
+      .setFooter({ text: 'Pick a song below to queue it' });
+
+    // The menu's option values are the video URLs, so the pick can be queued
+    // straight away without searching again.
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId('search:pick')
+      .setPlaceholder('Pick a song to queue it')
+      .addOptions(results.map((song, i) => {
+        const details = [song.uploader, song.duration > 0 ? formatTime(song.duration) : null]
+          .filter(Boolean)
+          .join(' • ');
+        return {
+          label: `${i + 1}. ${song.title}`.slice(0, 100),
+          description: details ? details.slice(0, 100) : undefined,
+          value: song.url
+        };
+      }));
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(menu)]
+    });
+
+  } catch (err) {
+    console.error('[SEARCH] Error:', err.message);
+    await interaction.editReply({ content: `❌ Search failed: ${err.message}` }).catch(() => {});
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles a pick from the results menu ("search:pick", routed here by
+// interactionCreate.js): queues the chosen video, then starts playing if the
+// bot is idle and the user is in a voice channel.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+  const url = interaction.values[0];
+
+  // Looking the video up can take a few seconds. deferUpdate() tells Discord
+  // we'll edit the results message later, instead of sending a new one.
+  await interaction.deferUpdate();
+
+  let song;
+  try {
+    song = await callMusicService('/enqueue', 'POST', {
+      guildId,
+      query: url,
+      requester: { id: interaction.user.id, name: interaction.member.displayName }
+    });
+  } catch (err) {
+    console.error('[SEARCH] Error queueing pick:', err.message);
+    await interaction.editReply({ content: `❌ Could not queue that song: ${err.message}`, embeds: [], components: [] });
+    return;
+  }
+
+  // Replace the results with a short confirmation (and remove the menu,
+  // so the same search can't be queued twice by accident).
+  const voiceChannel = interaction.member.voice.channel;
+  if (getGuildState(guildId).isPlaying) {
+    await interaction.editReply({
+      content: `➕ Queued **${song.title}** at position ${song.position}.`, embeds: [], components: []
+    });
+    await refreshNowPlaying(guildId);
+  } else if (voiceChannel) {
+    await interaction.editReply({ content: `▶️ Queued **${song.title}** — starting playback.`, embeds: [], components: [] });
+    await ensurePlaying(guildId, voiceChannel, interaction.channel);
+  } else {
+    await interaction.editReply({
+      content: `➕ Queued **${song.title}**. Join a voice channel and use /play to start the music.`,
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+module.exports = { data, execute, handleComponent };
@@ -0,0 +1,79 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/seek.js — The /seek slash command
+//
+// Jumps to a point in the current song, e.g. /seek 1:30 or /seek 1:02:00.
+// The song's stream is restarted from that point (see seek() in player.js),
+// so it takes a second or two before the music comes back.
+//
+// /forward and /rewind do the same thing relative to where the song is now.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { seek } = require('../music/player');
+const { getGuildState } = require('../state');
+const { formatTime, parseTime } = require('../music/embed');
+
+const data = new SlashCommandBuilder()
+  .setName('seek')
+  .setDescription('Jump to a point in the current song')
+  .addStringOption(option =>
+    option
+      .setName('position')
+      .setDescription('Where to jump to, like 1:30 or 1:02:00')
+      .setRequired(true)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const seconds = parseTime(interaction.options.getString('position'));
+  if (seconds === null) {
+    await interaction.reply({ content: '❌ Use a time like `1:30` or `1:02:00`.', flags: 64 });
+    return;
+  }
+
+  await seekAndReply(interaction, seconds);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// seekAndReply(interaction, seconds)
+//
+// Seeks the current song to `seconds` and tells the user how it went.
+// Shared with /forward and /rewind.
+// ─────────────────────────────────────────────────────────────────────────────
+async function seekAndReply(interaction, seconds) {
+  const guildId = interaction.guild.id;
+  const state = getGuildState(guildId);
+
+  if (!state.isPlaying || !state.currentSong) {
+    await interaction.reply({ content: '❌ Nothing is playing right now.', flags: 64 });
+    return;
+  }
+
+  // Restarting the stream can take a couple of seconds.
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    const position = await seek(guildId, seconds);
+
+    if (position === false) {
+      const reason = state.isIntroPlaying
+        ? 'the DJ is still introducing this song'
+        : 'this song can\'t be skipped through (it may be a livestream)';
+      await interaction.editReply({ content: `❌ Can't seek right now — ${reason}.` });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `⏩ Jumped to ${formatTime(position)} / ${formatTime(state.currentSong.duration)}.`
+    });
+  } catch (err) {
+    console.error('[SEEK] Error:', err.message);
+    await interaction.editReply({ content: '❌ Could not jump to that point in the song.' }).catch(() => {});
+  }
+}
+
+module.exports = { data, execute, seekAndReply };
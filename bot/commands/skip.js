@@ -3,11 +3,16 @@
 //
 // Skips the currently playing song and immediately plays the next one in queue.
 // If nothing is in the queue after skipping, playback stops.
+//
+// With vote-skip on (see /voteskip), only the song's requester, the DJ role
+// and server managers skip instantly — everyone else adds a vote, and the
+// song is skipped once enough listeners have voted (see music/voteskip.js).
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { SlashCommandBuilder } = require('discord.js');
-const { skip } = require('../music/player');  // The skip function from our player
-const { getGuildState } = require('../state'); // Check current playback state
+const { skip, callMusicService, refreshNowPlaying } = require('../music/player');  // The skip function from our player
+const { getGuildState, setGuildState } = require('../state'); // Check current playback state
+const { castSkipVote } = require('../music/voteskip');
 
 const data = new SlashCommandBuilder()
   .setName('skip')
@@ -19,6 +24,25 @@ async function execute(interaction) {
     return;
   }
 
+  await handleSkipRequest(interaction);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles the Skip button on the Now Playing embed ("skip:now", routed here by
+// interactionCreate.js) — it works exactly like /skip.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  await handleSkipRequest(interaction);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleSkipRequest(interaction)
+//
+// Skips the song — or, with vote-skip on, counts a vote — and replies.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleSkipRequest(interaction) {
   const guildId = interaction.guild.id;
   const state = getGuildState(guildId);
 
@@ -28,10 +52,41 @@ async function execute(interaction) {
     return;
   }
 
+  // The vote-skip settings. If the music service is down, just skip as normal.
+  const settings = await callMusicService(`/settings/${guildId}`, 'GET').catch(() => ({}));
+  const vote = castSkipVote(guildId, interaction.member, settings);
+
+  if (vote.result === 'not-listening') {
+    await interaction.reply({ content: '❌ Join the bot\'s voice channel to vote to skip.', flags: 64 });
+    return;
+  }
+
+  if (vote.result === 'already') {
+    await interaction.reply({
+      content: `🗳️ You already voted to skip (${vote.votes}/${vote.needed}).`,
+      flags: 64
+    });
+    return;
+  }
+
+  if (vote.result === 'voted') {
+    await interaction.reply({
+      content: `🗳️ Vote counted — ${vote.votes}/${vote.needed} needed to skip.`,
+      flags: 64
+    });
+    // Redraw the Now Playing embed so everyone can see the vote count.
+    await refreshNowPlaying(guildId);
+    return;
+  }
+
   // Try to skip. skip() returns true if it worked, false if there was nothing to skip.
   const skipped = skip(guildId);
 
   if (skipped) {
+    // The votes were for this song — clear them in case it was only the
+    // DJ intro that got skipped.
+    setGuildState(guildId, { skipVotes: new Set() });
+
     // Confirm the skip with a brief ephemeral message.
     // flags: 64 makes it ephemeral so it doesn't clutter the chat.
     await interaction.reply({ content: '⏭️ Skipped!', flags: 64 });
@@ -40,4 +95,4 @@ async function execute(interaction) {
   }
 }
 
-module.exports = { data, execute };
+module.exports = { data, execute, handleComponent };
@@ -0,0 +1,250 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/songrules.js — The /songrules slash command
+//
+// Lets server managers decide what may be queued:
+//   /songrules view                      — show the current rules
+//   /songrules max-length <minutes>      — refuse songs longer than this
+//                                          (0 = no limit)
+//   /songrules livestreams <on|off>      — allow livestreams and radio stations
+//   /songrules block <type> <value>      — refuse songs with a word in the title,
+//                                          from a channel, or one YouTube video
+//   /songrules unblock <type> <value>    — take something off a blocklist
+//   /songrules user-limit <songs>        — how many songs one person may have
+//                                          waiting in the queue (0 = no limit)
+//   /songrules duplicates <on|off>       — allow a song that's already queued
+//                                          to be queued again
+//
+// The rules are saved in the music settings and checked by the music service
+// every time a song is queued (see services/music/rules.js). /play tells
+// people which rule stopped their song.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { callMusicService } = require('../music/player');
+const { getVideoId } = require('../../services/music/youtube');
+
+// ── Blocklists ────────────────────────────────────────────────────────────────
+// Each kind of blocklist, and the setting that holds it.
+const BLOCKLISTS = {
+  word:    { label: 'Blocked words',    setting: 'blockedKeywords' },
+  channel: { label: 'Blocked channels', setting: 'blockedChannels' },
+  video:   { label: 'Blocked videos',   setting: 'blockedVideoIds' }
+};
+
+// The same "type" and "value" options are used by block and unblock.
+const typeOption = option =>
+  option
+    .setName('type')
+    .setDescription('What kind of thing to block')
+    .setRequired(true)
+    .addChoices(
+      { name: 'A word in the song title', value: 'word' },
+      { name: 'A channel (uploader) name', value: 'channel' },
+      { name: 'A YouTube video (link or ID)', value: 'video' }
+    );
+
+const valueOption = option =>
+  option
+    .setName('value')
+    .setDescription('The word, channel name, or video link')
+    .setRequired(true)
+    .setMaxLength(100);
+
+const modeOption = option =>
+  option
+    .setName('mode')
+    .setDescription('Turn it on or off')
+    .setRequired(true)
+    .addChoices(
+      { name: 'On',  value: 'on'  },
+      { name: 'Off', value: 'off' }
+    );
+
+const data = new SlashCommandBuilder()
+  .setName('songrules')
+  .setDescription('Choose what may be queued on this server (server managers only)')
+  .addSubcommand(sub =>
+    sub
+      .setName('view')
+      .setDescription('Show the current song rules')
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('max-length')
+      .setDescription('Refuse songs longer than this')
+      .addIntegerOption(option =>
+        option
+          .setName('minutes')
+          .setDescription('The longest song allowed, in minutes (0 = no limit)')
+          .setRequired(true)
+          .setMinValue(0)
+          .setMaxValue(1440)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('livestreams')
+      .setDescription('Allow livestreams and radio stations (songs that never end)')
+      .addStringOption(modeOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('block')
+      .setDescription('Refuse songs with a word in the title, from a channel, or one video')
+      .addStringOption(typeOption)
+      .addStringOption(valueOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('unblock')
+      .setDescription('Take something off a blocklist')
+      .addStringOption(typeOption)
+      .addStringOption(valueOption)
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('user-limit')
+      .setDescription('How many songs one person may have waiting in the queue')
+      .addIntegerOption(option =>
+        option
+          .setName('songs')
+          .setDescription('The most songs per person (0 = no limit)')
+          .setRequired(true)
+          .setMinValue(0)
+          .setMaxValue(100)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('duplicates')
+      .setDescription('Allow a song that\'s already in the queue to be queued again')
+      .addStringOption(modeOption)
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: '🔒 Only server managers can change the song rules.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    let settings = await callMusicService(`/settings/${guildId}`, 'GET');
+    let updates = null;
+
+    if (subcommand === 'max-length') {
+      updates = { maxSongMinutes: interaction.options.getInteger('minutes') };
+
+    } else if (subcommand === 'livestreams') {
+      updates = { allowLivestreams: interaction.options.getString('mode') === 'on' };
+
+    } else if (subcommand === 'user-limit') {
+      updates = { maxSongsPerUser: interaction.options.getInteger('songs') };
+
+    } else if (subcommand === 'duplicates') {
+      updates = { allowDuplicates: interaction.options.getString('mode') === 'on' };
+
+    } else if (subcommand === 'block' || subcommand === 'unblock') {
+      const type = interaction.options.getString('type');
+      const value = normalizeBlockValue(type, interaction.options.getString('value'));
+
+      if (!value) {
+        await interaction.reply({
+          content: type === 'video'
+            ? '❌ That isn\'t a YouTube video link or ID.'
+            : '❌ Type a word or channel name to block.',
+          flags: 64
+        });
+        return;
+      }
+
+      const { setting } = BLOCKLISTS[type];
+      const list = settings[setting] || [];
+
+      if (subcommand === 'block') {
+        // A Set drops the value if it's already on the list.
+        updates = { [setting]: [...new Set([...list, value])] };
+      } else if (list.includes(value)) {
+        updates = { [setting]: list.filter(item => item !== value) };
+      } else {
+        await interaction.reply({ content: `❌ **${value}** isn't on that blocklist.`, flags: 64 });
+        return;
+      }
+    }
+
+    if (updates) {
+      settings = await callMusicService(`/settings/${guildId}`, 'PATCH', updates);
+    }
+
+    // Every subcommand replies with the full set of rules, so it's easy to
+    // see what changed.
+    await interaction.reply({
+      content: updates ? '✅ Song rules updated.' : undefined,
+      embeds: [buildSongRulesEmbed(settings)],
+      flags: 64
+    });
+
+  } catch (err) {
+    console.error(`[SONGRULES] Error in /songrules ${subcommand}:`, err.message);
+    await interaction.reply({ content: `❌ ${err.message}`, flags: 64 }).catch(() => {});
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// normalizeBlockValue(type, value)
+//
+// Turns what was typed into what's saved on the blocklist:
+//   word, channel → trimmed and lower case (the rules ignore case)
+//   video         → the 11-character video ID, from a link or the ID itself
+// Returns null if there's nothing usable.
+// ─────────────────────────────────────────────────────────────────────────────
+function normalizeBlockValue(type, value) {
+  const trimmed = value.trim();
+
+  if (type === 'video') {
+    if (/^[\w-]{11}$/.test(trimmed)) return trimmed;
+    return getVideoId(trimmed);
+  }
+
+  return trimmed.toLowerCase() || null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildSongRulesEmbed(settings)
+//
+// Builds an embed listing the song rules, e.g.
+//   Longest song: 15 minutes
+//   Livestreams: Allowed
+//   Blocked words: bee sounds, 10 hours
+// ─────────────────────────────────────────────────────────────────────────────
+function buildSongRulesEmbed(settings) {
+  const lines = [
+    `**Longest song:** ${settings.maxSongMinutes > 0 ? `${settings.maxSongMinutes} minute(s)` : 'No limit'}`,
+    `**Livestreams and radio:** ${settings.allowLivestreams ? 'Allowed' : 'Not allowed'}`,
+    `**Songs per person in the queue:** ${settings.maxSongsPerUser > 0 ? settings.maxSongsPerUser : 'No limit'}`,
+    `**Same song queued twice:** ${settings.allowDuplicates ? 'Allowed' : 'Not allowed'}`
+  ];
+
+  for (const blocklist of Object.values(BLOCKLISTS)) {
+    const items = settings[blocklist.setting] || [];
+    // Keep the embed under Discord's length limit even with long lists.
+    const shown = items.slice(0, 30).join(', ');
+    const more = items.length > 30 ? ` ...and ${items.length - 30} more` : '';
+    lines.push(`**${blocklist.label}:** ${items.length > 0 ? `${shown}${more}` : 'None'}`);
+  }
+
+  return new EmbedBuilder()
+    .setColor(0x1DB954)
+    .setTitle('📏 Song Rules')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: 'Checked every time a song is queued' });
+}
+
+module.exports = { data, execute };
@@ -41,4 +41,23 @@ async function execute(interaction) {
   await stop(guildId);
 }
 
-module.exports = { data, execute };
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction)
+//
+// Handles the Stop button on the Now Playing embed ("stop:now", routed here by
+// interactionCreate.js). stop() deletes the embed, buttons and all.
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction) {
+  const guildId = interaction.guild.id;
+  const state = getGuildState(guildId);
+
+  if (!state.isPlaying && !state.currentConnection) {
+    await interaction.reply({ content: '❌ Nothing is playing right now.', flags: 64 });
+    return;
+  }
+
+  await interaction.reply({ content: '⏹️ Stopped and cleared the queue.', flags: 64 });
+  await stop(guildId);
+}
+
+module.exports = { data, execute, handleComponent };
@@ -0,0 +1,77 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/volume.js — The /volume slash command
+//
+// Sets how loud the music plays in this server, from 0% (silent) to 200%.
+//   /volume 50           — music at half volume, starting right now
+//   /volume 120 dj:True  — the DJ's intros at 120% (the music is unchanged)
+//   /volume              — show the current levels
+//
+// The levels are saved by the music service, so every song that follows —
+// and the bot after a restart — uses them too.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder } = require('discord.js');
+const { callMusicService, refreshNowPlaying, setVolume } = require('../music/player');
+
+const data = new SlashCommandBuilder()
+  .setName('volume')
+  .setDescription('Set the music (or DJ intro) volume for this server')
+  .addIntegerOption(option =>
+    option
+      .setName('level')
+      .setDescription('Volume in percent, 0–200 (100 = normal). Leave out to see the current level.')
+      .setMinValue(0)
+      .setMaxValue(200)
+  )
+  .addBooleanOption(option =>
+    option
+      .setName('dj')
+      .setDescription('Set the DJ intro volume instead of the music volume')
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const level = interaction.options.getInteger('level');   // null if left out
+  const forDJ = interaction.options.getBoolean('dj') || false;
+
+  try {
+    // No level given — just show what's set.
+    if (level === null) {
+      const settings = await callMusicService(`/settings/${guildId}`, 'GET');
+      await interaction.reply({
+        content: `🔊 Music volume: **${settings.volume}%** • 🎙️ DJ intro volume: **${settings.djVolume}%**`,
+        flags: 64
+      });
+      return;
+    }
+
+    // Save the new level so the next songs (or intros) use it.
+    await callMusicService(`/settings/${guildId}`, 'PATCH', forDJ ? { djVolume: level } : { volume: level });
+  } catch (err) {
+    console.error('[VOLUME] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not change the volume: ${err.message}`, flags: 64 });
+    return;
+  }
+
+  if (forDJ) {
+    // The DJ volume applies from the next intro on.
+    await interaction.reply({ content: `🎙️ DJ intro volume set to **${level}%**.`, flags: 64 });
+    return;
+  }
+
+  // Change the song that's playing right now too, not just the next ones.
+  setVolume(guildId, level);
+
+  const icon = level === 0 ? '🔇' : level < 100 ? '🔉' : '🔊';
+  await interaction.reply({ content: `${icon} Music volume set to **${level}%**.`, flags: 64 });
+
+  // Redraw the Now Playing embed so it shows the new level.
+  await refreshNowPlaying(guildId);
+}
+
+module.exports = { data, execute };
@@ -0,0 +1,88 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/commands/voteskip.js — The /voteskip slash command
+//
+// Turns vote-skip on or off for this server (server managers only):
+//   /voteskip mode:On share:50 dj_role:@DJ
+//
+// When vote-skip is ON, /skip and the Skip button:
+//   • skip instantly for the song's requester, the DJ role and server managers
+//   • add a vote for everyone else — the song is skipped once `share` percent
+//     of the people in the bot's voice channel have voted
+//
+// The settings are saved by the music service, so they survive restarts.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { callMusicService, refreshNowPlaying } = require('../music/player');
+
+const data = new SlashCommandBuilder()
+  .setName('voteskip')
+  .setDescription('Make skipping need votes from the people listening (server managers only)')
+  .addStringOption(option =>
+    option
+      .setName('mode')
+      .setDescription('Turn vote-skip on or off')
+      .setRequired(true)
+      .addChoices(
+        { name: 'On',  value: 'on'  },
+        { name: 'Off', value: 'off' }
+      )
+  )
+  .addIntegerOption(option =>
+    option
+      .setName('share')
+      .setDescription('Percent of listeners who must vote to skip (default 50)')
+      .setMinValue(10)
+      .setMaxValue(100)
+  )
+  .addRoleOption(option =>
+    option
+      .setName('dj_role')
+      .setDescription('Members with this role skip without a vote')
+  );
+
+async function execute(interaction) {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ This command only works in a server.', flags: 64 });
+    return;
+  }
+
+  if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: '🔒 Only server managers can change vote-skip.', flags: 64 });
+    return;
+  }
+
+  const guildId = interaction.guild.id;
+  const enabled = interaction.options.getString('mode') === 'on';
+  const share = interaction.options.getInteger('share');   // null if left out
+  const djRole = interaction.options.getRole('dj_role');   // null if left out
+
+  // Only change the options that were given.
+  const updates = { voteSkip: enabled };
+  if (share !== null) updates.voteSkipShare = share;
+  if (djRole) updates.djRoleId = djRole.id;
+
+  let settings;
+  try {
+    settings = await callMusicService(`/settings/${guildId}`, 'PATCH', updates);
+  } catch (err) {
+    console.error('[VOTESKIP] Error:', err.message);
+    await interaction.reply({ content: `❌ Could not change vote-skip: ${err.message}`, flags: 64 });
+    return;
+  }
+
+  const dj = settings.djRoleId ? ` <@&${settings.djRoleId}> members,` : '';
+  // <@&ROLE_ID> shows as a role mention in Discord.
+  const statusMsg = enabled
+    ? `🗳️ Vote-skip is now **ON** — ${settings.voteSkipShare}% of listeners must vote. ` +
+      `The song's requester,${dj} and server managers still skip instantly.`
+    : '⏭️ Vote-skip is now **OFF** — /skip skips straight away.';
+
+  // allowedMentions: { parse: [] } = show the role mention without pinging anyone.
+  await interaction.reply({ content: statusMsg, flags: 64, allowedMentions: { parse: [] } });
+
+  // Redraw the Now Playing embed (the vote count shows only with vote-skip on).
+  await refreshNowPlaying(guildId);
+}
+
+module.exports = { data, execute };
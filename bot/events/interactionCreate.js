@@ -1,5 +1,5 @@
 // ─────────────────────────────────────────────────────────────────────────────
-// bot/events/interactionCreate.js — Slash command router
+// bot/events/interactionCreate.js — Slash command and component router
 //
 // Discord fires an "interactionCreate" event every time a user does something
 // interactive: uses a slash command, clicks a button, uses a context menu, etc.
@@ -7,10 +7,27 @@
 // This file is the "front desk" of our bot — it receives all interactions,
 // figures out which command was used, and routes it to the right handler.
 //
+// Components (buttons and select menus) are routed by their customId.
+// Every customId starts with the name of the command that created it:
+//   "history:replay"  → handled by the /history command's handleComponent()
+//   "history:page:2"  → same handler; the parts after the first ":" are its to read
+//   "search:pick"     → handled by the /search command's handleComponent()
+//   "pause:toggle"    → the Pause/Resume button on the Now Playing embed,
+//                       handled by /pause (the other embed buttons work the same way)
+// So a command that sends buttons or menus just exports a handleComponent()
+// function next to its execute().
+//
+// Before anything runs, the server's music permissions are checked (who may
+// stop, clear or edit the queue — see music/permissions.js). Because that
+// happens here, a button is held to exactly the same rules as its command.
+//
 // Think of it like a phone operator:
 //   "Hi, you've reached KentBot. For music, press /play. For recipes, press /cook."
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Per-guild rules for the music controls, set with /permissions.
+const { checkMusicPermission } = require('../music/permissions');
+
 // ─────────────────────────────────────────────────────────────────────────────
 // execute(interaction, commands)
 //
@@ -23,11 +40,17 @@
 //   commands    — the Map of all loaded command handlers (from commands/index.js)
 // ─────────────────────────────────────────────────────────────────────────────
 async function execute(interaction, commands) {
-  // We only care about slash commands (ChatInputCommand).
-  // Discord also sends interactions for buttons, select menus, etc.
+  // Buttons and select menus ("message components") have their own router.
+  if (interaction.isMessageComponent()) {
+    await handleComponent(interaction, commands);
+    return;
+  }
+
+  // Apart from components, we only care about slash commands (ChatInputCommand).
+  // Discord also sends interactions for context menus, autocomplete, etc.
   // .isChatInputCommand() returns true only for slash commands like /play.
   if (!interaction.isChatInputCommand()) {
-    return; // Ignore non-slash-command interactions
+    return; // Ignore other kinds of interactions
   }
 
   // Get the command name from the interaction.
@@ -56,6 +79,9 @@ async function execute(interaction, commands) {
     // interaction.user.tag = the user's Discord name (e.g. "SomePerson")
     // interaction.guild?.name = the server name (the ?. handles DM interactions safely)
 
+    // Stop here if the server's rules don't let this person do this.
+    if (await rejectIfNotAllowed(interaction)) return;
+
     // Run the command's execute() function.
     // We pass the interaction object so the command can read arguments and send responses.
     await command.execute(interaction);
@@ -83,6 +109,61 @@ async function execute(interaction, commands) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// handleComponent(interaction, commands)
+//
+// Routes a button click or select menu pick to the command that created it.
+// The command is found from the first part of the customId (before the ":").
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleComponent(interaction, commands) {
+  // "history:page:2".split(':') → ['history', 'page', '2']
+  const [commandName] = interaction.customId.split(':');
+  const command = commands.get(commandName);
+
+  if (!command || !command.handleComponent) {
+    // A leftover button from an old version of the bot, most likely.
+    console.warn(`[INTERACTION] No handler for component: ${interaction.customId}`);
+    await interaction.reply({ content: '❌ That button doesn\'t work anymore.', flags: 64 }).catch(() => {});
+    return;
+  }
+
+  try {
+    console.log(`[INTERACTION] ${interaction.user.tag} used component ${interaction.customId} in ${interaction.guild?.name || 'DM'}`);
+    if (await rejectIfNotAllowed(interaction)) return;
+    await command.handleComponent(interaction);
+
+  } catch (err) {
+    console.error(`[INTERACTION] Error in component ${interaction.customId}:`, err);
+
+    const errorContent = '❌ An error occurred while handling that.';
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp({ content: errorContent, flags: 64 });
+      } else {
+        await interaction.reply({ content: errorContent, flags: 64 });
+      }
+    } catch (replyErr) {
+      console.error('[INTERACTION] Could not send error response:', replyErr.message);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// rejectIfNotAllowed(interaction)
+//
+// Checks the server's music permissions. If they don't allow this interaction,
+// replies with the reason (only to the user) and returns true.
+// ─────────────────────────────────────────────────────────────────────────────
+async function rejectIfNotAllowed(interaction) {
+  const reason = await checkMusicPermission(interaction);
+  if (!reason) return false;
+
+  console.log(`[INTERACTION] Blocked ${interaction.user.tag}: ${reason}`);
+  // allowedMentions: { parse: [] } = show role mentions without pinging anyone.
+  await interaction.reply({ content: reason, flags: 64, allowedMentions: { parse: [] } });
+  return true;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Export the event name and handler function.
 // ─────────────────────────────────────────────────────────────────────────────
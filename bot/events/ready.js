@@ -8,6 +8,15 @@
 // Before this event fires, the bot can't receive commands or messages.
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Live queue and settings changes from the music service (for the Now Playing embed).
+const { subscribeToMusicEvents } = require('../music/events');
+
+// The web dashboard (opened with /dashboard).
+const { startWebServer } = require('../web/server');
+
+// Picking the music back up where it was before the bot restarted.
+const { restoreSessions } = require('../music/checkpoint');
+
 // ─────────────────────────────────────────────────────────────────────────────
 // execute(client)
 //
@@ -38,6 +47,20 @@ function execute(client) {
   });
 
   console.log(`[BOT] Ready! Status set.`);
+
+  // Start listening for changes from the music service. This keeps itself
+  // connected (and reconnects if the music service restarts), so it's only
+  // started once.
+  subscribeToMusicEvents();
+
+  // Start the web dashboard. It needs the client to look up servers and members.
+  startWebServer(client);
+
+  // If music was playing when the bot went down, carry on where it left off.
+  // (Not awaited — rejoining voice channels can take a few seconds each.)
+  restoreSessions(client).catch(err => {
+    console.error('[BOT] Could not resume music after the restart:', err.message);
+  });
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -34,6 +34,9 @@ const { Client, GatewayIntentBits } = require('discord.js');
 // Import our dynamic command loader.
 const { loadCommands } = require('./commands/index');
 
+// Saves where the music is when the bot shuts down (see shutdown() below).
+const { saveAllCheckpoints } = require('./music/checkpoint');
+
 // fs and path help us scan the events/ folder for event handler files.
 const fs = require('fs');
 const path = require('path');
@@ -149,6 +152,14 @@ async function shutdown() {
   // Shutdown is the sequence of cleanup steps when the bot is stopping.
   console.log('[BOT] Shutting down...');
 
+  // Save exactly where the music is, so it carries on from there when the
+  // bot starts again (see music/checkpoint.js). Don't wait long — PM2 only
+  // gives the bot about 1.6 seconds before forcing it to stop.
+  await Promise.race([
+    saveAllCheckpoints(),
+    new Promise(resolve => setTimeout(resolve, 1500))
+  ]);
+
   // Destroy the Discord client connection cleanly.
   // .destroy() closes the WebSocket connection and frees resources.
   client.destroy();
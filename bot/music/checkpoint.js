@@ -0,0 +1,185 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/music/checkpoint.js — Carrying on after a bot restart
+//
+// Everything about what's playing lives in memory (bot/state.js), so when the
+// bot restarts — a crash, an update, pm2 restart — it's forgotten and the
+// music stops, even though the queue is safe in the music service.
+//
+// So while music plays, this file saves a "checkpoint" of each guild's session
+// in the music service (see services/music/sessions.js):
+//   • the voice and text channel IDs
+//   • the song that's playing (it's already left the queue)
+//   • how far into it we are
+//   • the ID of the Now Playing message
+// It's saved when a song starts, on pause/resume and seek, once a minute or
+// so while a song plays on (RESUME.CHECKPOINT_SECONDS), and once more when the
+// bot shuts down. When the music stops, the checkpoint is deleted.
+//
+// When the bot starts up again (ready.js), restoreSessions() reads them back:
+// it rejoins each voice channel, takes over the old Now Playing message, and
+// plays the song from where it was. The rest of the queue follows as normal.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getGuildState, getPlaybackPosition, getPlayingGuildIds, getVoiceChannel, getTextChannel } = require('../state');
+const { callMusicService, resumeSession } = require('./player');
+const { RESUME } = require('../../shared/config');
+
+// When each guild's checkpoint was last saved: guildId → Date.now() then.
+const lastSavedAt = new Map();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// saveCheckpoint(guildId)
+//
+// Saves where the guild's music is right now. Does nothing if no song is
+// playing (or the bot isn't in a voice channel).
+//
+// Never throws — a missed checkpoint just means a restart resumes from an
+// earlier one.
+// ─────────────────────────────────────────────────────────────────────────────
+async function saveCheckpoint(guildId) {
+  const state = getGuildState(guildId);
+  const voiceChannel = getVoiceChannel(guildId);
+  if (!state.isPlaying || !state.currentSong || !voiceChannel) return;
+
+  lastSavedAt.set(guildId, Date.now());
+  try {
+    await callMusicService(`/sessions/${guildId}`, 'PUT', {
+      voiceChannelId: voiceChannel.id,
+      textChannelId: getTextChannel(guildId)?.id || null,
+      statusMessageId: state.statusMessage?.id || null,
+      song: state.currentSong,
+      // Livestreams have no length, so they just pick up again from "now".
+      offset: state.currentSong.duration > 0 ? getPlaybackPosition(guildId) : 0,
+      isPaused: state.isPaused,
+      songStartedAt: state.songStartedAt
+    });
+  } catch (err) {
+    console.warn(`[CHECKPOINT] Could not save guild ${guildId}:`, err.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// saveCheckpointIfDue(guildId)
+//
+// Like saveCheckpoint(), but only if the last save was at least
+// RESUME.CHECKPOINT_SECONDS ago. The progress tick calls this: while a song
+// just plays on only its offset changes, and saving that every tick would add
+// a line to the music store's journal each time for very little.
+// ─────────────────────────────────────────────────────────────────────────────
+async function saveCheckpointIfDue(guildId) {
+  const last = lastSavedAt.get(guildId) || 0;
+  if (Date.now() - last < RESUME.CHECKPOINT_SECONDS * 1000) return;
+
+  await saveCheckpoint(guildId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// clearCheckpoint(guildId)
+//
+// Deletes the guild's checkpoint — the music stopped, so a restart shouldn't
+// bring it back. Never throws.
+// ─────────────────────────────────────────────────────────────────────────────
+async function clearCheckpoint(guildId) {
+  lastSavedAt.delete(guildId);
+  await callMusicService(`/sessions/${guildId}`, 'DELETE').catch(err => {
+    console.warn(`[CHECKPOINT] Could not clear guild ${guildId}:`, err.message);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// saveAllCheckpoints()
+//
+// Saves every playing guild at once. Called when the bot shuts down, so a
+// planned restart picks up from exactly where it stopped.
+// ─────────────────────────────────────────────────────────────────────────────
+async function saveAllCheckpoints() {
+  await Promise.all(getPlayingGuildIds().map(saveCheckpoint));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// restoreSessions(client)
+//
+// Called once when the bot starts (ready.js): resumes every guild that was
+// playing when it went down.
+//
+// A checkpoint is dropped instead of resumed if it's older than
+// RESUME.MAX_AGE_MINUTES, if its server or voice channel is gone, or if
+// nobody is in the voice channel any more (the bot would just leave again).
+// ─────────────────────────────────────────────────────────────────────────────
+async function restoreSessions(client) {
+  let sessions;
+  try {
+    sessions = await callMusicService('/sessions', 'GET');
+  } catch (err) {
+    console.warn('[CHECKPOINT] Could not load saved sessions — nothing will resume:', err.message);
+    return;
+  }
+
+  for (const session of sessions) {
+    // One at a time — joining lots of voice channels at once can time out.
+    await restoreSession(client, session).catch(err => {
+      console.error(`[CHECKPOINT] Could not resume guild ${session.guildId}:`, err.message);
+      clearCheckpoint(session.guildId);
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// restoreSession(client, session)
+//
+// Helper for restoreSessions(): resumes one guild from its checkpoint (or
+// drops the checkpoint if it can't be resumed).
+// ─────────────────────────────────────────────────────────────────────────────
+async function restoreSession(client, session) {
+  const { guildId, song } = session;
+
+  const ageMinutes = (Date.now() - session.savedAt) / 60000;
+  if (ageMinutes > RESUME.MAX_AGE_MINUTES) {
+    console.log(`[CHECKPOINT] Not resuming guild ${guildId} — its session is ${Math.round(ageMinutes)} minutes old`);
+    await clearCheckpoint(guildId);
+    return;
+  }
+
+  const guild = client.guilds.cache.get(guildId);
+  // .fetch() asks Discord, and throws if the channel has been deleted.
+  const voiceChannel = guild && await guild.channels.fetch(session.voiceChannelId).catch(() => null);
+  if (!voiceChannel || !voiceChannel.isVoiceBased()) {
+    console.log(`[CHECKPOINT] Not resuming guild ${guildId} — its voice channel is gone`);
+    await clearCheckpoint(guildId);
+    return;
+  }
+
+  // The same rule as voiceStateUpdate.js: don't play to an empty room.
+  const listeners = voiceChannel.members.filter(member => !member.user.bot);
+  if (listeners.size === 0) {
+    console.log(`[CHECKPOINT] Not resuming guild ${guildId} — nobody is in ${voiceChannel.name}`);
+    await clearCheckpoint(guildId);
+    return;
+  }
+
+  // Where to post the Now Playing message: the same channel as before if it's
+  // still there, otherwise the voice channel's own chat.
+  const textChannel = (session.textChannelId && await guild.channels.fetch(session.textChannelId).catch(() => null))
+    || voiceChannel;
+
+  // Take over the old Now Playing message, so there's no second one.
+  const statusMessage = session.statusMessageId && textChannel.messages
+    ? await textChannel.messages.fetch(session.statusMessageId).catch(() => null)
+    : null;
+
+  console.log(`[CHECKPOINT] Resuming "${song.title}" at ${session.offset}s in ${guild.name}`);
+  await resumeSession(guildId, voiceChannel, textChannel, song, {
+    offset: session.offset,
+    startedAt: session.songStartedAt,
+    paused: session.isPaused,
+    statusMessage: statusMessage
+  });
+}
+
+module.exports = {
+  saveCheckpoint,      // Save where a guild's music is right now
+  saveCheckpointIfDue, // The same, but at most every RESUME.CHECKPOINT_SECONDS
+  clearCheckpoint,     // Forget a guild's checkpoint (the music stopped)
+  saveAllCheckpoints,  // Save every playing guild (on shutdown)
+  restoreSessions      // Resume every saved session (on startup)
+};
@@ -7,21 +7,50 @@
 //   • The song's duration
 //   • An animated progress bar showing how far through the song we are
 //   • Whether the DJ is doing an intro
-//   • A list of upcoming songs in the queue
+//   • The loop mode, if one is on, and whether autoplay is on
+//   • The volume, if it isn't the normal 100%, and the audio filter, if one is on
+//   • How the skip vote is going, if anyone has voted
+//   • A list of upcoming songs in the queue, and who requested each one
 //   • The total time of all queued songs
 //
 // Discord "embeds" are special message types with colors, titles, descriptions,
 // images, and footers — much fancier than plain text messages.
 // EmbedBuilder is the Discord.js tool for creating them.
+//
+// Under the embed sit control buttons (pause/resume, skip, stop, loop, shuffle,
+// show queue). Each button's customId starts with the name of the command that
+// does the same job — "pause:toggle", "queue:shuffle" — so interactionCreate.js
+// hands the click to that command's handleComponent().
 // ─────────────────────────────────────────────────────────────────────────────
 
 // EmbedBuilder is a Discord.js class that builds rich embed message objects.
-const { EmbedBuilder } = require('discord.js');
+// The others build the rows of buttons under it.
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 
 // Import our state manager and config.
-const { getGuildState, setGuildState } = require('../state');
+const { getGuildState, setGuildState, getPlaybackPosition } = require('../state');
 const { EMBED } = require('../../shared/config');
 
+// Audio effect presets — to show the active filter's name.
+const { getFilter } = require('../../services/music/filters');
+
+// getSource from sources.js — which site a song came from (for its icon).
+const { getSource } = require('../../services/music/sources');
+
+// Vote-skip progress ("2/3 votes") for the current song.
+const { getVoteProgress } = require('./voteskip');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// songLink(song)
+//
+// The song's title as a clickable Markdown link: "[Title](https://...)".
+// Library songs have no web page to open (their url is "library:..."), so
+// they get just the title.
+// ─────────────────────────────────────────────────────────────────────────────
+function songLink(song) {
+  return /^https?:\/\//.test(song.url) ? `[${song.title}](${song.url})` : song.title;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // formatTime(seconds)
 //
@@ -44,6 +73,50 @@ function formatTime(seconds) {
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// parseTime(text)
+//
+// The opposite of formatTime(): turns a time someone typed into seconds.
+// Accepts "M:SS", "H:MM:SS" or plain seconds. Returns null if it can't be read.
+//
+// Examples:
+//   parseTime("3:33")    → 213
+//   parseTime("1:02:03") → 3723
+//   parseTime("90")      → 90
+//   parseTime("soon")    → null
+// ─────────────────────────────────────────────────────────────────────────────
+function parseTime(text) {
+  const trimmed = String(text || '').trim();
+
+  // One to three groups of digits separated by colons.
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(trimmed)) return null;
+
+  // "1:02:03" → [1, 2, 3]. Each step multiplies what we have so far by 60:
+  // ((1 × 60) + 2) × 60 + 3 = 3723
+  return trimmed.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// formatDuration(seconds)
+//
+// Converts a (possibly long) number of seconds into a short "2h14m" style
+// string — used for totals like "Queued 37 songs (2h14m)".
+//
+// Examples:
+//   formatDuration(8040) → "2h14m"
+//   formatDuration(570)  → "9m30s"
+//   formatDuration(45)   → "45s"
+// ─────────────────────────────────────────────────────────────────────────────
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);         // Whole hours (3600 seconds each)
+  const m = Math.floor((seconds % 3600) / 60);  // Leftover whole minutes
+  const s = Math.floor(seconds % 60);           // Leftover seconds
+
+  if (h > 0) return `${h}h${m.toString().padStart(2, '0')}m`;
+  if (m > 0) return `${m}m${s.toString().padStart(2, '0')}s`;
+  return `${s}s`;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // getProgressBar(elapsed, total, segments)
 //
@@ -86,8 +159,15 @@ function getProgressBar(elapsed, total, segments) {
   return bar;
 }
 
+// ── Loop mode labels ──────────────────────────────────────────────────────────
+// What to show in the embed for each loop mode ('off' shows nothing).
+const LOOP_LABELS = {
+  track: '🔂 Repeating this song',
+  queue: '🔁 Repeating the queue'
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
-// buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed)
+// buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed, settings, skipVotes)
 //
 // Creates and returns a Discord EmbedBuilder object with all the Now Playing
 // information. This embed is then sent or edited as a Discord message.
@@ -97,13 +177,26 @@ function getProgressBar(elapsed, total, segments) {
 //   upNextQueue   — array of upcoming songs (for "Up Next" list)
 //   isIntroPlaying — true if the DJ is currently doing the intro speech
 //   elapsed       — seconds played so far (for progress bar)
+//   settings      — (optional) the guild's music settings, e.g. { loopMode, autoplay }
+//   skipVotes     — (optional) vote-skip progress { votes, needed }
 // ─────────────────────────────────────────────────────────────────────────────
-function buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed) {
+function buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed, settings = {}, skipVotes = null) {
   // Start building the description text.
   // Markdown in Discord: **bold**, *italic*, [text](url) = clickable link
-  let description = `[**${song.title}**](${song.url})\n`;
+  let description = `**${songLink(song)}**\n`;
   // This makes the song title a clickable link that opens the YouTube video.
 
+  // Where it's from, e.g. "☁️ SoundCloud".
+  const source = getSource(song);
+  description += `${source.icon} ${source.label}\n`;
+
+  // Show who asked for it, if we know — or that autoplay picked it.
+  if (song.requester) {
+    description += `Requested by ${song.requester.name}\n`;
+  } else if (song.autoplay) {
+    description += '📻 Picked by autoplay\n';
+  }
+
   // Optionally show the song's total duration.
   if (EMBED.SHOW_SONG_LENGTH && song.duration && song.duration > 0) {
     description += `Length: ${formatTime(song.duration)}\n`;
@@ -125,15 +218,38 @@ function buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed) {
     }
   }
 
+  // Show the loop mode when one is on.
+  if (LOOP_LABELS[settings.loopMode]) {
+    description += `${LOOP_LABELS[settings.loopMode]}\n`;
+  }
+  if (settings.autoplay) {
+    description += '📻 Autoplay is on\n';
+  }
+  if (Number.isInteger(settings.volume) && settings.volume !== 100) {
+    description += `${settings.volume === 0 ? '🔇' : '🔊'} Volume ${settings.volume}%\n`;
+  }
+  if (getFilter(settings.filter)) {
+    description += `🎛️ Filter: ${getFilter(settings.filter).label}\n`;
+  }
+
+  // Show the skip vote once someone has voted.
+  if (skipVotes && skipVotes.votes > 0) {
+    description += `🗳️ Skip votes: ${skipVotes.votes}/${skipVotes.needed}\n`;
+  }
+
   // Show the "Up Next" list of queued songs.
+  // The music service sends the queue in real play order (fair mode included),
+  // so the numbers here are exactly the order songs will play in.
   if (upNextQueue && upNextQueue.length > 0) {
-    description += '\n**Up Next:**\n';
+    description += settings.fairMode ? '\n**Up Next** (taking turns):\n' : '\n**Up Next:**\n';
     // Show at most 10 songs to keep the embed from getting too long.
     // .slice(0, 10) returns the first 10 elements of the array.
     upNextQueue.slice(0, 10).forEach((s, i) => {
       // forEach() calls a function for each item in the array.
       // s = the song object, i = its index (0-based, so we add 1 for display).
-      description += `${i + 1}. 🎵 ${s.title}\n`;
+      const who = s.requester ? ` — ${s.requester.name}` : '';
+      // Each song's source icon takes the place of a bullet point.
+      description += `${i + 1}. ${getSource(s).icon} ${s.title}${who}\n`;
     });
 
     // If there are more than 10 songs, show how many were hidden.
@@ -155,7 +271,9 @@ function buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed) {
       }
     }
   } else {
-    description += '\n*No songs in queue*';
+    description += settings.autoplay
+      ? '\n*No songs in queue — autoplay will pick the next one*'
+      : '\n*No songs in queue*';
     // *text* in Discord markdown = italic text
   }
 
@@ -164,12 +282,67 @@ function buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed) {
     .setColor(0x1DB954)          // Spotify green — music-themed color (hex color code)
     .setTitle('🎵 Now Playing')  // Title shown at the top of the embed
     .setDescription(description) // The main content we just built
-    .setThumbnail(song.thumbnail) // Small image shown in the top-right corner
+    .setThumbnail(song.thumbnail || null) // Small image in the top-right corner (local files have none)
     .setTimestamp();              // Shows when the embed was created/updated
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// updateNowPlayingMessage(guildId, upNextQueue)
+// buildNowPlayingControls(state, upNextQueue, settings)
+//
+// Builds the rows of buttons shown under the Now Playing embed. They follow
+// the current state:
+//   • Pause turns into Resume while paused
+//   • Loop shows the current loop mode (and is green while one is on)
+//   • Shuffle is greyed out when there's nothing to shuffle
+//
+// Returns an array of ActionRowBuilders (a row holds at most 5 buttons).
+// ─────────────────────────────────────────────────────────────────────────────
+function buildNowPlayingControls(state, upNextQueue, settings = {}) {
+  const loopMode = settings.loopMode || 'off';
+  const loopNames = { off: 'Off', track: 'Song', queue: 'Queue' };
+
+  const pauseButton = state.isPaused
+    ? new ButtonBuilder().setCustomId('pause:toggle').setLabel('Resume').setEmoji('▶️').setStyle(ButtonStyle.Success)
+    : new ButtonBuilder().setCustomId('pause:toggle').setLabel('Pause').setEmoji('⏸️').setStyle(ButtonStyle.Primary);
+
+  const mainRow = new ActionRowBuilder().addComponents(
+    pauseButton,
+    new ButtonBuilder()
+      .setCustomId('skip:now')
+      .setLabel('Skip')
+      .setEmoji('⏭️')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId('stop:now')
+      .setLabel('Stop')
+      .setEmoji('⏹️')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId('loop:cycle')
+      .setLabel(`Loop: ${loopNames[loopMode] || 'Off'}`)
+      .setEmoji(loopMode === 'track' ? '🔂' : '🔁')
+      .setStyle(loopMode === 'off' ? ButtonStyle.Secondary : ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId('queue:shuffle')
+      .setLabel('Shuffle')
+      .setEmoji('🔀')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!upNextQueue || upNextQueue.length < 2)
+  );
+
+  const queueRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('queue:view')
+      .setLabel('Show Queue')
+      .setEmoji('📜')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return [mainRow, queueRow];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// updateNowPlayingMessage(guildId, upNextQueue, settings)
 //
 // Sends or updates the "Now Playing" embed in the guild's text channel.
 // If the embed already exists, it edits it in place.
@@ -177,11 +350,11 @@ function buildNowPlayingEmbed(song, upNextQueue, isIntroPlaying, elapsed) {
 //
 // This is called:
 //   • When a song starts playing
-//   • Every 10 seconds to update the progress bar
-//   • When a new song is added to the queue (to refresh "Up Next")
+//   • Every EMBED.TICK_SECONDS to update the progress bar
+//   • When the queue or settings change (to refresh "Up Next")
 //   • When playback stops (to delete the embed)
 // ─────────────────────────────────────────────────────────────────────────────
-async function updateNowPlayingMessage(guildId, upNextQueue) {
+async function updateNowPlayingMessage(guildId, upNextQueue, settings = {}) {
   // Get the current playback state for this guild.
   const state = getGuildState(guildId);
 
@@ -198,32 +371,33 @@ async function updateNowPlayingMessage(guildId, upNextQueue) {
     return;
   }
 
-  // Calculate how many seconds of the current song have elapsed.
-  let elapsed = 0;
-  if (state.songStartTime) {
-    // Date.now() returns the current time in milliseconds.
-    // Subtract the start time and divide by 1000 to get seconds.
-    // Math.floor() rounds down to a whole number.
-    elapsed = Math.floor((Date.now() - state.songStartTime) / 1000);
-  }
+  // How many seconds of the current song have played. This comes from the
+  // playback clock (see state.js), so it stays right across pauses and seeks.
+  const elapsed = getPlaybackPosition(guildId);
 
   // Build the embed using the current state.
   const embed = buildNowPlayingEmbed(
     state.currentSong,          // The song that's playing
     upNextQueue || [],          // Songs waiting in the queue
     state.isIntroPlaying,       // Whether the DJ intro is currently playing
-    elapsed                     // Seconds elapsed for the progress bar
+    elapsed,                    // Seconds elapsed for the progress bar
+    settings,                   // Guild settings like the loop mode
+    // Vote-skip progress (only counted when vote-skip is on).
+    settings.voteSkip ? getVoteProgress(guildId, settings) : null
   );
 
+  // The buttons under it, matching the current state (Pause vs. Resume, etc.).
+  const components = buildNowPlayingControls(state, upNextQueue, settings);
+
   // Try to edit the existing message, or send a new one.
   const textChannel = require('../state').getTextChannel(guildId);
 
   if (state.statusMessage) {
     // An embed message already exists — edit it to show updated progress/queue.
     try {
-      await state.statusMessage.edit({ embeds: [embed] });
+      await state.statusMessage.edit({ embeds: [embed], components });
       // .edit() modifies the existing Discord message instead of sending a new one.
-      // { embeds: [embed] } = the updated embed content
+      // { embeds: [embed] } = the updated embed content, components = the buttons
     } catch (err) {
       // If editing fails (message deleted, permissions changed), clear the reference
       // so we send a new one next time.
@@ -233,7 +407,7 @@ async function updateNowPlayingMessage(guildId, upNextQueue) {
   } else if (textChannel) {
     // No embed exists yet — send a new one.
     try {
-      const msg = await textChannel.send({ embeds: [embed] });
+      const msg = await textChannel.send({ embeds: [embed], components });
       // textChannel.send() sends a message to the Discord channel.
       // It returns a Message object that we save so we can edit it later.
       setGuildState(guildId, { statusMessage: msg });
@@ -266,5 +440,9 @@ module.exports = {
   updateNowPlayingMessage,  // Send or update the Now Playing embed
   clearNowPlayingMessage,   // Delete the Now Playing embed when music stops
   buildNowPlayingEmbed,     // Build just the embed object (for manual use)
-  formatTime                // Convert seconds to "M:SS" string (utility)
+  buildNowPlayingControls,  // Build just the button rows (for manual use)
+  songLink,                 // A song's title as a Markdown link (utility)
+  formatTime,               // Convert seconds to "M:SS" string (utility)
+  parseTime,                // Convert "M:SS" (or "H:MM:SS") back to seconds (utility)
+  formatDuration            // Convert seconds to "2h14m" string (utility)
 };
@@ -0,0 +1,191 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/music/events.js — Listening for changes from the music service
+//
+// The music service announces every queue and settings change on its
+// GET /events stream (see services/music/events.js). This file keeps one
+// connection to that stream open for the whole bot, and whenever a guild that's
+// playing music has a change, redraws its Now Playing message.
+//
+// That way the embed updates the moment a song is queued, removed or moved —
+// whoever did it — without the bot asking the music service over and over.
+// (A slow tick in player.js still moves the progress bar along.)
+//
+// If the connection drops — e.g. the music service restarts — this file
+// keeps trying to reconnect, waiting a little longer after each failed try.
+// Once it's back, every playing guild is refreshed, in case something changed
+// in the meantime.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getGuildState, getPlayingGuildIds } = require('../state');
+const { refreshNowPlaying } = require('./player');
+const { MUSIC_SERVICE_URL, EVENTS } = require('../../shared/config');
+const { internalHeaders } = require('../../shared/auth');
+
+// One change often sends a few events at once (adding a song sends "enqueued"
+// and "queue-changed"), so wait this long and redraw once for all of them.
+const REFRESH_DELAY_MS = 250;
+
+// guildId → the timer for a redraw that's waiting to happen
+const pendingRefreshes = new Map();
+
+// Whether the stream is connected right now, whether it's been started, and
+// whether we've already logged that it's down (so it's only said once).
+let connected = false;
+let started = false;
+let reportedDown = false;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// subscribeToMusicEvents()
+//
+// Opens the connection to the music service's event stream. Call once when
+// the bot starts (ready.js) — calling it again does nothing.
+// ─────────────────────────────────────────────────────────────────────────────
+function subscribeToMusicEvents() {
+  if (started) return;
+  started = true;
+  connect(0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isEventStreamConnected()
+//
+// True while the bot is receiving events. While it isn't, the progress tick
+// in player.js fetches everything itself instead.
+// ─────────────────────────────────────────────────────────────────────────────
+function isEventStreamConnected() {
+  return connected;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// connect(failedTries)
+//
+// Helper: opens the stream and reads it until it ends, then schedules the
+// next try. `failedTries` counts the tries in a row that never connected —
+// it decides how long to wait before the next one (1s, 2s, 4s... up to
+// EVENTS.RECONNECT_MAX_SECONDS).
+// ─────────────────────────────────────────────────────────────────────────────
+async function connect(failedTries) {
+  // An AbortController lets us give up on the request from outside.
+  const controller = new AbortController();
+
+  // The watchdog: if nothing at all (not even a heartbeat) arrives for
+  // EVENTS.TIMEOUT_SECONDS, the connection is dead even if it looks open.
+  let watchdog = null;
+  const resetWatchdog = () => {
+    clearTimeout(watchdog);
+    watchdog = setTimeout(() => controller.abort(), EVENTS.TIMEOUT_SECONDS * 1000);
+  };
+
+  let didConnect = false;
+
+  try {
+    resetWatchdog();
+    const response = await fetch(`${MUSIC_SERVICE_URL}/events`, {
+      headers: { Accept: 'text/event-stream', ...internalHeaders() },
+      signal: controller.signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Music service returned HTTP ${response.status}`);
+    }
+
+    didConnect = true;
+    connected = true;
+    reportedDown = false;
+    console.log('[EVENTS] Connected to the music service event stream');
+
+    // Anything could have changed while we weren't listening.
+    for (const guildId of getPlayingGuildIds()) {
+      scheduleRefresh(guildId);
+    }
+
+    // Read the stream as it arrives. Events are separated by a blank line,
+    // and one chunk can hold part of an event, or several.
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      resetWatchdog();
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        handleEventBlock(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+      }
+    }
+
+    // The music service closed the connection (e.g. it's shutting down).
+    console.warn('[EVENTS] The music service closed the event stream — reconnecting');
+    reportedDown = true;
+  } catch (err) {
+    // Only mention the first failure, so a music service that's down for a
+    // while doesn't fill the log.
+    if (didConnect) {
+      console.warn('[EVENTS] Lost the music service event stream — reconnecting:', err.message);
+    } else if (!reportedDown) {
+      console.warn('[EVENTS] Could not connect to the music service event stream — will keep trying:', err.message);
+    }
+    reportedDown = true;
+  } finally {
+    clearTimeout(watchdog);
+    connected = false;
+  }
+
+  // Try again. After a connection that worked, start over with a short wait.
+  const tries = didConnect ? 0 : failedTries + 1;
+  const delay = Math.min(1000 * 2 ** tries, EVENTS.RECONNECT_MAX_SECONDS * 1000);
+  setTimeout(() => connect(tries), delay);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleEventBlock(block)
+//
+// Helper: reads one event out of the stream's text format, e.g.
+//   id: 12
+//   event: enqueued
+//   data: {"id":12,"type":"enqueued","guildId":"123",...}
+// Lines starting with ":" (the heartbeat) are comments and are ignored.
+// ─────────────────────────────────────────────────────────────────────────────
+function handleEventBlock(block) {
+  // The event's JSON is on its "data:" line(s).
+  const data = block
+    .split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('\n');
+  if (!data) return;
+
+  let event;
+  try {
+    event = JSON.parse(data);
+  } catch {
+    console.warn('[EVENTS] Ignoring an event that isn\'t valid JSON');
+    return;
+  }
+
+  // Only guilds that are playing have a Now Playing message to redraw.
+  if (event.guildId && getGuildState(event.guildId).isPlaying) {
+    scheduleRefresh(event.guildId);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// scheduleRefresh(guildId)
+//
+// Helper: redraws a guild's Now Playing message shortly, once for any number
+// of events that arrive in the meantime.
+// ─────────────────────────────────────────────────────────────────────────────
+function scheduleRefresh(guildId) {
+  if (pendingRefreshes.has(guildId)) return;
+
+  pendingRefreshes.set(guildId, setTimeout(() => {
+    pendingRefreshes.delete(guildId);
+    refreshNowPlaying(guildId).catch(err => {
+      console.warn(`[EVENTS] Could not refresh guild ${guildId}:`, err.message);
+    });
+  }, REFRESH_DELAY_MS));
+}
+
+module.exports = {
+  subscribeToMusicEvents,  // Start listening (once, when the bot starts)
+  isEventStreamConnected   // Whether changes are arriving right now
+};
@@ -0,0 +1,195 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/music/permissions.js — Who may use which music controls
+//
+// Without rules, anyone in the server can /stop the bot and wipe the queue for
+// everybody. Server managers can set rules with /permissions, and this file
+// checks them. interactionCreate.js calls checkMusicPermission() before EVERY
+// slash command and button, so the commands themselves don't need to know
+// about any of this.
+//
+// The rules (saved in the guild's music settings):
+//   stopRoleIds      — roles that may stop the music
+//   clearRoleIds     — roles that may clear the queue
+//   queueEditRoleIds — roles that may remove, move and shuffle songs
+//   removeOwnOnly    — people WITHOUT a queue-edit role may only remove
+//                      songs they requested themselves (nobody else's)
+//   requireSameVoice — while the bot is in a voice channel, music controls
+//                      only work for people in that same channel
+//
+// An empty role list means "everyone". Server managers (Manage Server
+// permission) are never blocked.
+//
+// Interactions are described by a short "key" so slash commands and buttons
+// can share the same rules:
+//   /stop               → "stop"
+//   /queue clear        → "queue:clear"   (command + subcommand)
+//   the Stop button     → "stop:now"      (its customId)
+//
+// Controls from outside Discord (the web dashboard) use the same keys, through
+// checkMemberPermission().
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { PermissionFlagsBits } = require('discord.js');
+const { callMusicService } = require('./player');
+const { getGuildState, getVoiceChannel } = require('../state');
+
+// ── Role rules ────────────────────────────────────────────────────────────────
+// Which role-list setting guards each key.
+const ROLE_RULES = {
+  'stop':          'stopRoleIds',
+  'stop:now':      'stopRoleIds',
+  'queue:clear':   'clearRoleIds',
+  'queue:remove':  'queueEditRoleIds',
+  'queue:move':    'queueEditRoleIds',
+  'queue:shuffle': 'queueEditRoleIds'   // Both /queue shuffle and the Shuffle button
+};
+
+// ── Voice-channel rule ────────────────────────────────────────────────────────
+// The keys that change what's playing. Just LOOKING (/queue view, /history,
+// /playlist list, ...) is allowed from anywhere.
+const VOICE_RULE_KEYS = new Set([
+  'play', 'playnext', 'playnow', 'search:pick',
+  'skip', 'skip:now', 'stop', 'stop:now',
+  'pause', 'pause:toggle', 'resume',
+  'seek', 'forward', 'rewind', 'volume', 'filter',
+  'loop', 'loop:cycle',
+  'queue:remove', 'queue:move', 'queue:shuffle', 'queue:clear',
+  'history:replay', 'playlist:load', 'library:queue'
+]);
+
+// What each role rule is called in the "you can't do that" message.
+const RULE_NAMES = {
+  stopRoleIds: 'stop the music',
+  clearRoleIds: 'clear the queue',
+  queueEditRoleIds: 'edit the queue'
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getPermissionKey(interaction)
+//
+// Builds the key for a slash command or component (see the top of this file).
+// ─────────────────────────────────────────────────────────────────────────────
+function getPermissionKey(interaction) {
+  if (interaction.isMessageComponent()) {
+    // "history:page:2" → "history:page" (the parts after the action are arguments)
+    return interaction.customId.split(':').slice(0, 2).join(':');
+  }
+
+  // getSubcommand(false) returns null instead of throwing when there isn't one.
+  const subcommand = interaction.options.getSubcommand(false);
+  return subcommand ? `${interaction.commandName}:${subcommand}` : interaction.commandName;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// hasAnyRole(member, roleIds)
+//
+// True if the member has at least one of the roles, or if the list is empty
+// (no roles picked = everyone is allowed).
+// ─────────────────────────────────────────────────────────────────────────────
+function hasAnyRole(member, roleIds = []) {
+  if (roleIds.length === 0) return true;
+  return roleIds.some(id => member.roles.cache.has(id));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkRemoveOwnSong(member, guildId, position)
+//
+// For removing a song under the "own songs only" rule: returns null if the
+// song at that position was requested by this member, or the reason it wasn't.
+// ─────────────────────────────────────────────────────────────────────────────
+async function checkRemoveOwnSong(member, guildId, position) {
+  let queue;
+  try {
+    queue = await callMusicService(`/queue/${guildId}`, 'GET');
+  } catch (err) {
+    // If the music service is down, the remove will report that itself.
+    console.warn('[PERMISSIONS] Could not load the queue, allowing:', err.message);
+    return null;
+  }
+  const song = queue[position - 1];
+
+  // Let the remove itself explain a position that doesn't exist.
+  if (!song) return null;
+
+  if (song.requester?.id === member.id) return null;
+  return `🔒 You can only remove songs you queued yourself — **${song.title}** isn't one of them.`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkMusicPermission(interaction)
+//
+// Checks a slash command or component against the guild's rules.
+//
+// Returns null if it's allowed, or a message explaining why not (ready to
+// send as the reply). Interactions outside servers are never blocked here.
+// ─────────────────────────────────────────────────────────────────────────────
+async function checkMusicPermission(interaction) {
+  if (!interaction.guild || !interaction.member) return null;
+
+  const key = getPermissionKey(interaction);
+  // /queue remove says which song in its "position" option.
+  const position = key === 'queue:remove' ? interaction.options.getInteger('position') : null;
+
+  return checkMemberPermission(interaction.member, interaction.guild.id, key, { position });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkMemberPermission(member, guildId, key, details)
+//
+// The check itself: may this guild member do the action with this key?
+// checkMusicPermission() works out the key from an interaction; the web
+// dashboard passes its own.
+//
+// details.position — for "queue:remove", the position of the song (needed
+//                    for the "own songs only" rule)
+//
+// Returns null if it's allowed, or a message explaining why not.
+// ─────────────────────────────────────────────────────────────────────────────
+async function checkMemberPermission(member, guildId, key, { position = null } = {}) {
+  const rule = ROLE_RULES[key];
+
+  // Most actions have no rules at all — don't ask the music service.
+  if (!rule && !VOICE_RULE_KEYS.has(key)) return null;
+
+  // Server managers can always do everything.
+  if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return null;
+
+  let settings;
+  try {
+    settings = await callMusicService(`/settings/${guildId}`, 'GET');
+  } catch (err) {
+    // If the music service is down, the command will report that itself.
+    console.warn('[PERMISSIONS] Could not load settings, allowing:', err.message);
+    return null;
+  }
+
+  // The voice-channel rule — only while the bot is actually in a channel.
+  // (If it isn't, /play from anywhere is how it gets invited in.)
+  if (settings.requireSameVoice && VOICE_RULE_KEYS.has(key)) {
+    const botChannel = getGuildState(guildId).currentConnection ? getVoiceChannel(guildId) : null;
+    if (botChannel && member.voice.channelId !== botChannel.id) {
+      return `🔒 Join <#${botChannel.id}> to control the music.`;
+    }
+  }
+
+  if (!rule) return null;
+
+  // The role rules. With "own songs only" on, removing without one of the
+  // queue-edit roles (an empty list doesn't count) is limited to your own songs.
+  const roleIds = settings[rule] || [];
+  const hasListedRole = roleIds.some(id => member.roles.cache.has(id));
+  if (key === 'queue:remove' && settings.removeOwnOnly && !hasListedRole) {
+    return checkRemoveOwnSong(member, guildId, position);
+  }
+
+  if (hasAnyRole(member, roleIds)) return null;
+
+  // <@&ROLE_ID> shows as a role mention in Discord.
+  const roles = roleIds.map(id => `<@&${id}>`).join(', ');
+  return `🔒 Only ${roles} (and server managers) can ${RULE_NAMES[rule]}.`;
+}
+
+module.exports = {
+  checkMusicPermission,  // Check a slash command or component
+  checkMemberPermission  // Check an action by key (for controls outside Discord)
+};
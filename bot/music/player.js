@@ -9,6 +9,7 @@
 //   • Handling the DJ intro TTS before songs
 //   • Updating the "Now Playing" embed
 //   • Auto-advancing to the next song when the current one ends
+//   • Getting the next song's stream (and DJ intro) ready early (see prefetch.js)
 //
 // This file lives in the main bot process (Process 1) because it needs the
 // Discord voice connection, which requires the Discord.js client to be running.
@@ -33,17 +34,46 @@ const {
   getGuildState,
   setGuildState,
   resetGuildState,
-  getDJMode
+  getPlaybackPosition,
+  getDJMode,
+  setTextChannel,
+  setVoiceChannel,
+  getTextChannel
 } = require('../state');
 
 // Import the embed builder to update the "Now Playing" message.
 const { updateNowPlayingMessage, clearNowPlayingMessage } = require('./embed');
 
 // Import shared config for the service URLs.
-const { MUSIC_SERVICE_URL, AI_SERVICE_URL } = require('../../shared/config');
+const { MUSIC_SERVICE_URL, AI_SERVICE_URL, EMBED } = require('../../shared/config');
+const { internalHeaders } = require('../../shared/auth');
 
-// getAudioStream from youtube.js — gets a live audio byte stream from yt-dlp.
-const { getAudioStream } = require('../../services/music/youtube');
+// getAudioStream from sources.js — gets a live audio byte stream for a song,
+// from whichever site (or file) it came from.
+const { getAudioStream } = require('../../services/music/sources');
+
+// getFilter from filters.js — looks up an audio effect preset (for its speed).
+const { getFilter } = require('../../services/music/filters');
+
+// Prefetching — streams the next song ahead of time, so songs change without a gap.
+const {
+  prefetchSong,
+  prefetchIntro,
+  takePrefetchedStream,
+  takePrefetchedIntro,
+  discardPrefetch
+} = require('./prefetch');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkpoints()
+//
+// Helper: the checkpoint functions (saving where the music is, so a restart
+// can carry on — see checkpoint.js). Required here rather than at the top:
+// checkpoint.js needs this file, so requiring it up there would be circular.
+// ─────────────────────────────────────────────────────────────────────────────
+function checkpoints() {
+  return require('./checkpoint');
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // callMusicService(path, method, body)
@@ -64,8 +94,9 @@ async function callMusicService(path, method = 'GET', body = null) {
     // Build the options object for fetch().
     const options = {
       method: method,  // 'GET', 'POST', or 'DELETE'
-      headers: { 'Content-Type': 'application/json' }
-      // Headers tell the server what format the request body is in.
+      // Headers tell the server what format the request body is in — and
+      // prove the request comes from the bot (the internal secret, if set).
+      headers: { 'Content-Type': 'application/json', ...internalHeaders() }
     };
 
     // If there's a body to send (POST requests), convert it to a JSON string.
@@ -77,7 +108,10 @@ async function callMusicService(path, method = 'GET', body = null) {
     const response = await fetch(url, options);
 
     if (!response.ok) {
-      throw new Error(`Music service returned HTTP ${response.status}`);
+      // Use the music service's own error message if it sent one
+      // (e.g. "There's no song at position 9"), so commands can show it.
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Music service returned HTTP ${response.status}`);
     }
 
     // Parse and return the JSON response.
@@ -93,6 +127,90 @@ async function callMusicService(path, method = 'GET', body = null) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// refreshNowPlaying(guildId)
+//
+// Fetches the latest queue and settings (loop mode, etc.) from the music service
+// and redraws the "Now Playing" embed with them. Called when a song starts,
+// when the music service says something changed (see events.js), and by
+// commands that change the queue or settings (/queue remove, /loop, etc.).
+//
+// What it fetched is kept in the guild state (lastQueue, lastSettings,
+// lastNextSong), so the progress tick can redraw without asking again.
+//
+// Never throws — if the music service is down, the embed just shows an empty
+// "Up Next" list until the next refresh.
+//
+// While a song is playing it also checks which song is next (POST /peek) and
+// hands it to the prefetcher — with DJ mode on, along with a job to write and
+// record its intro. Because everything that changes the queue ends with a
+// refresh, a changed queue gets its new next song prefetched straight away.
+//
+// Not during a DJ intro: the song being introduced has already left the
+// queue, and its prefetched stream is still waiting to be used. And not with
+// loop mode 'track' on: the same song plays again, so the next one in the
+// queue (and its intro) isn't needed — any prefetch is thrown away instead.
+// ─────────────────────────────────────────────────────────────────────────────
+async function refreshNowPlaying(guildId) {
+  // Promise.all() runs both requests at the same time and waits for both.
+  const [queueList, settings] = await Promise.all([
+    callMusicService(`/queue/${guildId}`, 'GET').catch(() => []),
+    callMusicService(`/settings/${guildId}`, 'GET').catch(() => ({}))
+  ]);
+  setGuildState(guildId, { lastQueue: queueList || [], lastSettings: settings || {} });
+  await updateNowPlayingMessage(guildId, queueList || [], settings || {});
+
+  const state = getGuildState(guildId);
+  if (state.isPlaying && !state.isIntroPlaying) {
+    // undefined = couldn't ask (leave the prefetch alone); null = queue is
+    // empty, or this song repeats (nothing to get ready).
+    const nextSong = settings?.loopMode === 'track'
+      ? null
+      : await callMusicService('/peek', 'POST', { guildId }).catch(() => undefined);
+    if (nextSong !== undefined) {
+      setGuildState(guildId, { lastNextSong: nextSong });
+      prefetchSong(guildId, nextSong);
+      if (nextSong && getDJMode(guildId)) {
+        prefetchIntro(guildId, nextSong, () => generateIntro(nextSong));
+      }
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// tickNowPlaying(guildId)
+//
+// Runs every EMBED.TICK_SECONDS while a song plays, to move the progress bar
+// along. It redraws the embed from the last refresh's queue and settings
+// instead of fetching them again — changes arrive over the music event stream
+// and trigger a full refresh of their own. It also gives the prefetcher a
+// chance to start buffering the next song as the current one nears its end.
+//
+// While the event stream is down (e.g. the music service is restarting),
+// changes could be missed, so each tick does a full refresh instead.
+//
+// Every RESUME.CHECKPOINT_SECONDS a tick also saves a checkpoint, so after a
+// crash the song resumes at most that far from where it was.
+// ─────────────────────────────────────────────────────────────────────────────
+async function tickNowPlaying(guildId) {
+  await checkpoints().saveCheckpointIfDue(guildId);
+
+  // Required here rather than at the top: events.js needs this file, so
+  // requiring it up there would be circular.
+  const { isEventStreamConnected } = require('./events');
+  if (!isEventStreamConnected()) {
+    await refreshNowPlaying(guildId);
+    return;
+  }
+
+  const state = getGuildState(guildId);
+  await updateNowPlayingMessage(guildId, state.lastQueue || [], state.lastSettings || {});
+
+  if (state.isPlaying && !state.isIntroPlaying && state.lastNextSong) {
+    prefetchSong(guildId, state.lastNextSong);
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // callAIService(path, body)
 //
@@ -103,7 +221,7 @@ async function callAIService(path, body) {
   try {
     const response = await fetch(`${AI_SERVICE_URL}${path}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...internalHeaders() },
       body: JSON.stringify(body)
     });
 
@@ -116,6 +234,27 @@ async function callAIService(path, body) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// generateIntro(song)
+//
+// Has the AI service write a DJ intro for a song and record it as speech.
+// Returns the path of the recorded .wav file, or null if either step failed
+// (the AI service is optional, so that's not an error).
+//
+// Both steps are slow on weaker hardware (20+ seconds together), which is why
+// the next song's intro is usually made while the current song plays.
+// ─────────────────────────────────────────────────────────────────────────────
+async function generateIntro(song) {
+  // Ask the AI service to generate a DJ intro text.
+  const djResult = await callAIService('/dj-intro', { title: song.title });
+  const introText = djResult?.text;
+  if (!introText) return null;
+
+  // Ask the AI service to synthesize the intro to speech.
+  const ttsResult = await callAIService('/tts', { text: introText });
+  return ttsResult?.audioFilePath || null;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ensureVoiceConnection(voiceChannel)
 //
@@ -168,15 +307,75 @@ async function ensureVoiceConnection(voiceChannel) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// startPlayback(guildId, voiceChannel)
+// ensurePlaying(guildId, voiceChannel, textChannel)
+//
+// Call this after adding songs to the queue from anywhere other than /play
+// (a /history pick, a saved playlist, etc.). If music is already playing it
+// does nothing — the new songs just wait their turn. If the bot is idle, it
+// joins the voice channel and starts playing the queue.
+//
+// Parameters:
+//   voiceChannel — the voice channel to play in (the user's channel)
+//   textChannel  — where to post the "Now Playing" embed
+// ─────────────────────────────────────────────────────────────────────────────
+async function ensurePlaying(guildId, voiceChannel, textChannel) {
+  if (getGuildState(guildId).isPlaying) return;
+
+  setTextChannel(guildId, textChannel);
+  setVoiceChannel(guildId, voiceChannel);
+
+  await ensureVoiceConnection(voiceChannel);
+  await startPlayback(guildId, voiceChannel);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resumeSession(guildId, voiceChannel, textChannel, song, options)
+//
+// Carries on with a song that was playing when the bot went down (see
+// checkpoint.js). Joins the voice channel and plays the song from `offset` —
+// without a DJ intro, since it had already started. When it ends, the rest
+// of the queue plays as normal.
+//
+// Options:
+//   offset        — where in the song to start, in seconds
+//   startedAt     — when the song first started (for the play history)
+//   paused        — true = it was paused, so pause it again straight away
+//   statusMessage — the old Now Playing message, to keep editing instead of
+//                   posting a new one (or null)
+// ─────────────────────────────────────────────────────────────────────────────
+async function resumeSession(guildId, voiceChannel, textChannel, song, { offset = 0, startedAt = null, paused = false, statusMessage = null } = {}) {
+  if (getGuildState(guildId).isPlaying) return;
+
+  setTextChannel(guildId, textChannel);
+  setVoiceChannel(guildId, voiceChannel);
+  setGuildState(guildId, { statusMessage });
+
+  const connection = await ensureVoiceConnection(voiceChannel);
+  await playSong(guildId, connection, createAudioPlayer(), song, voiceChannel, { offset, startedAt });
+
+  if (paused && pause(guildId)) {
+    // Flip the button to "Resume".
+    await refreshNowPlaying(guildId);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// startPlayback(guildId, voiceChannel, ended)
 //
 // Starts the playback loop for a guild. Checks for the next song in the queue
 // and plays it. When it finishes, automatically calls itself again for the
 // next song, creating a continuous playback chain.
 //
+// Parameters:
+//   ended — (optional) the song that just ended and how it ended:
+//           { song, outcome, startedAt } where outcome is 'finished', 'skipped'
+//           or 'error'. Passed along to the music service so loop modes can
+//           replay it and the play history can log it.
+//           Left out when starting fresh from /play.
+//
 // This is the main "engine" that keeps music playing.
 // ─────────────────────────────────────────────────────────────────────────────
-async function startPlayback(guildId, voiceChannel) {
+async function startPlayback(guildId, voiceChannel, ended = null) {
   // Wrap everything in try/catch so errors don't crash the whole bot.
   try {
     const state = getGuildState(guildId);
@@ -188,8 +387,14 @@ async function startPlayback(guildId, voiceChannel) {
     }
 
     // Get the next song from the music service's queue.
-    // POST /next removes and returns the first song in the queue.
-    const nextSong = await callMusicService('/next', 'POST', { guildId });
+    // POST /next removes and returns the first song in the queue — or, with a
+    // loop mode on, may hand back (or re-queue) the song that just ended.
+    const nextSong = await callMusicService('/next', 'POST', {
+      guildId,
+      finished: ended?.song,
+      outcome: ended?.outcome,
+      startedAt: ended?.startedAt
+    });
 
     if (!nextSong || !nextSong.url) {
       // No more songs in queue — stop playing.
@@ -197,7 +402,9 @@ async function startPlayback(guildId, voiceChannel) {
       // clearNowPlayingMessage must run BEFORE resetGuildState — resetting state
       // wipes statusMessage to null, which would prevent the embed from being deleted.
       await clearNowPlayingMessage(guildId);
+      discardPrefetch(guildId);
       resetGuildState(guildId);
+      await checkpoints().clearCheckpoint(guildId);
       return;
     }
 
@@ -223,30 +430,25 @@ async function startPlayback(guildId, voiceChannel) {
         currentSong: nextSong,
         currentPlayer: player,
         currentConnection: connection,
+        skipVotes: new Set(),   // A new song starts with no skip votes
         isPlaying: true,
         isIntroPlaying: true,
         isPaused: false,
-        songStartTime: null
+        currentResource: null,
+        songStartedAt: null
       });
 
-      // Get the current queue (for the "Up Next" display in the embed).
-      const queueList = await callMusicService(`/queue/${guildId}`, 'GET');
-      await updateNowPlayingMessage(guildId, queueList || []);
+      // Show the embed with the current queue (for the "Up Next" display).
+      await refreshNowPlaying(guildId);
 
-      // Ask the AI service to generate a DJ intro text.
-      const djResult = await callAIService('/dj-intro', { title: nextSong.title });
-      const introText = djResult?.text;
+      // Use the intro made while the last song played, if there is one —
+      // otherwise make it now.
+      const audioFilePath = await takePrefetchedIntro(guildId, nextSong) || await generateIntro(nextSong);
 
-      if (introText) {
-        // Ask the AI service to synthesize the intro to speech.
-        const ttsResult = await callAIService('/tts', { text: introText });
-        const audioFilePath = ttsResult?.audioFilePath;
-
-        if (audioFilePath) {
-          // Play the TTS audio first, then play the actual song after.
-          await playTTSThenSong(guildId, connection, player, audioFilePath, nextSong, voiceChannel);
-          return; // playTTSThenSong handles the rest, including starting the next song
-        }
+      if (audioFilePath) {
+        // Play the TTS audio first, then play the actual song after.
+        await playTTSThenSong(guildId, connection, player, audioFilePath, nextSong, voiceChannel);
+        return; // playTTSThenSong handles the rest, including starting the next song
       }
 
       // If DJ intro failed (AI service down, TTS failed, etc.), just play the song directly.
@@ -260,6 +462,7 @@ async function startPlayback(guildId, voiceChannel) {
     console.error(`[PLAYER] Error in startPlayback for guild ${guildId}:`, err.message);
     // Reset state so the guild doesn't get stuck in a broken "playing" state.
     resetGuildState(guildId);
+    await checkpoints().clearCheckpoint(guildId);
   }
 }
 
@@ -277,9 +480,14 @@ async function playTTSThenSong(guildId, connection, player, ttsFilePath, song, v
     const ttsResource = createAudioResource(ttsFilePath, {
       // StreamType.Arbitrary means we're sending raw audio and Discord should
       // figure out the format itself. Works well for .wav files.
-      inputType: StreamType.Arbitrary
+      inputType: StreamType.Arbitrary,
+      inlineVolume: true
     });
 
+    // The DJ has its own volume level, separate from the music's.
+    const { djVolume } = await getPlaybackSettings(guildId);
+    ttsResource.volume.setVolume(djVolume / 100);
+
     // Connect the player to the voice connection.
     // connection.subscribe(player) says "this player's audio goes to this voice channel".
     connection.subscribe(player);
@@ -291,6 +499,15 @@ async function playTTSThenSong(guildId, connection, player, ttsFilePath, song, v
     // player.once() listens for an event exactly one time, then removes itself.
     // AudioPlayerStatus.Idle = "the player just finished playing something"
     player.once(AudioPlayerStatus.Idle, async () => {
+      // /playnow cut the intro short to play something else — drop this song
+      // too and move straight on to the one that was put at the front.
+      if (getGuildState(guildId).skipWholeSong) {
+        console.log(`[PLAYER] Skipped "${song.title}" during its DJ intro`);
+        setGuildState(guildId, { isIntroPlaying: false, isPlaying: false, skipWholeSong: false });
+        await startPlayback(guildId, voiceChannel, { song, outcome: 'skipped' });
+        return;
+      }
+
       console.log('[PLAYER] DJ intro finished, starting song');
 
       // Mark that the intro is done.
@@ -315,31 +532,88 @@ async function playTTSThenSong(guildId, connection, player, ttsFilePath, song, v
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// playSong(guildId, connection, player, song, voiceChannel)
+// createSongResource(song, options)
+//
+// Starts streaming a song and wraps the stream in an AudioResource the player
+// can play. Used when a song starts, by seek() and by setFilter().
+//
+// Options:
+//   offset — where in the song to start, in seconds (default 0)
+//   volume — in percent (100 = unchanged). inlineVolume lets us change it
+//            later while the song plays, which is how /volume works.
+//   filter — the audio effect preset to apply ('off' or null = none)
+//   stream — (optional) an audio stream that's already running (from the
+//            prefetcher) — used instead of starting a new one
+// ─────────────────────────────────────────────────────────────────────────────
+async function createSongResource(song, { offset = 0, volume = 100, filter = null, stream = null } = {}) {
+  const audioStream = stream || await getAudioStream(song, { seek: offset, filter });
+
+  const resource = createAudioResource(audioStream, {
+    // getAudioStream() hands us raw PCM audio already, so Discord doesn't
+    // need to run it through ffmpeg again — it only has to encode it to Opus.
+    inputType: StreamType.Raw,
+    inlineVolume: true
+  });
+
+  // .volume.setVolume() takes a multiplier: 1 = 100%, 0.5 = 50%, 2 = 200%.
+  resource.volume.setVolume(volume / 100);
+  return resource;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getPlaybackSettings(guildId)
+//
+// Looks up the guild's saved volume levels (set with /volume) and audio
+// filter (set with /filter).
+// Returns { volume, djVolume, filter } — 100% volumes and no filter if the
+// music service can't be reached, so a hiccup there never makes a song silent.
+// ─────────────────────────────────────────────────────────────────────────────
+async function getPlaybackSettings(guildId) {
+  const settings = await callMusicService(`/settings/${guildId}`, 'GET').catch(() => ({}));
+  return {
+    volume: Number.isInteger(settings.volume) ? settings.volume : 100,
+    djVolume: Number.isInteger(settings.djVolume) ? settings.djVolume : 100,
+    filter: settings.filter || 'off'
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// playSong(guildId, connection, player, song, voiceChannel, options)
 //
 // Plays a single song through the voice connection.
 // When the song finishes, automatically calls startPlayback() for the next song.
+//
+// Options (only used when resuming after a restart, see resumeSession()):
+//   offset    — where in the song to start, in seconds (default 0)
+//   startedAt — when the song first started, for the play history
+//               (default: now)
 // ─────────────────────────────────────────────────────────────────────────────
-async function playSong(guildId, connection, player, song, voiceChannel) {
+async function playSong(guildId, connection, player, song, voiceChannel, { offset = 0, startedAt = null } = {}) {
   try {
-    // Get a live audio stream from yt-dlp for this YouTube URL.
-    // This starts downloading audio from YouTube and pipes it directly to Discord.
-    const audioStream = getAudioStream(song.url);
-
-    // Create an AudioResource from the stream.
-    const resource = createAudioResource(audioStream, {
-      inputType: StreamType.Arbitrary  // Let Discord handle the format detection
-    });
+    // Get a live audio stream for this YouTube URL and wrap it for Discord.
+    // This starts streaming audio from YouTube and pipes it directly to Discord.
+    // If the prefetcher already got this song going, its stream is used instead
+    // (it always starts from the beginning, so not when resuming part-way).
+    const { volume, filter } = await getPlaybackSettings(guildId);
+    const stream = offset > 0 ? null : await takePrefetchedStream(guildId, song, filter);
+    const resource = await createSongResource(song, { offset, volume, filter, stream });
 
     // Connect the player to voice and start playing.
     connection.subscribe(player);
     player.play(resource);
 
-    // Record when this song started (for progress bar calculation).
-    const songStartTime = Date.now();
+    // A new song starts with no skip votes. (If the DJ intro just played, the
+    // song was already current — votes cast during its intro still count.)
+    if (getGuildState(guildId).currentSong !== song) {
+      setGuildState(guildId, { skipVotes: new Set() });
+    }
+
+    // Record when this song started (for the play history).
+    const songStartedAt = startedAt || Date.now();
     // Date.now() returns the current time in milliseconds since Jan 1, 1970.
 
-    // Update state: mark as playing, not intro, set start time.
+    // Update state: mark as playing, not intro, start the playback clock
+    // (at 0, or where a resumed song left off).
     setGuildState(guildId, {
       isPlaying: true,
       isPaused: false,
@@ -347,20 +621,28 @@ async function playSong(guildId, connection, player, song, voiceChannel) {
       currentSong: song,
       currentPlayer: player,
       currentConnection: connection,
-      songStartTime: songStartTime
+      currentResource: resource,
+      currentFilter: filter,
+      songStartedAt: songStartedAt,
+      playbackOffset: offset,
+      playbackSpeed: getFilter(filter)?.speed || 1,
+      skipRequested: false,  // A skip during the DJ intro only skips the intro
+      skipWholeSong: false
     });
 
-    // Get the queue for the "Up Next" display.
-    const queueList = await callMusicService(`/queue/${guildId}`, 'GET').catch(() => []);
-    await updateNowPlayingMessage(guildId, queueList || []);
+    // Show the embed with the queue for the "Up Next" display.
+    await refreshNowPlaying(guildId);
+
+    // Remember this song in case the bot restarts (after the refresh, so the
+    // Now Playing message it posted is remembered too).
+    await checkpoints().saveCheckpoint(guildId);
 
-    // Start a timer that updates the progress bar every 10 seconds.
+    // Start a timer that moves the progress bar along every EMBED.TICK_SECONDS.
     // setInterval() repeatedly calls a function at a fixed time interval.
-    const progressTimer = setInterval(async () => {
-      // Get fresh queue data on each update.
-      const freshQueue = await callMusicService(`/queue/${guildId}`, 'GET').catch(() => []);
-      await updateNowPlayingMessage(guildId, freshQueue || []);
-    }, 10_000); // 10,000ms = 10 seconds
+    // (Queue and settings changes redraw the embed straight away — see events.js.)
+    const progressTimer = setInterval(() => {
+      tickNowPlaying(guildId).catch(err => console.warn('[PLAYER] Progress tick failed:', err.message));
+    }, EMBED.TICK_SECONDS * 1000);
 
     // Save the timer ID so we can stop it when the song ends.
     setGuildState(guildId, { progressTimer });
@@ -378,23 +660,20 @@ async function playSong(guildId, connection, player, song, voiceChannel) {
         clearInterval(currentState.progressTimer);
       }
 
+      // Did the song play to the end, or did someone /skip it?
+      const outcome = currentState.skipRequested ? 'skipped' : 'finished';
+
       // Mark as not playing anymore.
       setGuildState(guildId, {
         isPlaying: false,
         progressTimer: null,
-        songStartTime: null
+        currentResource: null,
+        songStartedAt: null
       });
 
-      // Wait 500ms before starting the next song.
-      // This small delay prevents race conditions between audio finishing and
-      // the next song starting. Think of it as giving the record player a moment.
-      await new Promise(resolve => setTimeout(resolve, 500));
-      // new Promise() creates a deferred operation.
-      // setTimeout(resolve, 500) calls resolve (completing the promise) after 500ms.
-      // await pauses execution until resolve is called.
-
-      // Start the next song (or stop if queue is empty).
-      await startPlayback(guildId, voiceChannel);
+      // Start the next song straight away (or stop if queue is empty).
+      // Its stream is usually prefetched already, so there's hardly any gap.
+      await startPlayback(guildId, voiceChannel, { song, outcome, startedAt: songStartedAt });
     });
 
     // ── Handle player errors ────────────────────────────────────────────
@@ -406,40 +685,176 @@ async function playSong(guildId, connection, player, song, voiceChannel) {
         clearInterval(currentState.progressTimer);
       }
 
-      setGuildState(guildId, { isPlaying: false, progressTimer: null });
+      setGuildState(guildId, { isPlaying: false, progressTimer: null, currentResource: null });
 
       // Try to continue with the next song even after an error.
-      await startPlayback(guildId, voiceChannel);
+      await startPlayback(guildId, voiceChannel, { song, outcome: 'error', startedAt: songStartedAt });
     });
 
   } catch (err) {
     console.error(`[PLAYER] Error playing song "${song.title}":`, err.message);
+
+    // An attached file whose Discord link has run out can never play again —
+    // say so, rather than just moving on to the next song without a word.
+    if (err.code === 'ATTACHMENT_EXPIRED') {
+      await getTextChannel(guildId)?.send(`❌ ${err.message}`).catch(() => {});
+    }
+
     setGuildState(guildId, { isPlaying: false });
     // Try the next song in the queue.
-    await startPlayback(guildId, voiceChannel);
+    await startPlayback(guildId, voiceChannel, { song, outcome: 'error' });
   }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// skip(guildId)
+// skip(guildId, options)
 //
 // Skips the currently playing song by forcing the player to stop.
 // The AudioPlayerStatus.Idle event fires, which triggers startPlayback() for
 // the next song automatically.
+//
+// During a DJ intro a normal skip only skips the intro. Pass
+// { wholeSong: true } to skip the song it was introducing as well
+// (/playnow does this, so the new song really plays right away).
 // ─────────────────────────────────────────────────────────────────────────────
-function skip(guildId) {
+function skip(guildId, { wholeSong = false } = {}) {
   const state = getGuildState(guildId);
 
   if (!state.currentPlayer || !state.isPlaying) {
     return false; // Nothing to skip — return false to signal "skip failed"
   }
 
+  // Remember this was a skip, so repeat-track mode moves on instead of
+  // replaying the same song.
+  setGuildState(guildId, { skipRequested: true, skipWholeSong: wholeSong && state.isIntroPlaying });
+
   // .stop() stops the player, which triggers the AudioPlayerStatus.Idle event,
   // which then calls startPlayback() for the next song.
   state.currentPlayer.stop();
   return true; // Skip succeeded
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// seek(guildId, seconds)
+//
+// Jumps to a point in the current song by restarting its stream from there.
+//
+// Seeking while paused resumes playback (a fresh stream always starts playing).
+//
+// Returns the position actually jumped to (in seconds, clamped to the song),
+// or false if there's nothing to seek in — no song, the DJ intro is still
+// playing, or the song has no known length (e.g. a livestream).
+// Throws if the new stream can't be started.
+// ─────────────────────────────────────────────────────────────────────────────
+async function seek(guildId, seconds) {
+  const state = getGuildState(guildId);
+
+  if (!(state.currentSong?.duration > 0)) {
+    return false;
+  }
+
+  // Keep the target inside the song: not before 0:00, and not past the last second.
+  const target = Math.min(Math.max(Math.floor(seconds), 0), state.currentSong.duration - 1);
+
+  const restarted = await restartStream(guildId, target, state.currentFilter);
+  if (restarted) {
+    console.log(`[PLAYER] Seeked to ${target}s in "${state.currentSong.title}"`);
+  }
+  return restarted ? target : false;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// setFilter(guildId, filter)
+//
+// Switches the current song to a different audio effect preset ('off' for
+// none) without losing its place — the stream restarts from where it was.
+// Saving the filter for later songs is up to the caller (/filter saves it in
+// the guild's settings, which playSong() reads for every new song).
+//
+// Returns true if the current song was switched, false if nothing is playing
+// (or the DJ intro is — the song will pick up the saved filter when it starts).
+// ─────────────────────────────────────────────────────────────────────────────
+async function setFilter(guildId, filter) {
+  const state = getGuildState(guildId);
+
+  if (!state.currentSong || state.currentFilter === filter) {
+    return false;
+  }
+
+  // Livestreams have no length — they just pick up again from "now".
+  const position = state.currentSong.duration > 0 ? getPlaybackPosition(guildId) : 0;
+  return restartStream(guildId, position, filter);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// restartStream(guildId, offset, filter)
+//
+// Helper for seek() and setFilter(): starts a new stream of the current song
+// from `offset` seconds with `filter`, and swaps it in for the old one.
+//
+// The player keeps its "song finished" listener, because swapping in a new
+// resource with player.play() doesn't count as the old one finishing.
+//
+// Returns true if it worked, false if there was no song to restart.
+// Throws if the new stream can't be started.
+// ─────────────────────────────────────────────────────────────────────────────
+async function restartStream(guildId, offset, filter) {
+  const state = getGuildState(guildId);
+
+  if (!state.currentPlayer || !state.currentSong || !state.currentResource || state.isIntroPlaying) {
+    return false;
+  }
+
+  const song = state.currentSong;
+
+  // Keep whatever volume the song is playing at.
+  const volume = Math.round((state.currentResource.volume?.volume ?? 1) * 100);
+  const resource = await createSongResource(song, { offset, volume, filter });
+
+  // The song might have been skipped or stopped while the stream was starting.
+  const current = getGuildState(guildId);
+  if (current.currentSong !== song || !current.currentPlayer) {
+    resource.playStream.destroy();
+    return false;
+  }
+
+  current.currentPlayer.play(resource);
+
+  // Restart the playback clock from the new position (and at the new speed).
+  setGuildState(guildId, {
+    currentResource: resource,
+    currentFilter: filter,
+    playbackOffset: offset,
+    playbackSpeed: getFilter(filter)?.speed || 1,
+    isPaused: false
+  });
+
+  await refreshNowPlaying(guildId);
+  await checkpoints().saveCheckpoint(guildId);
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// setVolume(guildId, volume)
+//
+// Changes the volume of the song that's playing right now (in percent).
+// Saving the level for later songs is up to the caller (/volume saves it in
+// the guild's settings, which playSong() reads for every new song).
+//
+// Returns true if a song's volume was changed, false if nothing is playing.
+// ─────────────────────────────────────────────────────────────────────────────
+function setVolume(guildId, volume) {
+  const state = getGuildState(guildId);
+
+  // ?. = "only if it exists" — there's no resource during the DJ intro.
+  if (!state.currentResource?.volume) {
+    return false;
+  }
+
+  state.currentResource.volume.setVolume(volume / 100);
+  return true;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // pause(guildId)
 //
@@ -456,6 +871,10 @@ function pause(guildId) {
   // .pause() freezes the audio player in place.
 
   setGuildState(guildId, { isPaused: true });
+
+  // A restart should come back paused, at the exact spot. (Not awaited —
+  // saving never throws, and the caller doesn't need to wait for it.)
+  checkpoints().saveCheckpoint(guildId);
   return true;
 }
 
@@ -475,6 +894,7 @@ function resume(guildId) {
   // .unpause() resumes playing from where it was paused.
 
   setGuildState(guildId, { isPaused: false });
+  checkpoints().saveCheckpoint(guildId);
   return true;
 }
 
@@ -502,6 +922,16 @@ async function stop(guildId) {
     // .destroy() disconnects the bot from the voice channel and frees the connection.
   }
 
+  // Log the song that was cut off in the play history (if it had really
+  // started — a song still in its DJ intro never played).
+  if (state.currentSong && state.songStartedAt) {
+    await callMusicService(`/history/${guildId}`, 'POST', {
+      song: state.currentSong,
+      startedAt: state.songStartedAt,
+      outcome: 'stopped'
+    }).catch(() => { /* Ignore if music service is down */ });
+  }
+
   // Clear the queue in the music service.
   try {
     await callMusicService(`/queue/${guildId}`, 'DELETE');
@@ -510,9 +940,15 @@ async function stop(guildId) {
   // Clear the "Now Playing" embed.
   await clearNowPlayingMessage(guildId);
 
+  // Throw away the next song's prefetched stream — there is no next song.
+  discardPrefetch(guildId);
+
   // Reset all state for this guild back to defaults.
   resetGuildState(guildId);
 
+  // Nothing to carry on with after a restart.
+  await checkpoints().clearCheckpoint(guildId);
+
   console.log(`[PLAYER] Stopped and cleared guild ${guildId}`);
 }
 
@@ -522,7 +958,14 @@ async function stop(guildId) {
 module.exports = {
   startPlayback,          // Start playing the next song in queue
   ensureVoiceConnection,  // Connect to a voice channel (or reuse existing connection)
+  ensurePlaying,          // Start playing the queue if the bot is idle
+  resumeSession,          // Carry on with a song from before a restart
+  callMusicService,       // Make an HTTP request to the music service
+  refreshNowPlaying,      // Redraw the Now Playing embed with the latest queue
   skip,                   // Skip the current song
+  seek,                   // Jump to a point in the current song
+  setVolume,              // Change the current song's volume
+  setFilter,              // Switch the current song's audio effect preset
   pause,                  // Pause playback
   resume,                 // Resume paused playback
   stop                    // Stop everything, clear queue, disconnect
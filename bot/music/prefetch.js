@@ -0,0 +1,232 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/music/prefetch.js — Getting the next song ready before it's needed
+//
+// Starting a song from scratch takes a few seconds: yt-dlp has to look up the
+// video's audio link, then ffmpeg has to connect to it. Done only after the
+// previous song ends, that's a few seconds of dead air at every change. With
+// DJ mode on it's far worse — writing and recording the intro can take 20+
+// seconds on weaker hardware.
+//
+// So while a song plays, the player tells this file which song is next in the
+// queue (from the music service's POST /peek), and this file:
+//   1. Right away — asks the song's source for its audio link (the yt-dlp
+//      lookup, for YouTube, SoundCloud and Bandcamp songs).
+//   2. In the last PREFETCH.LEAD_SECONDS of the current song — starts ffmpeg
+//      on that link, so the first seconds of audio are already waiting.
+//   3. With DJ mode on — has the intro written and recorded (prefetchIntro()).
+// When the song changes, startPlayback() takes the ready intro and playSong()
+// takes the prepared stream, both instantly.
+//
+// Queue entries are matched by their entryId (given out by the music
+// service's queue.js), not by URL. If the next entry changes — a song is
+// removed, moved, or queued in front — the old prefetch is thrown away and
+// the new next song is prefetched instead — intro included, so an intro is
+// never played before the wrong song. Anything unused is thrown away when the
+// player takes a different song, or when the music stops.
+//
+// This file doesn't call the music service itself: the player does that, so
+// this file doesn't need the player (which needs this file).
+// ─────────────────────────────────────────────────────────────────────────────
+
+// fs is built into Node.js — used to check a recorded intro still exists.
+const fs = require('fs');
+
+const { getGuildState, getPlaybackPosition } = require('../state');
+const { getStreamUrl, openAudioStream } = require('../../services/music/sources');
+const { PREFETCH } = require('../../shared/config');
+
+// ── Prefetches ────────────────────────────────────────────────────────────────
+// One per guild at most:
+//   guildId → { entryId, title, urlPromise, streamUrl, stream, filter, intro }
+//     entryId    — the queue entry this is for
+//     urlPromise — yt-dlp's lookup (resolves to the link, or null if it failed)
+//     streamUrl  — the link, once the lookup has finished
+//     stream     — ffmpeg's output, once it's been started (or null)
+//     filter     — the audio filter the stream was started with
+//     intro      — the DJ intro being made (resolves to its .wav path, or
+//                  null if it failed), or null if none was asked for
+const prefetches = new Map();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// prefetchSong(guildId, nextSong)
+//
+// Tells the prefetcher which song is next (null if the queue is empty).
+// Safe to call as often as you like — it only starts work when the next
+// entry has changed, or when the current song is nearly over.
+// ─────────────────────────────────────────────────────────────────────────────
+function prefetchSong(guildId, nextSong) {
+  if (!nextSong || !nextSong.entryId) {
+    discardPrefetch(guildId);
+    return;
+  }
+
+  let entry = prefetches.get(guildId);
+
+  if (!entry || entry.entryId !== nextSong.entryId) {
+    // A different song is next now — start again for that one.
+    discardPrefetch(guildId);
+
+    entry = {
+      entryId: nextSong.entryId,
+      title: nextSong.title,
+      urlPromise: null,
+      streamUrl: null,
+      stream: null,
+      filter: null,
+      intro: null
+    };
+    entry.urlPromise = getStreamUrl(nextSong)
+      .then(streamUrl => {
+        entry.streamUrl = streamUrl;
+        return streamUrl;
+      })
+      .catch(err => {
+        // Not a problem — the song will just be looked up when it starts.
+        console.warn(`[PREFETCH] Could not look up "${nextSong.title}":`, err.message);
+        return null;
+      });
+
+    prefetches.set(guildId, entry);
+    console.log(`[PREFETCH] Getting "${nextSong.title}" ready`);
+  }
+
+  openStreamIfNearEnd(guildId, entry);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// prefetchIntro(guildId, nextSong, generate)
+//
+// Starts making the DJ intro for the next song, if it isn't being made
+// already. `generate` is a function that makes it and returns (a Promise of)
+// the recorded file's path — the player passes it in, since making intros
+// needs the AI service.
+//
+// Call after prefetchSong() with the same song.
+// ─────────────────────────────────────────────────────────────────────────────
+function prefetchIntro(guildId, nextSong, generate) {
+  const entry = prefetches.get(guildId);
+  if (!entry || entry.entryId !== nextSong.entryId || entry.intro) return;
+
+  console.log(`[PREFETCH] Making the DJ intro for "${nextSong.title}"`);
+  entry.intro = Promise.resolve()
+    .then(generate)
+    .catch(err => {
+      console.warn(`[PREFETCH] Could not make the intro for "${nextSong.title}":`, err.message);
+      return null;
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// openStreamIfNearEnd(guildId, entry)
+//
+// Helper: starts ffmpeg for the prefetched song once the current song has
+// less than PREFETCH.LEAD_SECONDS left. Starting earlier would leave ffmpeg
+// holding a connection open (and waiting) for the whole song.
+// ─────────────────────────────────────────────────────────────────────────────
+function openStreamIfNearEnd(guildId, entry) {
+  const state = getGuildState(guildId);
+  const song = state.currentSong;
+
+  // Nothing to do yet: already started, link not found yet, a livestream
+  // (no end to be near), or the current song is still in its DJ intro.
+  if (entry.stream || !entry.streamUrl || !(song?.duration > 0) || state.isIntroPlaying) {
+    return;
+  }
+
+  // Seconds of real time left (a sped-up filter gets through the song faster).
+  const remaining = (song.duration - getPlaybackPosition(guildId)) / (state.playbackSpeed || 1);
+  if (remaining > PREFETCH.LEAD_SECONDS) return;
+
+  entry.filter = state.currentFilter || 'off';
+  entry.stream = openAudioStream(entry.streamUrl, { filter: entry.filter });
+  console.log(`[PREFETCH] Buffering "${entry.title}"`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// takePrefetchedStream(guildId, song, filter)
+//
+// Called by playSong() when a song is about to start. If that song (the same
+// queue entry) was prefetched, returns a ready audio stream for it, using the
+// given filter. Returns null if it wasn't — the caller then starts the stream
+// the normal way.
+//
+// Either way, the prefetch is used up: the next refresh prefetches the song
+// after this one.
+// ─────────────────────────────────────────────────────────────────────────────
+async function takePrefetchedStream(guildId, song, filter) {
+  const entry = prefetches.get(guildId);
+  prefetches.delete(guildId);
+
+  if (!entry) return null;
+
+  if (!song.entryId || entry.entryId !== song.entryId) {
+    // Something else came out of the queue (e.g. a repeated track).
+    entry.stream?.destroy();
+    return null;
+  }
+
+  // The stream is already running — use it, unless the filter has changed
+  // since (or ffmpeg has given up in the meantime).
+  if (entry.stream && !entry.stream.destroyed && entry.filter === filter) {
+    console.log(`[PREFETCH] Using the buffered stream for "${entry.title}"`);
+    return entry.stream;
+  }
+  entry.stream?.destroy();
+
+  // Otherwise at least the yt-dlp lookup is done (or nearly done).
+  const streamUrl = entry.streamUrl || await entry.urlPromise;
+  if (!streamUrl) return null;
+
+  console.log(`[PREFETCH] Using the looked-up link for "${entry.title}"`);
+  return openAudioStream(streamUrl, { filter });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// takePrefetchedIntro(guildId, song)
+//
+// Called by startPlayback() when a song with a DJ intro is about to start.
+// If the intro for this song (the same queue entry) was made ahead of time,
+// returns its file path — waiting for it if it's still being made, which is
+// still quicker than starting over. Returns null if there isn't one.
+//
+// The rest of the prefetch (the stream) stays for playSong() to take.
+// ─────────────────────────────────────────────────────────────────────────────
+async function takePrefetchedIntro(guildId, song) {
+  const entry = prefetches.get(guildId);
+  if (!entry || !entry.intro || !song.entryId || entry.entryId !== song.entryId) {
+    return null;
+  }
+
+  const intro = entry.intro;
+  entry.intro = null;   // Each intro is played once
+
+  const audioFilePath = await intro;
+
+  // The AI service deletes old recordings after an hour, so check it's still there.
+  if (!audioFilePath || !fs.existsSync(audioFilePath)) return null;
+
+  console.log(`[PREFETCH] Using the ready-made DJ intro for "${entry.title}"`);
+  return audioFilePath;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// discardPrefetch(guildId)
+//
+// Throws away a guild's prefetch, stopping its ffmpeg if it had started.
+// ─────────────────────────────────────────────────────────────────────────────
+function discardPrefetch(guildId) {
+  const entry = prefetches.get(guildId);
+  if (!entry) return;
+
+  // Destroying ffmpeg's output stream also stops ffmpeg (see sources.js).
+  entry.stream?.destroy();
+  prefetches.delete(guildId);
+}
+
+module.exports = {
+  prefetchSong,          // Tell the prefetcher which song is next
+  prefetchIntro,         // Start making the next song's DJ intro
+  takePrefetchedStream,  // Get the ready stream for a song that's starting
+  takePrefetchedIntro,   // Get the ready DJ intro for a song that's starting
+  discardPrefetch        // Throw a guild's prefetch away
+};
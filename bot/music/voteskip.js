@@ -0,0 +1,109 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/music/voteskip.js — Vote-skip bookkeeping
+//
+// With a server's "voteSkip" setting on, /skip (and the Skip button) no longer
+// skips straight away for everyone:
+//   • The person who requested the song, anyone with the DJ role, and server
+//     managers still skip instantly.
+//   • Everyone else adds a vote. Once enough of the people listening have
+//     voted (the "voteSkipShare" setting, e.g. 50%), the song is skipped.
+//
+// "People listening" means the humans (not bots) in the bot's voice channel.
+// Only their votes count, so someone who voted and then left stops counting.
+//
+// Votes live in the guild's playback state (state.skipVotes, a Set of user
+// IDs) and are cleared by the player whenever the song changes.
+//
+// This file only counts — the caller does the actual skip(), so this file
+// doesn't need the player (which would be a circular require via embed.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { PermissionFlagsBits } = require('discord.js');
+const { getGuildState, setGuildState, getVoiceChannel } = require('../state');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getListeners(guildId)
+//
+// Returns the IDs of the humans in the bot's voice channel, as a Set.
+// ─────────────────────────────────────────────────────────────────────────────
+function getListeners(guildId) {
+  const channel = getVoiceChannel(guildId);
+  if (!channel) return new Set();
+
+  // channel.members is a Collection (a Map) of member ID → GuildMember.
+  return new Set(channel.members.filter(member => !member.user.bot).map(member => member.id));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getVoteProgress(guildId, settings)
+//
+// Works out where the vote stands for the current song.
+// Returns { votes, needed } — votes from people still listening, and how many
+// it takes (always at least 1).
+// ─────────────────────────────────────────────────────────────────────────────
+function getVoteProgress(guildId, settings) {
+  const listeners = getListeners(guildId);
+  const voters = getGuildState(guildId).skipVotes || new Set();
+
+  const votes = [...voters].filter(id => listeners.has(id)).length;
+  // Math.ceil() rounds up: 3 listeners at 50% → 2 votes needed.
+  const needed = Math.max(1, Math.ceil(listeners.size * (settings.voteSkipShare || 50) / 100));
+
+  return { votes, needed };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// canSkipInstantly(member, song, settings)
+//
+// True if this member doesn't need a vote: they requested the song, they have
+// the DJ role, or they can manage the server.
+// ─────────────────────────────────────────────────────────────────────────────
+function canSkipInstantly(member, song, settings) {
+  if (song?.requester?.id === member.id) return true;
+  if (settings.djRoleId && member.roles.cache.has(settings.djRoleId)) return true;
+  return member.permissions.has(PermissionFlagsBits.ManageGuild);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// castSkipVote(guildId, member, settings)
+//
+// Decides what a skip request from `member` does.
+//
+// Returns one of:
+//   { result: 'skip' }                    — skip now (vote-skip is off, the
+//                                           member may skip instantly, or
+//                                           this vote reached the target)
+//   { result: 'voted', votes, needed }    — vote counted, not enough yet
+//   { result: 'already', votes, needed }  — they had already voted
+//   { result: 'not-listening' }           — they aren't in the bot's channel
+// ─────────────────────────────────────────────────────────────────────────────
+function castSkipVote(guildId, member, settings) {
+  const state = getGuildState(guildId);
+
+  if (!settings.voteSkip || canSkipInstantly(member, state.currentSong, settings)) {
+    return { result: 'skip' };
+  }
+
+  if (!getListeners(guildId).has(member.id)) {
+    return { result: 'not-listening' };
+  }
+
+  const voters = state.skipVotes || new Set();
+  if (voters.has(member.id)) {
+    return { result: 'already', ...getVoteProgress(guildId, settings) };
+  }
+
+  voters.add(member.id);
+  setGuildState(guildId, { skipVotes: voters });
+
+  const progress = getVoteProgress(guildId, settings);
+  if (progress.votes >= progress.needed) {
+    return { result: 'skip' };
+  }
+  return { result: 'voted', ...progress };
+}
+
+module.exports = {
+  castSkipVote,     // Handle one person's skip request
+  getVoteProgress   // { votes, needed } for the current song (shown in the embed)
+};
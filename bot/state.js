@@ -22,7 +22,10 @@
 // Stores what's currently happening with music in each server.
 // Key: guildId (string)
 // Value: { isPlaying, isPaused, isIntroPlaying, currentSong, currentPlayer,
-//          currentConnection, statusMessage, songStartTime, progressTimer }
+//          currentConnection, currentResource, currentFilter, statusMessage,
+//          songStartedAt, playbackOffset, playbackSpeed, progressTimer,
+//          skipRequested, skipWholeSong, skipVotes, lastQueue, lastSettings,
+//          lastNextSong }
 const guildState = new Map();
 
 // ── Text channel tracker ──────────────────────────────────────────────────────
@@ -49,9 +52,25 @@ const voiceChannels = new Map();
 //   currentSong    — the song object currently playing (or null if nothing)
 //   currentPlayer  — the Discord AudioPlayer instance (or null)
 //   currentConnection — the Discord VoiceConnection instance (or null)
+//   currentResource — the AudioResource of the song playing right now (or null,
+//                    e.g. during the DJ intro) — its playbackDuration is the clock
+//   currentFilter  — the audio effect preset currentResource was made with ('off' = none)
 //   statusMessage  — the Discord Message object for the "Now Playing" embed (or null)
-//   songStartTime  — Date.now() timestamp for when the current song started
+//   songStartedAt  — Date.now() timestamp for when the current song started
+//                    (for the play history — NOT for working out the position)
+//   playbackOffset — where in the song (seconds) currentResource started from;
+//                    0 normally, or the seek target after /seek
+//   playbackSpeed  — how fast the song plays (1 = normal, 1.25 with nightcore)
 //   progressTimer  — the setInterval() timer ID for updating the progress bar
+//   skipRequested  — true if /skip stopped the current song (vs. it finishing)
+//   skipWholeSong  — true if a skip during the DJ intro should skip the song
+//                    too, not just the intro (used by /playnow)
+//   skipVotes      — Set of user IDs who voted to skip the current song
+//   lastQueue      — the queue as of the last Now Playing refresh
+//   lastSettings   — the music settings as of the last refresh
+//   lastNextSong   — the next song as of the last refresh (null = none/unknown)
+//                    (these three let the progress tick redraw without asking
+//                    the music service again)
 // ─────────────────────────────────────────────────────────────────────────────
 function getOrCreateGuildState(guildId) {
   if (!guildState.has(guildId)) {
@@ -63,9 +82,19 @@ function getOrCreateGuildState(guildId) {
       currentSong: null,          // No current song
       currentPlayer: null,        // No audio player created yet
       currentConnection: null,    // No voice connection yet
+      currentResource: null,      // No song audio yet
+      currentFilter: 'off',       // No audio effects
       statusMessage: null,        // No "Now Playing" message posted yet
-      songStartTime: null,        // No song is playing yet
-      progressTimer: null         // No progress bar timer running
+      songStartedAt: null,        // No song is playing yet
+      playbackOffset: 0,          // Songs start from the beginning
+      playbackSpeed: 1,           // ...at normal speed
+      progressTimer: null,        // No progress bar timer running
+      skipRequested: false,       // Nobody has asked to skip
+      skipWholeSong: false,       // (see above)
+      skipVotes: new Set(),       // Nobody has voted to skip
+      lastQueue: [],              // Nothing fetched yet
+      lastSettings: {},
+      lastNextSong: null
     });
   }
   return guildState.get(guildId);
@@ -97,6 +126,41 @@ function setGuildState(guildId, updates) {
   Object.assign(current, updates);
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// getPlayingGuildIds()
+//
+// Returns the IDs of every guild where a song is playing right now.
+// ─────────────────────────────────────────────────────────────────────────────
+function getPlayingGuildIds() {
+  // guildState.entries() gives [guildId, state] pairs.
+  return [...guildState.entries()]
+    .filter(([, state]) => state.isPlaying)
+    .map(([guildId]) => guildId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getPlaybackPosition(guildId)
+//
+// Returns how far into the current song we are, in whole seconds.
+//
+// This is the "playback clock". Instead of comparing Date.now() with the time
+// the song started (which keeps counting while paused), it asks the audio
+// resource how much audio it has actually played — resource.playbackDuration,
+// in milliseconds — and adds the point the stream started from (after a
+// /seek the new stream starts part-way into the song).
+//
+// Filters like nightcore play the song faster or slower than normal, so the
+// audio played is multiplied by playbackSpeed to get the position in the SONG.
+//
+// Returns 0 when no song is playing (or the DJ intro is still going).
+// ─────────────────────────────────────────────────────────────────────────────
+function getPlaybackPosition(guildId) {
+  const state = getOrCreateGuildState(guildId);
+  if (!state.currentResource) return 0;
+  return state.playbackOffset +
+    Math.floor((state.currentResource.playbackDuration / 1000) * state.playbackSpeed);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // resetGuildState(guildId)
 //
@@ -123,9 +187,19 @@ function resetGuildState(guildId) {
     currentSong: null,
     currentPlayer: null,
     currentConnection: null,
+    currentResource: null,
+    currentFilter: 'off',
     statusMessage: null,
-    songStartTime: null,
-    progressTimer: null
+    songStartedAt: null,
+    playbackOffset: 0,
+    playbackSpeed: 1,
+    progressTimer: null,
+    skipRequested: false,
+    skipWholeSong: false,
+    skipVotes: new Set(),
+    lastQueue: [],
+    lastSettings: {},
+    lastNextSong: null
   });
 }
 
@@ -186,6 +260,8 @@ module.exports = {
   getGuildState,       // Get the full playback state for a guild
   setGuildState,       // Update specific playback state fields for a guild
   resetGuildState,     // Reset a guild back to "nothing playing" state
+  getPlayingGuildIds,  // Which guilds are playing something right now
+  getPlaybackPosition, // How far into the current song we are (pause/seek-aware)
   setTextChannel,      // Remember which text channel to use for a guild
   getTextChannel,      // Retrieve the stored text channel for a guild
   setVoiceChannel,     // Remember which voice channel the bot is in
@@ -0,0 +1,336 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/web/control.js — The external control API
+//
+// Lets things outside Discord — a Stream Deck, home automation, a script —
+// control the music. It runs on the same web server as the dashboard
+// (see server.js), under /control, and every request needs the
+// CONTROL_API_TOKEN from .env:
+//   Authorization: Bearer <token>
+// With no token set, the control API is switched off.
+//
+// The token is like a server manager's key: it works in every server the bot
+// is in, and skips the /permissions and /voteskip rules. Keep it secret.
+//
+// Every action goes through the same player functions as the slash commands
+// (bot/music/player.js), so the Now Playing message stays in step.
+//
+// Routes (all under /control/guilds/:guildId):
+//   GET    /now-playing       — the current song, position, paused, volume
+//   POST   /enqueue           — queue a song: { query, position?, voiceChannelId?,
+//                                textChannelId?, requester? }
+//   POST   /skip              — skip the current song
+//   POST   /pause             — pause or resume: { paused? } (left out = toggle)
+//   POST   /volume            — set the music volume: { volume } (0–200)
+//   GET    /queue             — the upcoming songs
+//   POST   /queue/move        — move a song: { from, to }
+//   POST   /queue/shuffle     — shuffle the queue
+//   DELETE /queue/:position   — remove one song
+//   DELETE /queue             — clear the queue
+//
+// Example (turn it down from a terminal):
+//   curl -X POST http://localhost:3003/control/guilds/123/volume \
+//        -H "Authorization: Bearer $CONTROL_API_TOKEN" \
+//        -H "Content-Type: application/json" -d '{"volume": 40}'
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const {
+  skip, pause, resume, setVolume, ensurePlaying, callMusicService, refreshNowPlaying
+} = require('../music/player');
+const {
+  getGuildState, setGuildState, getPlaybackPosition, getVoiceChannel, getTextChannel
+} = require('../state');
+const { getSource } = require('../../services/music/sources');
+const { safeEqual } = require('../../shared/auth');
+const { API } = require('../../shared/config');
+
+// Who songs queued through the API are "requested by" when the caller
+// doesn't say (shown in Up Next, and counted by the per-person song limit).
+const DEFAULT_REQUESTER = { id: 'control-api', name: 'Control API' };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createControlRouter(client)
+//
+// Builds the API routes. `client` is the logged-in Discord client, used to
+// look up servers and channels.
+// ─────────────────────────────────────────────────────────────────────────────
+function createControlRouter(client) {
+  // A Router is a mini Express app — server.js mounts it at /control.
+  const router = express.Router();
+  router.use(express.json());
+  router.use(authenticate);
+
+  // Every route is for one server — look it up once for all of them.
+  // (mergeParams lets the routes below see :guildId.)
+  const guildRouter = express.Router({ mergeParams: true });
+  router.use('/guilds/:guildId', (req, res, next) => {
+    const guild = client.guilds.cache.get(req.params.guildId);
+    if (!guild) {
+      return res.status(404).json({ error: 'The bot isn\'t in that server.' });
+    }
+    req.guild = guild;
+    next();
+  }, guildRouter);
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // GET /now-playing
+  //
+  // Returns: { isPlaying, song, source, elapsed, isPaused, isIntroPlaying,
+  //            volume, queueLength, voiceChannelId }
+  //   song/source are null when nothing is playing
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.get('/now-playing', async (req, res) => {
+    const guildId = req.guild.id;
+    const state = getGuildState(guildId);
+
+    try {
+      const [queue, settings] = await Promise.all([
+        callMusicService(`/queue/${guildId}`, 'GET'),
+        callMusicService(`/settings/${guildId}`, 'GET')
+      ]);
+
+      const playing = state.isPlaying && state.currentSong;
+      const source = playing ? getSource(state.currentSong) : null;
+      res.json({
+        isPlaying: !!playing,
+        song: playing ? state.currentSong : null,
+        source: source ? { name: source.name, label: source.label } : null,
+        elapsed: playing ? getPlaybackPosition(guildId) : 0,
+        isPaused: state.isPaused,
+        isIntroPlaying: state.isIntroPlaying,
+        volume: settings.volume,
+        queueLength: (queue || []).length,
+        voiceChannelId: getVoiceChannel(guildId)?.id || null
+      });
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /enqueue
+  //
+  // Queues a song (or playlist) just like /play, and starts playing if the
+  // bot is idle.
+  //
+  // Request body (JSON):
+  //   query          — a song name or link (anything /play accepts)
+  //   position       — (optional) where to put it, 1 = next up
+  //   voiceChannelId — (optional) where to play, if the bot isn't already in
+  //                    a voice channel
+  //   textChannelId  — (optional) where to post the Now Playing message
+  //                    (default: where it was last posted, or the voice
+  //                    channel's own chat)
+  //   requester      — (optional) { id, name } to show as who asked for it
+  //
+  // Returns: the music service's answer (see POST /enqueue there), plus
+  //   started — true if this started the music
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.post('/enqueue', async (req, res) => {
+    const guildId = req.guild.id;
+    const { query, position, voiceChannelId, textChannelId, requester } = req.body;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'query is required' });
+    }
+
+    // Work out where to play before queueing, so a bad channel doesn't leave
+    // a song in the queue with nothing to play it.
+    const state = getGuildState(guildId);
+    let voiceChannel = null;
+    let textChannel = null;
+    if (!state.isPlaying) {
+      voiceChannel = voiceChannelId
+        ? req.guild.channels.cache.get(voiceChannelId)
+        : getVoiceChannel(guildId);
+      if (!voiceChannel || !voiceChannel.isVoiceBased()) {
+        return res.status(400).json({ error: 'Nothing is playing — send voiceChannelId (a voice channel) to start.' });
+      }
+      textChannel = (textChannelId && req.guild.channels.cache.get(textChannelId))
+        || getTextChannel(guildId)
+        || voiceChannel;
+    }
+
+    let result;
+    try {
+      result = await callMusicService('/enqueue', 'POST', {
+        guildId,
+        query,
+        requester: requester?.id && requester?.name ? requester : DEFAULT_REQUESTER,
+        ...(position ? { position } : {})
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.log(`[CONTROL] Queued "${result.title}" in guild ${guildId}`);
+
+    if (getGuildState(guildId).isPlaying) {
+      // Jumping the line doesn't change the queue's end, so redraw "Up Next".
+      if (position) {
+        await refreshNowPlaying(guildId).catch(err => {
+          console.error('[CONTROL] Could not refresh Now Playing:', err.message);
+        });
+      }
+      return res.json({ ...result, started: false });
+    }
+
+    try {
+      await ensurePlaying(guildId, voiceChannel, textChannel);
+      res.json({ ...result, started: true });
+    } catch (err) {
+      console.error('[CONTROL] Could not start playing:', err.message);
+      res.status(500).json({ error: `Queued, but could not start playing: ${err.message}` });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /skip
+  //
+  // Skips the current song (no vote needed).
+  // Returns: { skipped: true }
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.post('/skip', (req, res) => {
+    const guildId = req.guild.id;
+
+    if (!skip(guildId)) {
+      return res.status(409).json({ error: 'Nothing is playing right now.' });
+    }
+    // Any skip votes were for this song (see /skip).
+    setGuildState(guildId, { skipVotes: new Set() });
+    res.json({ skipped: true });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /pause
+  //
+  // Request body (JSON, optional): { paused: true } to pause, false to
+  // resume. Left out, it flips between the two (handy for one button).
+  // Returns: { isPaused }
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.post('/pause', async (req, res) => {
+    const guildId = req.guild.id;
+    const state = getGuildState(guildId);
+
+    if (!state.isPlaying) {
+      return res.status(409).json({ error: 'Nothing is playing right now.' });
+    }
+
+    const wantPaused = typeof req.body?.paused === 'boolean' ? req.body.paused : !state.isPaused;
+    if (wantPaused) {
+      pause(guildId);
+    } else {
+      resume(guildId);
+    }
+
+    // Express 4 doesn't catch a rejected route, so a failed redraw is only logged.
+    await refreshNowPlaying(guildId).catch(err => {
+      console.error('[CONTROL] Could not refresh Now Playing:', err.message);
+    });
+    res.json({ isPaused: getGuildState(guildId).isPaused });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /volume
+  //
+  // Sets the music volume like /volume: saved for the next songs, and the
+  // song that's playing changes straight away.
+  // Request body (JSON): { volume: 40 } (0–200)
+  // Returns: { volume }
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.post('/volume', async (req, res) => {
+    const guildId = req.guild.id;
+    const volume = req.body?.volume;
+
+    try {
+      // The music service checks the number is allowed (400 if it isn't).
+      const settings = await callMusicService(`/settings/${guildId}`, 'PATCH', { volume });
+      setVolume(guildId, settings.volume);
+      await refreshNowPlaying(guildId);
+      res.json({ volume: settings.volume });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // GET /queue
+  //
+  // Returns: the upcoming songs, in order (1st = next up)
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.get('/queue', async (req, res) => {
+    try {
+      res.json(await callMusicService(`/queue/${req.guild.id}`, 'GET'));
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // The queue edits — each works like its /queue subcommand and returns what
+  // the music service returned.
+  //   POST   /queue/move        { from, to } → the moved song
+  //   POST   /queue/shuffle     → { shuffled }
+  //   DELETE /queue/:position   → the removed song
+  //   DELETE /queue             → { cleared: true }
+  // ───────────────────────────────────────────────────────────────────────────
+  guildRouter.post('/queue/move', (req, res) =>
+    editQueue(req, res, `/queue/${req.guild.id}/move`, 'POST', { from: req.body?.from, to: req.body?.to }));
+
+  guildRouter.post('/queue/shuffle', (req, res) =>
+    editQueue(req, res, `/queue/${req.guild.id}/shuffle`, 'POST'));
+
+  guildRouter.delete('/queue/:position', (req, res) => {
+    const position = parseInt(req.params.position, 10);
+    if (!(position >= 1)) {
+      return res.status(400).json({ error: 'Position must be a number, 1 or more.' });
+    }
+    editQueue(req, res, `/queue/${req.guild.id}/${position}`, 'DELETE');
+  });
+
+  guildRouter.delete('/queue', (req, res) =>
+    editQueue(req, res, `/queue/${req.guild.id}`, 'DELETE', null, { cleared: true }));
+
+  return router;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// editQueue(req, res, path, method, body, reply)
+//
+// Helper for the queue edits: asks the music service to make the change,
+// redraws the Now Playing message, and answers with the music service's
+// result (or `reply`, if given).
+// ─────────────────────────────────────────────────────────────────────────────
+async function editQueue(req, res, path, method, body = null, reply = null) {
+  try {
+    const result = await callMusicService(path, method, body);
+    await refreshNowPlaying(req.guild.id);
+    res.json(reply || result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// authenticate(req, res, next)
+//
+// Helper (Express middleware): lets the request through only with the right
+// token. Answers 503 if the control API is switched off (no token set).
+// ─────────────────────────────────────────────────────────────────────────────
+function authenticate(req, res, next) {
+  if (!API.CONTROL_TOKEN) {
+    return res.status(503).json({ error: 'The control API is off — set CONTROL_API_TOKEN in .env to turn it on.' });
+  }
+
+  // "Bearer abc123" → "abc123"
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!token || !safeEqual(token, API.CONTROL_TOKEN)) {
+    console.warn(`[CONTROL] Refused ${req.method} ${req.originalUrl} from ${req.ip} — wrong or missing token`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+module.exports = { createControlRouter };
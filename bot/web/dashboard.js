@@ -0,0 +1,299 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/web/dashboard.js — The web dashboard's API
+//
+// The dashboard page (bot/web/public/) calls these routes to show what's
+// playing and to press its buttons. Every route needs the token from a
+// /dashboard link, sent as a header:
+//   Authorization: Bearer <token>
+//
+// The token says which server and which person it's for. Before anything
+// else, each request checks that person is STILL a member of that server —
+// someone who left can't keep using an old link.
+//
+// The buttons go through the same player functions as the slash commands
+// (skip(), pause(), the music service's queue routes...) and obey the same
+// /permissions and /voteskip rules, as if the person had pressed the button
+// on the Now Playing message.
+//
+// Routes (all under /api):
+//   GET    /session           — who and which server the token is for
+//   GET    /state             — the current song, progress, queue and history
+//   POST   /skip              — skip (or vote to skip) the current song
+//   POST   /pause             — pause if playing, resume if paused
+//   POST   /queue/move        — move a song: { from, to }
+//   DELETE /queue/:position   — remove a song
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const { checkToken } = require('./tokens');
+const { skip, pause, resume, callMusicService, refreshNowPlaying } = require('../music/player');
+const { castSkipVote } = require('../music/voteskip');
+const { checkMemberPermission } = require('../music/permissions');
+const { getGuildState, setGuildState, getPlaybackPosition } = require('../state');
+const { getSource } = require('../../services/music/sources');
+const { DASHBOARD } = require('../../shared/config');
+
+// How many recently played songs the page shows.
+const HISTORY_SHOWN = 10;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createDashboardRouter(client)
+//
+// Builds the API routes. `client` is the logged-in Discord client, used to
+// look up servers and members.
+// ─────────────────────────────────────────────────────────────────────────────
+function createDashboardRouter(client) {
+  // A Router is a mini Express app — server.js mounts it at /api.
+  const router = express.Router();
+  router.use(express.json());
+
+  // Every route below needs a valid token from a current member.
+  router.use((req, res, next) => authenticate(client, req, res, next));
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // GET /session
+  //
+  // Returns: { guild: { id, name, icon }, user: { id, name }, expiresAt,
+  //           pollSeconds } (how often the page should ask for /state)
+  // ───────────────────────────────────────────────────────────────────────────
+  router.get('/session', (req, res) => {
+    const { guild, member, session } = req;
+    res.json({
+      guild: { id: guild.id, name: guild.name, icon: guild.iconURL() },
+      user: { id: member.id, name: member.displayName },
+      expiresAt: session.expiresAt,
+      pollSeconds: DASHBOARD.POLL_SECONDS
+    });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // GET /state
+  //
+  // Everything the page shows, in one go.
+  // Returns: { nowPlaying, queue, history }
+  //   nowPlaying — null, or { song, source, elapsed, isPaused, isIntroPlaying }
+  //   queue      — the upcoming songs, in order
+  //   history    — the most recent plays, newest first
+  // ───────────────────────────────────────────────────────────────────────────
+  router.get('/state', async (req, res) => {
+    const guildId = req.guild.id;
+    const state = getGuildState(guildId);
+
+    try {
+      const [queue, history] = await Promise.all([
+        callMusicService(`/queue/${guildId}`, 'GET'),
+        callMusicService(`/history/${guildId}?limit=${HISTORY_SHOWN}`, 'GET')
+      ]);
+
+      let nowPlaying = null;
+      if (state.isPlaying && state.currentSong) {
+        const source = getSource(state.currentSong);
+        nowPlaying = {
+          song: state.currentSong,
+          source: { label: source.label, icon: source.icon },
+          elapsed: getPlaybackPosition(guildId),
+          isPaused: state.isPaused,
+          isIntroPlaying: state.isIntroPlaying
+        };
+      }
+
+      res.json({ nowPlaying, queue: queue || [], history: history.entries });
+    } catch (err) {
+      console.error('[DASHBOARD] Error loading state:', err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /skip
+  //
+  // Works like the Skip button: skips, or with vote-skip on, counts a vote.
+  // Returns: { message } — what happened, to show on the page
+  // ───────────────────────────────────────────────────────────────────────────
+  router.post('/skip', requirePermission('skip:now'), async (req, res) => {
+    const guildId = req.guild.id;
+
+    if (!getGuildState(guildId).isPlaying) {
+      return res.status(409).json({ error: 'Nothing is playing right now.' });
+    }
+
+    try {
+      // The vote-skip settings. If the music service is down, just skip as normal.
+      const settings = await callMusicService(`/settings/${guildId}`, 'GET').catch(() => ({}));
+      const vote = castSkipVote(guildId, req.member, settings);
+
+      if (vote.result === 'not-listening') {
+        return res.status(403).json({ error: 'Join the bot\'s voice channel to vote to skip.' });
+      }
+      if (vote.result === 'already') {
+        return res.json({ message: `🗳️ You already voted to skip (${vote.votes}/${vote.needed}).` });
+      }
+      if (vote.result === 'voted') {
+        await refreshNowPlaying(guildId);
+        return res.json({ message: `🗳️ Vote counted — ${vote.votes}/${vote.needed} needed to skip.` });
+      }
+
+      if (!skip(guildId)) {
+        return res.status(409).json({ error: 'Could not skip.' });
+      }
+      // The votes were for this song (see /skip).
+      setGuildState(guildId, { skipVotes: new Set() });
+      console.log(`[DASHBOARD] ${req.member.user.tag} skipped in guild ${guildId}`);
+      res.json({ message: '⏭️ Skipped!' });
+    } catch (err) {
+      console.error('[DASHBOARD] Error skipping:', err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /pause
+  //
+  // Works like the Pause/Resume button.
+  // Returns: { isPaused } — whether it's paused now
+  // ───────────────────────────────────────────────────────────────────────────
+  router.post('/pause', requirePermission('pause:toggle'), async (req, res) => {
+    const guildId = req.guild.id;
+    const state = getGuildState(guildId);
+
+    if (!state.isPlaying) {
+      return res.status(409).json({ error: 'Nothing is playing right now.' });
+    }
+
+    if (state.isPaused) {
+      resume(guildId);
+    } else {
+      pause(guildId);
+    }
+
+    // Flip the button on the Now Playing message too. The pause itself has
+    // happened, so a failed redraw is only logged.
+    await refreshNowPlaying(guildId).catch(err => {
+      console.error('[DASHBOARD] Could not refresh Now Playing:', err.message);
+    });
+    res.json({ isPaused: getGuildState(guildId).isPaused });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // POST /queue/move
+  //
+  // Works like /queue move. Request body (JSON): { from: 3, to: 1 }
+  // Returns: the moved song
+  // ───────────────────────────────────────────────────────────────────────────
+  router.post('/queue/move', requirePermission('queue:move'), async (req, res) => {
+    const guildId = req.guild.id;
+    const { from, to } = req.body;
+
+    try {
+      const moved = await callMusicService(`/queue/${guildId}/move`, 'POST', { from, to });
+      await refreshNowPlaying(guildId);
+      res.json(moved);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // DELETE /queue/:position
+  //
+  // Works like /queue remove (including the "own songs only" rule).
+  // Returns: the removed song
+  // ───────────────────────────────────────────────────────────────────────────
+  router.delete('/queue/:position', requirePermission('queue:remove'), async (req, res) => {
+    const guildId = req.guild.id;
+
+    try {
+      const removed = await callMusicService(`/queue/${guildId}/${req.position}`, 'DELETE');
+      await refreshNowPlaying(guildId);
+      res.json(removed);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// authenticate(client, req, res, next)
+//
+// Helper (Express "middleware" — it runs before the route): checks the token
+// and that its owner is still in the server, then puts what it found on the
+// request for the route to use:
+//   req.session — { guildId, userId, expiresAt } from tokens.js
+//   req.guild   — the Discord server
+//   req.member  — the person, as a member of that server
+// Answers 401 (and the route never runs) if any of that fails.
+// ─────────────────────────────────────────────────────────────────────────────
+async function authenticate(client, req, res, next) {
+  // "Bearer abc123" → "abc123"
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  const session = token ? checkToken(token) : null;
+  if (!session) {
+    return res.status(401).json({ error: 'This dashboard link has expired or isn\'t valid — use /dashboard for a new one.' });
+  }
+
+  // The bot might have been removed from the server since.
+  const guild = client.guilds.cache.get(session.guildId);
+  if (!guild) {
+    return res.status(401).json({ error: 'The bot isn\'t in that server any more.' });
+  }
+
+  // .fetch() asks Discord, so someone who has left is noticed straight away.
+  // It throws if they aren't a member.
+  const member = await guild.members.fetch(session.userId).catch(() => null);
+  if (!member) {
+    return res.status(401).json({ error: 'You aren\'t a member of that server any more.' });
+  }
+
+  req.session = session;
+  req.guild = guild;
+  req.member = member;
+  next();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// requirePermission(key)
+//
+// Helper: builds middleware that checks the server's /permissions rules for
+// one action (the same key its button on the Now Playing message has), and
+// answers 403 with the reason if the person isn't allowed.
+// ─────────────────────────────────────────────────────────────────────────────
+function requirePermission(key) {
+  return async (req, res, next) => {
+    // Removing a song needs its position, for the "own songs only" rule.
+    let position = null;
+    if (req.params.position !== undefined) {
+      position = parseInt(req.params.position, 10);
+      if (!(position >= 1)) {
+        return res.status(400).json({ error: 'Position must be a number, 1 or more.' });
+      }
+      req.position = position;
+    }
+
+    // An async middleware that throws isn't caught by Express 4 — it would
+    // take the whole bot down — so anything unexpected becomes a 502 here.
+    let denied;
+    try {
+      denied = await checkMemberPermission(req.member, req.guild.id, key, { position });
+    } catch (err) {
+      console.error(`[DASHBOARD] Could not check permission ${key}:`, err.message);
+      return res.status(502).json({ error: err.message });
+    }
+    if (denied) {
+      // The reason is written for Discord — drop the 🔒 and the **bold**,
+      // and turn role and channel mentions into plain names for the page.
+      const reason = denied
+        .replace(/^🔒\s*/, '')
+        .replace(/\*\*/g, '')
+        .replace(/<@&(\d+)>/g, (match, id) => `@${req.guild.roles.cache.get(id)?.name || 'deleted role'}`)
+        .replace(/<#(\d+)>/g, (match, id) => `#${req.guild.channels.cache.get(id)?.name || 'unknown channel'}`);
+      return res.status(403).json({ error: reason });
+    }
+    next();
+  };
+}
+
+module.exports = { createDashboardRouter };
@@ -0,0 +1,248 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/web/public/dashboard.js — The dashboard page's code (runs in the browser)
+//
+// 1. Reads the login token from the link (.../#token=abc123) and keeps it in
+//    sessionStorage, so reloading the page still works. It's then removed
+//    from the address bar, so it isn't shared by accident with a screenshot.
+// 2. Asks the bot's /api/state every few seconds and redraws the page.
+// 3. Sends the buttons' clicks to the bot's API (see bot/web/dashboard.js).
+//
+// Everything shown is built with textContent, never innerHTML — song titles
+// come from anyone who can queue a song, so they must never be treated as HTML.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// sessionStorage is forgotten when the tab is closed.
+const TOKEN_KEY = 'kentbot-dashboard-token';
+
+// Read the token from the link, if there is one, and tidy it out of the URL.
+const hashToken = new URLSearchParams(location.hash.slice(1)).get('token');
+if (hashToken) {
+  sessionStorage.setItem(TOKEN_KEY, hashToken);
+  history.replaceState(null, '', location.pathname);
+}
+const token = sessionStorage.getItem(TOKEN_KEY);
+
+// The latest state from the bot, and when it arrived (so the clock can keep
+// moving between updates).
+let current = null;
+let receivedAt = 0;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+// $('id') is shorter than document.getElementById('id').
+const $ = id => document.getElementById(id);
+
+// Seconds → "m:ss" or "h:mm:ss" (the same format as the Discord embed).
+function formatTime(seconds) {
+  seconds = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Calls the bot's API with the token. Throws an Error with the bot's message
+// if the request didn't work. A 401 means the token is no good any more.
+async function api(path, method = 'GET', body = null) {
+  const response = await fetch(`/api${path}`, {
+    method: method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    sessionStorage.removeItem(TOKEN_KEY);
+    showLoginError(data.error);
+    throw new Error(data.error);
+  }
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+// Shows "Can't open the dashboard" instead of the dashboard.
+function showLoginError(message) {
+  $('dashboard').hidden = true;
+  $('login-error').hidden = false;
+  $('login-error-text').textContent = message;
+}
+
+// Shows a message from a button for a few seconds.
+let noticeTimer = null;
+function showNotice(message, isError = false) {
+  const notice = $('notice');
+  notice.textContent = isError ? `❌ ${message}` : message;
+  notice.className = isError ? 'error' : '';
+  notice.hidden = false;
+  clearTimeout(noticeTimer);
+  noticeTimer = setTimeout(() => { notice.hidden = true; }, 5000);
+}
+
+// Runs a button's action, shows what happened, and redraws straight away.
+async function act(action) {
+  try {
+    const message = await action();
+    if (message) showNotice(message);
+  } catch (err) {
+    showNotice(err.message, true);
+  }
+  await refresh();
+}
+
+// ── Drawing the page ──────────────────────────────────────────────────────────
+
+// One list item for a song: its title (as a link) and who asked for it.
+function songItem(song, extra) {
+  const li = document.createElement('li');
+  const row = document.createElement('div');
+  row.className = 'row';
+
+  const title = document.createElement('a');
+  title.className = 'title';
+  title.textContent = song.title;
+  title.href = /^https?:\/\//.test(song.url) ? song.url : '#';
+  title.target = '_blank';
+  title.rel = 'noopener';
+  row.append(title);
+
+  const who = document.createElement('span');
+  who.className = 'who';
+  const length = song.duration > 0 ? formatTime(song.duration) : '🔴 Live';
+  who.textContent = song.requester ? `${length} • ${song.requester.name}` : length;
+  row.append(who);
+
+  if (extra) row.append(...extra);
+  li.append(row);
+  return li;
+}
+
+// A small button for a queue row.
+function smallButton(label, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Draws the Now Playing card. Called on every update, and every second in
+// between to move the clock along.
+function drawNowPlaying() {
+  const np = current && current.nowPlaying;
+  $('np-empty').hidden = !!np;
+  $('np-song').hidden = !np;
+  if (!np) return;
+
+  const song = np.song;
+  $('np-title').textContent = song.title;
+  $('np-title').href = /^https?:\/\//.test(song.url) ? song.url : '#';
+  $('np-thumbnail').hidden = !song.thumbnail;
+  if (song.thumbnail) $('np-thumbnail').src = song.thumbnail;
+
+  const details = [`${np.source.icon} ${np.source.label}`];
+  if (song.requester) details.push(`Requested by ${song.requester.name}`);
+  if (np.isIntroPlaying) details.push('🎙️ DJ intro playing');
+  $('np-details').textContent = details.join(' • ');
+
+  // The position as of the last update, plus the time since (unless paused).
+  let elapsed = np.elapsed;
+  if (!np.isPaused && !np.isIntroPlaying) elapsed += (Date.now() - receivedAt) / 1000;
+
+  if (song.duration > 0) {
+    elapsed = Math.min(elapsed, song.duration);
+    $('np-progress').hidden = false;
+    $('np-progress-fill').style.width = `${(elapsed / song.duration) * 100}%`;
+    $('np-time').textContent = `${formatTime(elapsed)} / ${formatTime(song.duration)}${np.isPaused ? ' • ⏸️ Paused' : ''}`;
+  } else {
+    $('np-progress').hidden = true;
+    $('np-time').textContent = np.isPaused ? '🔴 Live • ⏸️ Paused' : '🔴 Live';
+  }
+
+  $('btn-pause').textContent = np.isPaused ? '▶️ Resume' : '⏸️ Pause';
+}
+
+// Draws the queue, with move up/down and remove buttons on each song.
+function drawQueue() {
+  const list = $('queue');
+  list.replaceChildren();
+  $('queue-empty').hidden = current.queue.length > 0;
+
+  current.queue.forEach((song, i) => {
+    const position = i + 1;
+    list.append(songItem(song, [
+      smallButton('▲', 'Move up', position === 1, () =>
+        act(() => api('/queue/move', 'POST', { from: position, to: position - 1 }).then(() => null))),
+      smallButton('▼', 'Move down', position === current.queue.length, () =>
+        act(() => api('/queue/move', 'POST', { from: position, to: position + 1 }).then(() => null))),
+      smallButton('✖', 'Remove', false, () =>
+        act(() => api(`/queue/${position}`, 'DELETE').then(removed => `🗑️ Removed ${removed.title} from the queue.`)))
+    ]));
+  });
+}
+
+// Draws the recently played list.
+function drawHistory() {
+  const list = $('history');
+  list.replaceChildren();
+  $('history-empty').hidden = current.history.length > 0;
+
+  for (const entry of current.history) {
+    list.append(songItem({ ...entry.song, requester: entry.requester || entry.song.requester }));
+  }
+}
+
+// Fetches the latest state and redraws everything.
+async function refresh() {
+  try {
+    current = await api('/state');
+    receivedAt = Date.now();
+    drawNowPlaying();
+    drawQueue();
+    drawHistory();
+  } catch (err) {
+    // The next update will try again (a 401 has already shown its message).
+    console.warn('Could not update the dashboard:', err.message);
+  }
+}
+
+// ── Starting up ───────────────────────────────────────────────────────────────
+async function start() {
+  if (!token) {
+    showLoginError('Use /dashboard in your Discord server to get a link to this page.');
+    return;
+  }
+
+  let session;
+  try {
+    session = await api('/session');
+  } catch (err) {
+    if ($('login-error').hidden) showLoginError(err.message);
+    return;
+  }
+
+  $('guild-name').textContent = session.guild.name;
+  $('user-name').textContent = session.user.name;
+  if (session.guild.icon) {
+    $('guild-icon').src = session.guild.icon;
+    $('guild-icon').hidden = false;
+  }
+  document.title = `${session.guild.name} — KentBot Dashboard`;
+  $('dashboard').hidden = false;
+
+  $('btn-skip').addEventListener('click', () =>
+    act(() => api('/skip', 'POST').then(result => result.message)));
+  $('btn-pause').addEventListener('click', () =>
+    act(() => api('/pause', 'POST').then(result => result.isPaused ? '⏸️ Paused.' : '▶️ Resumed.')));
+
+  await refresh();
+  setInterval(refresh, session.pollSeconds * 1000);
+  setInterval(() => { if (current) drawNowPlaying(); }, 1000);
+}
+
+start();
@@ -0,0 +1,57 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/web/server.js — The bot's web server
+//
+// A small Express web server that runs inside the bot process (the dashboard
+// and control API need the bot's voice connections and players, which only
+// exist here). It serves:
+//   /            — the dashboard page itself (the files in bot/web/public/)
+//   /api/...     — the routes the page calls (see dashboard.js)
+//   /control/... — the control API for Stream Decks, home automation and
+//                  scripts (see control.js)
+//
+// People get in with a link from /dashboard, which looks like
+//   http://localhost:3003/#token=abc123...
+// The part after # never leaves the browser in the page request, so the token
+// doesn't end up in any web server's access log.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const path = require('path');
+const { createDashboardRouter } = require('./dashboard');
+const { createControlRouter } = require('./control');
+const { DASHBOARD } = require('../../shared/config');
+
+let started = false;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// startWebServer(client)
+//
+// Starts the web server. Call once when the bot is ready (ready.js) —
+// calling it again does nothing.
+// ─────────────────────────────────────────────────────────────────────────────
+function startWebServer(client) {
+  if (started) return;
+  started = true;
+
+  const app = express();
+
+  // The page: index.html, dashboard.js and dashboard.css.
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // The API the page calls.
+  app.use('/api', createDashboardRouter(client));
+
+  // The control API (switched off unless CONTROL_API_TOKEN is set).
+  app.use('/control', createControlRouter(client));
+
+  const server = app.listen(DASHBOARD.PORT, () => {
+    console.log(`[DASHBOARD] Web dashboard running at ${DASHBOARD.URL}`);
+  });
+
+  // E.g. the port is already in use. The bot itself keeps working.
+  server.on('error', (err) => {
+    console.error('[DASHBOARD] Could not start the web dashboard:', err.message);
+  });
+}
+
+module.exports = { startWebServer };
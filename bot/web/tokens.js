@@ -0,0 +1,73 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// bot/web/tokens.js — Login tokens for the web dashboard
+//
+// The dashboard has no username or password. Instead, /dashboard gives you a
+// private link with a long random "token" in it. The token remembers who it
+// was made for and which server, so whoever opens the link sees that server
+// (and only that one) as that person.
+//
+// Tokens are kept in memory, so they all stop working when the bot restarts —
+// just run /dashboard again. Each one also expires after
+// DASHBOARD.TOKEN_TTL_HOURS.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// crypto is built into Node.js — used to make tokens nobody can guess.
+const crypto = require('crypto');
+
+const { DASHBOARD } = require('../../shared/config');
+
+// token → { guildId, userId, expiresAt }
+const tokens = new Map();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// issueToken(guildId, userId)
+//
+// Makes a new token for one member of one server, and returns it.
+// ─────────────────────────────────────────────────────────────────────────────
+function issueToken(guildId, userId) {
+  // Forget tokens that have run out, so the Map doesn't grow forever.
+  removeExpiredTokens();
+
+  // 24 random bytes → a 32-character string that's safe to put in a link.
+  const token = crypto.randomBytes(24).toString('base64url');
+  tokens.set(token, {
+    guildId: guildId,
+    userId: userId,
+    expiresAt: Date.now() + DASHBOARD.TOKEN_TTL_HOURS * 60 * 60 * 1000
+  });
+  return token;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkToken(token)
+//
+// Returns { guildId, userId, expiresAt } for a valid token, or null if it's
+// unknown or has expired.
+// ─────────────────────────────────────────────────────────────────────────────
+function checkToken(token) {
+  const session = tokens.get(token);
+  if (!session) return null;
+
+  if (session.expiresAt <= Date.now()) {
+    tokens.delete(token);
+    return null;
+  }
+  return session;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// removeExpiredTokens()
+//
+// Helper: deletes every token that has expired.
+// ─────────────────────────────────────────────────────────────────────────────
+function removeExpiredTokens() {
+  const now = Date.now();
+  for (const [token, session] of tokens) {
+    if (session.expiresAt <= now) tokens.delete(token);
+  }
+}
+
+module.exports = {
+  issueToken,  // Make a dashboard login token for a server member
+  checkToken   // Look up who a token belongs to (null if invalid/expired)
+};
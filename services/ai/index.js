@@ -34,6 +34,9 @@ const { synthesize } = require('./tts');                         // Text-to-spee
 // Import shared config to know which port to listen on.
 const { AI_SERVICE_PORT } = require('../../shared/config');
 
+// Guards the routes only the bot should use (see shared/auth.js).
+const { requireInternalSecret, warnIfNoInternalSecret } = require('../../shared/auth');
+
 // Create the Express application.
 const app = express();
 
@@ -65,6 +68,11 @@ app.get('/health', async (req, res) => {
   });
 });
 
+// Every route below this line only answers the bot: they run the AI model
+// or the voice, which are slow and expensive, so the caller must send the
+// internal secret (see shared/auth.js). /health stays open.
+app.use(requireInternalSecret);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /recipe
 //
@@ -232,4 +240,5 @@ app.listen(AI_SERVICE_PORT, () => {
     console.log(`[AI SERVICE] ElevenLabs voice ID: ${TTS.ELEVENLABS_VOICE_ID || '(not set)'}`);
     console.log(`[AI SERVICE] ElevenLabs model: ${TTS.ELEVENLABS_MODEL}`);
   }
+  warnIfNoInternalSecret('AI SERVICE');
 });
@@ -0,0 +1,62 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/autoplay.js — Autoplay ("radio mode")
+//
+// Normally the music stops once the queue is empty. With autoplay switched on
+// (the guild's "autoplay" setting), the music service instead picks a song
+// related to the last one that played, and keeps doing that until someone
+// queues something or uses /stop.
+//
+// The actual searching is done by findRelated() in youtube.js. This file
+// decides WHAT to search from, and makes sure we don't pick anything the
+// server heard recently — or anything its song rules refuse (see rules.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { findRelated } = require('./youtube');
+const { getHistory } = require('./history');
+const { applySongRules } = require('./rules');
+const { AUTOPLAY } = require('../../shared/config');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// pickAutoplaySong(guildId, seed)
+//
+// Picks the next song for a guild whose queue just ran dry.
+//
+// Parameters:
+//   seed — the song that just ended. If there isn't one (e.g. the bot was idle),
+//          the most recent song in the play history is used instead.
+//
+// Returns a song object marked with autoplay: true, or null if nothing
+// suitable was found (autoplay then simply stops, like an empty queue).
+// ─────────────────────────────────────────────────────────────────────────────
+async function pickAutoplaySong(guildId, seed) {
+  const { entries } = getHistory(guildId, 0, AUTOPLAY.AVOID_RECENT);
+
+  const from = seed || (entries[0] && entries[0].song);
+  if (!from) return null;
+
+  // A Set is a list without duplicates that's quick to search.
+  const recentUrls = new Set(entries.map(entry => entry.song.url));
+
+  // The server's song rules, checked on every candidate. Nobody requested
+  // an autoplay pick, so the per-person limit doesn't apply.
+  const isAllowed = candidate => {
+    const { rejected } = applySongRules(guildId, [candidate]);
+    if (rejected.length === 0) return true;
+    console.log(`[AUTOPLAY] Passing over "${candidate.title}" for guild ${guildId}: ${rejected[0].reason}`);
+    return false;
+  };
+
+  try {
+    const song = await findRelated(from, recentUrls, isAllowed);
+    if (!song) return null;
+
+    console.log(`[AUTOPLAY] Picked "${song.title}" after "${from.title}" for guild ${guildId}`);
+    // autoplay: true lets the bot show "📻 Autoplay" instead of a requester.
+    return { ...song, requester: null, autoplay: true };
+  } catch (err) {
+    console.error(`[AUTOPLAY] Could not find a song after "${from.title}":`, err.message);
+    return null;
+  }
+}
+
+module.exports = { pickAutoplaySong };
@@ -0,0 +1,72 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/events.js — Telling the bot when something changes
+//
+// The bot shows the queue in its "Now Playing" message, so it needs to know
+// when the queue changes. Instead of the bot asking over and over ("has it
+// changed yet?"), the music service tells it: queue.js and settings.js call
+// publish() after every change, and GET /events (in index.js) streams each
+// event to whoever is listening, the moment it happens.
+//
+// Every event is a small object:
+//   { id, type, guildId, at, ...details }
+//
+// The event types:
+//   queue-changed    — anything about a guild's queue changed
+//                      (details: length — how many songs are queued now)
+//   enqueued         — songs were added (details: count, position)
+//   cleared          — the whole queue was emptied
+//   settings-changed — a guild's settings changed (details: changed — the
+//                      names of the settings)
+//
+// A change can cause more than one event (adding a song sends "enqueued" AND
+// "queue-changed"), so listeners that just want to redraw should treat any
+// event as "something changed".
+// ─────────────────────────────────────────────────────────────────────────────
+
+// EventEmitter is built into Node.js — it lets one part of the code announce
+// something ("emit") and any number of other parts react to it.
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+// Every open GET /events connection adds a listener. Node.js warns once there
+// are more than 10 by default, which is fine here, so turn the warning off.
+emitter.setMaxListeners(0);
+
+// Events are numbered, so a listener can tell if it missed any.
+let nextEventId = 1;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// publish(guildId, type, details)
+//
+// Announces an event to every subscriber.
+// Example: publish("123", "enqueued", { count: 1, position: 3 })
+// ─────────────────────────────────────────────────────────────────────────────
+function publish(guildId, type, details = {}) {
+  emitter.emit('event', {
+    id: nextEventId++,
+    type: type,
+    guildId: guildId,
+    at: Date.now(),
+    ...details
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// subscribe(listener)
+//
+// Calls listener(event) for every event from now on.
+// Returns a function that stops it again (call it when the connection closes).
+// ─────────────────────────────────────────────────────────────────────────────
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the event functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  publish,    // Announce that something changed
+  subscribe   // Get told about every change
+};
@@ -0,0 +1,67 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/filters.js — Audio effect presets
+//
+// Each preset is an ffmpeg audio filter chain ("-af") that getAudioStream()
+// runs the song through before it reaches Discord. A guild picks one with
+// /filter and it stays on for every song until someone turns it off.
+//
+// Each preset has:
+//   label  — the name shown to people ("Nightcore")
+//   af     — the ffmpeg filter chain
+//   speed  — how fast the song plays compared to normal (1 = normal).
+//            Nightcore and slowed change the speed, so the bot needs this to
+//            keep the progress bar in step with the song.
+//
+// How the filters work (for the curious):
+//   bass=g=10         — turn the bass up by 10dB
+//   asetrate=48000*X  — pretend the audio was recorded X times faster/slower,
+//                       which changes speed AND pitch together (the classic
+//                       nightcore sound); aresample then fixes the sample rate
+//   aecho             — adds a soft echo, like a big room ("reverb")
+//   apulsator         — sweeps the sound from ear to ear (the "8D" effect)
+//   pan=...c0-c1...   — subtracts one channel from the other, which cancels
+//                       anything mixed dead-centre — usually the vocals
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FILTERS = {
+  bassboost: {
+    label: 'Bass Boost',
+    af: 'bass=g=10',
+    speed: 1
+  },
+  nightcore: {
+    label: 'Nightcore',
+    af: 'aresample=48000,asetrate=48000*1.25,aresample=48000',
+    speed: 1.25
+  },
+  slowed: {
+    label: 'Slowed + Reverb',
+    af: 'aresample=48000,asetrate=48000*0.8,aresample=48000,aecho=0.8:0.88:60:0.4',
+    speed: 0.8
+  },
+  '8d': {
+    label: '8D',
+    af: 'apulsator=hz=0.08',
+    speed: 1
+  },
+  karaoke: {
+    label: 'Karaoke (vocals removed)',
+    af: 'pan=stereo|c0=0.5*c0-0.5*c1|c1=0.5*c1-0.5*c0',
+    speed: 1
+  }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getFilter(name)
+//
+// Returns the preset with this name, or null for 'off' / an unknown name.
+// ─────────────────────────────────────────────────────────────────────────────
+function getFilter(name) {
+  // hasOwnProperty() makes sure names like "toString" don't count as presets.
+  return Object.prototype.hasOwnProperty.call(FILTERS, name) ? FILTERS[name] : null;
+}
+
+module.exports = {
+  FILTERS,    // Every preset, by name
+  getFilter   // Look up one preset (null = no filter)
+};
@@ -0,0 +1,163 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/history.js — Play history for each guild
+//
+// Once a song leaves the queue it would normally be gone for good. This file
+// keeps a log of what each server played — the song, who asked for it, when
+// it started, and how it ended — so /history can show recent plays and put
+// an old favourite back in the queue.
+//
+// Each entry is saved in the music store under its own key,
+// "history:<guildId>:<entry ID>", so logging a play writes just one small
+// line to the store's journal. Only the newest
+// HISTORY.MAX_ENTRIES are kept, so it can't grow forever.
+//
+// Each entry looks like:
+//   { id, song, requester, startedAt, endedAt, outcome }
+//     id        — short random ID, used to pick an entry from a menu
+//     song      — the song object that played { title, url, duration, ... }
+//     requester — who asked for it { id, name }, or null if unknown
+//     startedAt — when it started playing (milliseconds since 1970, like Date.now())
+//     endedAt   — when it stopped playing
+//     outcome   — 'finished', 'skipped', 'stopped' or 'error'
+// ─────────────────────────────────────────────────────────────────────────────
+
+// crypto is built into Node.js — we use it to make random entry IDs.
+const crypto = require('crypto');
+
+// The same durable store the queues live in.
+const store = require('./store').openStore('music');
+
+// How many entries to keep per guild.
+const { HISTORY } = require('../../shared/config');
+
+// The outcomes a history entry can have.
+const OUTCOMES = ['finished', 'skipped', 'stopped', 'error'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// historyKey(guildId, entryId)
+//
+// Builds the store key for one history entry. Leave out entryId to get the
+// start every one of a server's entries shares (for store.keys()).
+// Example: historyKey("123456789", "a1b2c3d4") → "history:123456789:a1b2c3d4"
+// ─────────────────────────────────────────────────────────────────────────────
+function historyKey(guildId, entryId = '') {
+  return `history:${guildId}:${entryId}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// loadEntries(guildId)
+//
+// Helper: every history entry a server has, oldest first.
+// ─────────────────────────────────────────────────────────────────────────────
+function loadEntries(guildId) {
+  return store.keys(historyKey(guildId))
+    .map(key => store.get(key))
+    // .sort() keeps entries that ended in the same millisecond in the order
+    // they were saved.
+    .sort((a, b) => a.endedAt - b.endedAt);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// cleanSong(song)
+//
+// Helper: copies only the song fields the history needs. The song comes from
+// the caller, so anything else it carries is dropped rather than saved (and
+// later queued again by a replay).
+// ─────────────────────────────────────────────────────────────────────────────
+function cleanSong(song) {
+  const requester = song.requester && song.requester.id
+    ? { id: String(song.requester.id), name: String(song.requester.name || '') }
+    : null;
+
+  return {
+    title: String(song.title || 'Unknown Title'),
+    url: String(song.url),
+    duration: Number(song.duration) || 0,
+    thumbnail: typeof song.thumbnail === 'string' ? song.thumbnail : '',
+    uploader: typeof song.uploader === 'string' ? song.uploader : '',
+    source: typeof song.source === 'string' ? song.source : undefined,
+    autoplay: song.autoplay === true || undefined,
+    requester: requester
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// addPlay(guildId, play)
+//
+// Adds one finished play to a server's history.
+//
+// Parameters:
+//   play — { song, startedAt, outcome }
+//            song      — the song that played (required)
+//            startedAt — when it started (defaults to "unknown" = null)
+//            outcome   — how it ended (unknown values are saved as 'finished')
+//
+// Returns the new history entry.
+// ─────────────────────────────────────────────────────────────────────────────
+function addPlay(guildId, { song, startedAt, outcome }) {
+  song = cleanSong(song);
+
+  const entry = {
+    // randomUUID() gives a long unique string — 8 characters is plenty here.
+    id: crypto.randomUUID().slice(0, 8),
+    song: song,
+    requester: song.requester,
+    startedAt: Number(startedAt) || null,
+    endedAt: Date.now(),
+    outcome: OUTCOMES.includes(outcome) ? outcome : 'finished'
+  };
+
+  store.set(historyKey(guildId, entry.id), entry);
+
+  // Keep only the newest entries: delete the oldest ones past the limit.
+  const entries = loadEntries(guildId);
+  for (const old of entries.slice(0, Math.max(entries.length - HISTORY.MAX_ENTRIES, 0))) {
+    store.delete(historyKey(guildId, old.id));
+  }
+
+  return entry;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getHistory(guildId, offset, limit)
+//
+// Returns one page of a server's history, NEWEST first.
+//
+// Parameters:
+//   offset — how many of the newest entries to skip (0 = start at the newest)
+//   limit  — how many entries to return
+//
+// Returns: { total, entries }
+//   total   — how many entries the server's history has in all
+//   entries — the requested page of entries
+// ─────────────────────────────────────────────────────────────────────────────
+function getHistory(guildId, offset = 0, limit = 10) {
+  const history = loadEntries(guildId);
+
+  // .reverse() flips the list, so newest comes first.
+  const newestFirst = history.reverse();
+
+  return {
+    total: history.length,
+    entries: newestFirst.slice(offset, offset + limit)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// findPlay(guildId, entryId)
+//
+// Looks up one history entry by its ID. Returns null if it isn't there
+// (for example if it's been trimmed off the end since the menu was shown).
+// ─────────────────────────────────────────────────────────────────────────────
+function findPlay(guildId, entryId) {
+  return store.get(historyKey(guildId, String(entryId))) || null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the history functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  addPlay,     // Log a song that just finished playing
+  getHistory,  // Get a page of recent plays, newest first
+  findPlay     // Look up one entry by ID (for replaying it)
+};
@@ -24,11 +24,29 @@
 const express = require('express');
 
 // Import our queue manager and YouTube helper from the same folder.
-const { enqueue, dequeue, peek, getQueue, clearQueue } = require('./queue');
-const { searchAndResolve } = require('./youtube');
+// queue.js saves every queue to disk (see store.js), so requiring it here also
+// loads whatever was queued before the last restart.
+const {
+  enqueue, enqueueMany, insertAt, dequeue, peek, getQueue, clearQueue,
+  removeAt, moveSong, swapSongs, shuffleQueue, rebalanceQueue
+} = require('./queue');
+const { searchResults, resolvePlaylist, isPlaylistUrl } = require('./youtube');
+const { resolveQuery } = require('./sources');
+const { listLibrary } = require('./local');
+const { applySongRules } = require('./rules');
+const { getSettings, updateSettings } = require('./settings');
+const { saveSession, listSessions, deleteSession } = require('./sessions');
+const { addPlay, getHistory, findPlay } = require('./history');
+const { pickAutoplaySong } = require('./autoplay');
+const {
+  listPlaylists, getPlaylist, savePlaylist, deletePlaylist, renamePlaylist, SCOPES
+} = require('./playlists');
+
+const { subscribe } = require('./events');
+const { requireInternalSecret, warnIfNoInternalSecret } = require('../../shared/auth');
 
 // Import shared config to know which port to listen on.
-const { MUSIC_SERVICE_PORT } = require('../../shared/config');
+const { MUSIC_SERVICE_PORT, SEARCH, LIBRARY, EVENTS } = require('../../shared/config');
 
 // Create the Express app — this is the actual HTTP server object.
 const app = express();
@@ -55,23 +73,100 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Every route below this line only answers the bot: they change queues,
+// settings and playlists, so the caller must send the internal secret (see
+// shared/auth.js). /health stays open so PM2 and the bot can check on us.
+app.use(requireInternalSecret);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /events
+//
+// A live stream of everything that changes (see events.js), sent as
+// Server-Sent Events: the connection stays open, and each event is written
+// to it the moment it happens, as
+//   event: enqueued
+//   data: {"id":12,"type":"enqueued","guildId":"123","count":1,"position":3,...}
+//
+// The bot opens this once when it starts, so it can redraw the Now Playing
+// message only when something actually changed.
+//
+// Query string: ?guildId=123 (optional) — only that guild's events.
+//
+// Every EVENTS.HEARTBEAT_SECONDS it also sends a comment line (": ping"),
+// which listeners ignore — it just shows the connection is still alive.
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/events', (req, res) => {
+  const guildFilter = req.query.guildId || null;
+
+  // These headers tell the caller to keep reading instead of waiting for
+  // the response to finish.
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  const unsubscribe = subscribe(event => {
+    if (guildFilter && event.guildId !== guildFilter) return;
+    // A blank line ends each event.
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS.HEARTBEAT_SECONDS * 1000);
+
+  console.log('[MUSIC] Event stream opened');
+
+  // The caller went away (or the bot restarted) — stop sending.
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log('[MUSIC] Event stream closed');
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /enqueue
 //
 // Looks up a song on YouTube and adds it to the guild's queue.
+// If the query is a playlist or mix link, EVERY song in it is added
+// (up to PLAYLIST.MAX_SONGS from shared/config.js).
 //
-// Request body (JSON): { guildId: "123...", query: "never gonna give you up" }
-//   guildId — which Discord server this queue belongs to
-//   query   — search term OR a YouTube URL
+// Request body (JSON):
+//   { guildId: "123...", query: "never gonna give you up", shuffle: false,
+//     requester: { id: "456...", name: "Shannon" } }
+//   guildId   — which Discord server this queue belongs to
+//   query     — search term, YouTube URL, or YouTube playlist/mix URL —
+//               or a link to an audio file (e.g. a Discord attachment) or
+//               "library:<track ID>" for the local library (see local.js)
+//   shuffle   — (optional) for playlists: add the songs in a random order
+//   requester — (optional) who asked for it; saved on every song added so
+//               "Up Next" can show it and fair mode can take turns
+//   position  — (optional) put the song(s) at this spot instead of the back,
+//               e.g. 1 = next up (used by /playnext and /playnow)
 //
-// Returns (JSON): { title, url, duration, thumbnail, position }
+// Returns (JSON) for a single song: { title, url, duration, thumbnail, source, requester, position }
+//   source   — where it's from, e.g. "youtube" or "soundcloud" (see sources.js)
 //   position — where in the queue the song landed (1 = next up)
+//
+// Returns (JSON) for a playlist:
+//   { type: "playlist", title, count, duration, truncated, skipped, position }
+//   count     — how many songs were added
+//   duration  — their total length in seconds
+//   truncated — true if the playlist was longer than the cap
+//   skipped   — how many songs the server's song rules left out (see rules.js)
+//   position  — where the first added song landed
+//
+// Every song is checked against the server's song rules first (length,
+// livestreams, blocklists, per-person limit, duplicates). If the song — or
+// every song in a playlist — breaks a rule, nothing is queued and it returns
+// 403 with { error: <the reason>, rejected: true }.
 // ─────────────────────────────────────────────────────────────────────────────
 app.post('/enqueue', async (req, res) => {
   try {
     // Destructure the request body — pull out the fields we expect.
     // This is shorthand for: const guildId = req.body.guildId; etc.
-    const { guildId, query } = req.body;
+    const { guildId, query, shuffle, requester, position: insertPosition } = req.body;
 
     // Validate that we received the required fields.
     if (!guildId || !query) {
@@ -82,14 +177,71 @@ app.post('/enqueue', async (req, res) => {
 
     console.log(`[MUSIC] Enqueueing for guild ${guildId}: "${query}"`);
 
-    // Ask youtube.js to search YouTube and return song metadata.
-    // await pauses execution here until searchAndResolve() finishes.
-    const song = await searchAndResolve(query);
-    // song is now an object like: { title, url, duration, thumbnail }
+    // ── Playlist or mix link: add every song in it ─────────────────────────
+    if (isPlaylistUrl(query.trim())) {
+      const playlist = await resolvePlaylist(query.trim());
 
-    // Add the song to the back of this guild's queue.
-    const position = enqueue(guildId, song);
-    // position is the queue length after adding (1 = only song, 3 = third in line)
+      // Every song in the playlist is from YouTube, and was requested by the
+      // same person.
+      playlist.songs.forEach(song => {
+        song.source = 'youtube';
+        if (requester) song.requester = requester;
+      });
+
+      // Leave out the songs this server doesn't allow.
+      const { allowed, rejected } = applySongRules(guildId, playlist.songs, requester);
+      if (allowed.length === 0) {
+        console.log(`[MUSIC] Refused every song in "${playlist.title}" for guild ${guildId}`);
+        return res.status(403).json({
+          error: `None of the songs in that playlist are allowed here. ${rejected[0].reason}`,
+          rejected: true
+        });
+      }
+
+      // Add them all in one go (shuffled first if asked) — at the back, or at
+      // the requested spot.
+      const position = Number.isInteger(insertPosition)
+        ? insertAt(guildId, allowed, insertPosition, Boolean(shuffle))
+        : enqueueMany(guildId, allowed, Boolean(shuffle));
+
+      // Add up the lengths of every song we added.
+      const duration = allowed.reduce((total, song) => total + (song.duration || 0), 0);
+
+      console.log(`[MUSIC] Queued ${allowed.length} songs from "${playlist.title}" for guild ${guildId} (${rejected.length} refused)`);
+
+      return res.json({
+        type: 'playlist',
+        title: playlist.title,
+        count: allowed.length,
+        duration: duration,
+        truncated: playlist.truncated,
+        skipped: rejected.length,
+        position: position
+      });
+    }
+
+    // Ask sources.js to look the song up — a link goes to the site it's from
+    // (YouTube, SoundCloud, a radio station, the local library...), anything
+    // else is searched for on YouTube.
+    // await pauses execution here until the lookup finishes.
+    const song = await resolveQuery(query);
+    // song is now an object like: { title, url, duration, thumbnail, source }
+
+    // Remember who asked for it.
+    if (requester) song.requester = requester;
+
+    // Check it against the server's song rules.
+    const { rejected } = applySongRules(guildId, [song], requester);
+    if (rejected.length > 0) {
+      console.log(`[MUSIC] Refused "${song.title}" for guild ${guildId}: ${rejected[0].reason}`);
+      return res.status(403).json({ error: rejected[0].reason, rejected: true });
+    }
+
+    // Add the song to the back of this guild's queue — or at the requested spot.
+    const position = Number.isInteger(insertPosition)
+      ? insertAt(guildId, [song], insertPosition)
+      : enqueue(guildId, song);
+    // position is where it landed (1 = next up, 3 = third in line)
 
     console.log(`[MUSIC] Queued "${song.title}" at position ${position} for guild ${guildId}`);
 
@@ -99,6 +251,8 @@ app.post('/enqueue', async (req, res) => {
       url: song.url,
       duration: song.duration,
       thumbnail: song.thumbnail,
+      source: song.source,
+      requester: song.requester,
       position: position
     });
 
@@ -110,6 +264,65 @@ app.post('/enqueue', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /search
+//
+// Searches YouTube and returns several results WITHOUT queueing anything.
+// Called by /search, which lets the user pick the right one from a menu.
+//
+// Query string: ?query=cotton+eyed+joe&limit=10
+//   limit — (optional) how many results, 1–25 (default from shared/config.js)
+//
+// Returns (JSON): [ { title, url, duration, thumbnail, uploader }, ... ]
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/search', async (req, res) => {
+  const query = (req.query.query || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit || SEARCH.RESULTS, 10) || SEARCH.RESULTS, 1), 25);
+
+  if (!query) {
+    return res.status(400).json({ error: 'query is required' });
+  }
+
+  try {
+    console.log(`[MUSIC] Searching for "${query}" (top ${limit})`);
+    res.json(await searchResults(query, limit));
+  } catch (err) {
+    console.error('[MUSIC] Search error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /library
+//
+// Lists tracks in the local music library (the MUSIC_LIBRARY_DIR folder),
+// with their tags. Called by /library. Queue one by sending its ID to
+// POST /enqueue as "library:<id>".
+//
+// Query string: ?query=cash&offset=0&limit=15
+//   query  — (optional) only tracks whose title/artist/album/path contain
+//            every word
+//   offset — (optional) how many matches to skip (for paging)
+//   limit  — (optional) how many to return, 1–25
+//
+// Returns (JSON): { total, tracks: [ { id, path, title, artist, album, duration }, ... ] }
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/library', async (req, res) => {
+  if (!LIBRARY.DIR) {
+    return res.status(404).json({ error: 'No music library is set up (set MUSIC_LIBRARY_DIR)' });
+  }
+
+  const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || LIBRARY.PAGE_SIZE, 10) || LIBRARY.PAGE_SIZE, 1), 25);
+
+  try {
+    res.json(await listLibrary(req.query.query || '', offset, limit));
+  } catch (err) {
+    console.error('[MUSIC] Library error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /queue/:guildId
 //
@@ -138,22 +351,62 @@ app.get('/queue/:guildId', (req, res) => {
 // Removes and returns the next song from the queue.
 // Called by the bot when a song finishes playing and it needs the next one.
 //
-// Request body (JSON): { guildId: "123..." }
+// Request body (JSON):
+//   { guildId: "123...", finished: {...}, outcome: "finished", startedAt: 1700000000000 }
+//   finished  — (optional) the song that just ended
+//   outcome   — (optional) how it ended: 'finished', 'skipped' or 'error'
+//   startedAt — (optional) when it started playing, for the play history
+//
+// The song that just ended is logged in the guild's play history.
+//
+// The guild's loop mode decides what happens to the song that just ended:
+//   'track' — it's returned again (unless it was skipped or broke)
+//   'queue' — it goes back on the end of the queue (unless it broke)
+//   'off'   — it's simply done
+//
+// If the queue is empty and the guild has autoplay on, a related song is
+// picked instead (see autoplay.js) — that can take a few seconds.
 //
 // Returns (JSON): { title, url, duration, thumbnail }
 //   OR null if the queue is empty (no more songs to play).
 // ─────────────────────────────────────────────────────────────────────────────
-app.post('/next', (req, res) => {
-  const { guildId } = req.body;
+app.post('/next', async (req, res) => {
+  const { guildId, finished, outcome, startedAt } = req.body;
 
   if (!guildId) {
     return res.status(400).json({ error: 'guildId is required' });
   }
 
+  // Log the song that just ended in the play history.
+  if (finished) {
+    addPlay(guildId, { song: finished, startedAt, outcome });
+  }
+
+  const { loopMode, autoplay } = getSettings(guildId);
+
+  if (finished && loopMode === 'track' && outcome === 'finished') {
+    // Repeat-track: play the same song again.
+    // A skip still moves on — otherwise /skip would do nothing at all.
+    return res.json(finished);
+  }
+
+  if (finished && loopMode === 'queue' && outcome !== 'error') {
+    // Repeat-queue: the song goes to the back of the line.
+    // Songs that failed to play aren't re-added, or a broken song would loop forever.
+    enqueue(guildId, finished);
+  }
+
   // Remove and return the first song from the queue.
-  const nextSong = dequeue(guildId);
+  let nextSong = dequeue(guildId);
   // nextSong is either a song object, or null if the queue was empty.
 
+  // Queue ran dry — let autoplay pick something related to what just ended.
+  // If an autoplay pick itself failed to play, stop there instead of trying
+  // one broken song after another.
+  if (!nextSong && autoplay && !(outcome === 'error' && finished && finished.autoplay)) {
+    nextSong = await pickAutoplaySong(guildId, finished);
+  }
+
   // Send back the song (or null).
   // The bot checks: if (nextSong) { play it } else { stop playing }
   res.json(nextSong);
@@ -197,6 +450,432 @@ app.delete('/queue/:guildId', (req, res) => {
   res.json({ cleared: true });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// DELETE /queue/:guildId/:position
+//
+// Removes ONE song from the queue by its position (1 = next up).
+// Called by /queue remove.
+//
+// Returns (JSON): the removed song { title, url, duration, thumbnail }
+//   OR 404 if there's no song at that position.
+// ─────────────────────────────────────────────────────────────────────────────
+app.delete('/queue/:guildId/:position', (req, res) => {
+  const { guildId } = req.params;
+
+  // URL parameters are always strings — convert "3" to the number 3.
+  const position = parseInt(req.params.position, 10);
+
+  const removed = removeAt(guildId, position);
+  if (!removed) {
+    // 404 = "Not Found" — there's no song at that position.
+    return res.status(404).json({ error: `There's no song at position ${req.params.position}` });
+  }
+
+  console.log(`[MUSIC] Removed "${removed.title}" from position ${position} for guild ${guildId}`);
+  res.json(removed);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /queue/:guildId/move
+//
+// Moves a song from one position to another. Called by /queue move.
+//
+// Request body (JSON): { from: 5, to: 1 }
+//
+// Returns (JSON): the moved song, or 404 if either position doesn't exist.
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/queue/:guildId/move', (req, res) => {
+  const { guildId } = req.params;
+  const { from, to } = req.body;
+
+  const moved = moveSong(guildId, from, to);
+  if (!moved) {
+    return res.status(404).json({ error: `Can't move from position ${from} to ${to} — check the queue numbers` });
+  }
+
+  console.log(`[MUSIC] Moved "${moved.title}" from ${from} to ${to} for guild ${guildId}`);
+  res.json(moved);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /queue/:guildId/swap
+//
+// Swaps two songs' positions.
+//
+// Request body (JSON): { a: 2, b: 5 }
+//
+// Returns (JSON): { swapped: true }, or 404 if either position doesn't exist.
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/queue/:guildId/swap', (req, res) => {
+  const { guildId } = req.params;
+  const { a, b } = req.body;
+
+  if (!swapSongs(guildId, a, b)) {
+    return res.status(404).json({ error: `Can't swap positions ${a} and ${b} — check the queue numbers` });
+  }
+
+  console.log(`[MUSIC] Swapped positions ${a} and ${b} for guild ${guildId}`);
+  res.json({ swapped: true });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /queue/:guildId/shuffle
+//
+// Puts the guild's queue in a random order. Called by /queue shuffle.
+//
+// Returns (JSON): { shuffled: 12 } — how many songs were shuffled
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/queue/:guildId/shuffle', (req, res) => {
+  const { guildId } = req.params;
+
+  const count = shuffleQueue(guildId);
+  console.log(`[MUSIC] Shuffled ${count} song(s) for guild ${guildId}`);
+
+  res.json({ shuffled: count });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /history/:guildId
+//
+// Returns one page of the guild's play history, newest first.
+// Called by /history.
+//
+// Query string (optional): ?offset=0&limit=10
+//   Example: GET /history/123?offset=10&limit=10 → the 11th–20th most recent plays
+//
+// Returns (JSON): { total, entries: [ { id, song, requester, startedAt, endedAt, outcome }, ... ] }
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/history/:guildId', (req, res) => {
+  // req.query holds the ?key=value parts of the URL (always strings).
+  const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), 25);
+
+  res.json(getHistory(req.params.guildId, offset, limit));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /history/:guildId
+//
+// Logs a play that didn't end through POST /next — e.g. the song that was
+// playing when someone used /stop. Only the usual song fields are saved (see
+// cleanSong() in history.js).
+//
+// Request body (JSON): { song: {...}, startedAt: 1700000000000, outcome: "stopped" }
+//
+// Returns (JSON): the new history entry
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/history/:guildId', (req, res) => {
+  const { song, startedAt, outcome } = req.body;
+
+  if (!song || !song.url) {
+    return res.status(400).json({ error: 'song is required' });
+  }
+
+  res.json(addPlay(req.params.guildId, { song, startedAt, outcome }));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /history/:guildId/replay
+//
+// Puts a song from the play history back in the queue.
+// Called when someone picks a song from the /history menu.
+//
+// Request body (JSON): { id: "a1b2c3d4", requester: { id, name } }
+//   id        — the history entry's ID
+//   requester — who asked to replay it (they become the song's requester)
+//
+// The song is looked up again from its link first, the same as /play does,
+// so it's queued as it is now — not as whatever was saved in the history.
+// That can take a few seconds.
+//
+// Returns (JSON): { title, url, duration, thumbnail, requester, position }
+//   OR 404 if that history entry no longer exists.
+//   OR 403 with { error, rejected: true } if the server's song rules refuse it.
+//   OR 500 if the song can't be found any more.
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/history/:guildId/replay', async (req, res) => {
+  const { guildId } = req.params;
+  const { id, requester } = req.body;
+
+  const entry = findPlay(guildId, id);
+  if (!entry) {
+    return res.status(404).json({ error: 'That song is no longer in the history' });
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveQuery(entry.song.url);
+  } catch (err) {
+    console.error(`[MUSIC] Could not replay "${entry.song.title}":`, err.message);
+    return res.status(500).json({ error: err.message });
+  }
+
+  const song = { ...resolved, requester: requester || null };
+
+  // The same song rules as /enqueue — the server's rules may have changed
+  // since it last played.
+  const { rejected } = applySongRules(guildId, [song], requester || null);
+  if (rejected.length > 0) {
+    console.log(`[MUSIC] Refused replaying "${song.title}" for guild ${guildId}: ${rejected[0].reason}`);
+    return res.status(403).json({ error: rejected[0].reason, rejected: true });
+  }
+
+  const position = enqueue(guildId, song);
+
+  console.log(`[MUSIC] Replaying "${song.title}" from history at position ${position} for guild ${guildId}`);
+  res.json({ ...song, position });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Saved playlists (see playlists.js)
+//
+// Every playlist route starts with /playlists/:scope/:ownerId
+//   scope   — "user" (a person's own playlists) or "guild" (a server's shared ones)
+//   ownerId — the user's ID or the guild's ID, to match the scope
+//
+// Whether someone is ALLOWED to change a shared playlist is checked by the
+// bot before it calls these routes.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Rejects requests with a scope we don't know, before any route below runs.
+// app.use() with a path runs for every request whose URL starts with it.
+app.use('/playlists/:scope', (req, res, next) => {
+  if (!SCOPES.includes(req.params.scope)) {
+    return res.status(400).json({ error: `scope must be one of: ${SCOPES.join(', ')}` });
+  }
+  next();
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /playlists/:scope/:ownerId
+//
+// Lists an owner's playlists. Called by /playlist list.
+//
+// Returns (JSON): [ { name, count, duration, updatedAt }, ... ]
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/playlists/:scope/:ownerId', (req, res) => {
+  const { scope, ownerId } = req.params;
+  res.json(listPlaylists(scope, ownerId));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /playlists/:scope/:ownerId
+//
+// Saves what a guild is listening to right now — the current song plus
+// everything queued after it — as a playlist. Called by /playlist save.
+//
+// Request body (JSON): { name, guildId, current, createdBy }
+//   name      — what to call the playlist (an existing one with that name is replaced)
+//   guildId   — whose queue to save
+//   current   — the song playing right now, or null (only the bot knows this)
+//   createdBy — who saved it { id, name }
+//
+// Returns (JSON): { name, count, duration }
+//   OR 400 if the name is bad or there's nothing to save.
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/playlists/:scope/:ownerId', (req, res) => {
+  const { scope, ownerId } = req.params;
+  const { name, guildId, current, createdBy } = req.body;
+
+  if (!guildId) {
+    return res.status(400).json({ error: 'guildId is required' });
+  }
+
+  // The current song goes first, then the queue in order.
+  const songs = [...(current ? [current] : []), ...getQueue(guildId)];
+
+  try {
+    const playlist = savePlaylist(scope, ownerId, name, songs, createdBy);
+    const duration = playlist.songs.reduce((total, song) => total + (song.duration || 0), 0);
+
+    console.log(`[MUSIC] Saved ${scope} playlist "${playlist.name}" (${playlist.songs.length} songs) for ${ownerId}`);
+    res.json({ name: playlist.name, count: playlist.songs.length, duration });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /playlists/:scope/:ownerId/:name/load
+//
+// Adds every song in a playlist to a guild's queue. Called by /playlist load.
+//
+// Request body (JSON): { guildId, requester: { id, name }, shuffle: false }
+//   requester — who loaded it (they become every song's requester)
+//   shuffle   — true to add the songs in a random order
+//
+// Every song is checked against the server's song rules first, like a
+// playlist link in /enqueue — the ones they refuse are left out.
+//
+// Returns (JSON): { name, count, duration, skipped, position }
+//   count    — how many songs were added
+//   skipped  — how many songs the server's song rules left out
+//   position — where the first song landed in the queue
+//   OR 404 if there's no playlist with that name.
+//   OR 403 with { error, rejected: true } if the rules refuse every song.
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/playlists/:scope/:ownerId/:name/load', (req, res) => {
+  const { scope, ownerId, name } = req.params;
+  const { guildId, requester, shuffle } = req.body;
+
+  if (!guildId) {
+    return res.status(400).json({ error: 'guildId is required' });
+  }
+
+  try {
+    const playlist = getPlaylist(scope, ownerId, name);
+    if (!playlist) {
+      return res.status(404).json({ error: `No playlist called "${name}"` });
+    }
+
+    // Give each song a requester — saved playlists don't keep one.
+    const songs = playlist.songs.map(song => ({ ...song, requester: requester || null }));
+
+    // Leave out the songs this server doesn't allow.
+    const { allowed, rejected } = applySongRules(guildId, songs, requester || null);
+    if (allowed.length === 0) {
+      console.log(`[MUSIC] Refused every song in ${scope} playlist "${playlist.name}" for guild ${guildId}`);
+      return res.status(403).json({
+        error: `None of the songs in that playlist are allowed here. ${rejected[0].reason}`,
+        rejected: true
+      });
+    }
+
+    const position = enqueueMany(guildId, allowed, shuffle === true);
+    const duration = allowed.reduce((total, song) => total + (song.duration || 0), 0);
+
+    console.log(`[MUSIC] Loaded ${scope} playlist "${playlist.name}" (${allowed.length} songs, ${rejected.length} refused) into guild ${guildId}`);
+    res.json({ name: playlist.name, count: allowed.length, duration, skipped: rejected.length, position });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /playlists/:scope/:ownerId/:name/rename
+//
+// Renames a playlist. Called by /playlist rename.
+//
+// Request body (JSON): { newName: "Sunday Chill" }
+//
+// Returns (JSON): { name } — the new name
+//   OR 400 if the playlist doesn't exist or the new name is taken.
+// ─────────────────────────────────────────────────────────────────────────────
+app.post('/playlists/:scope/:ownerId/:name/rename', (req, res) => {
+  const { scope, ownerId, name } = req.params;
+
+  try {
+    const playlist = renamePlaylist(scope, ownerId, name, req.body.newName);
+    console.log(`[MUSIC] Renamed ${scope} playlist "${name}" to "${playlist.name}" for ${ownerId}`);
+    res.json({ name: playlist.name });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELETE /playlists/:scope/:ownerId/:name
+//
+// Deletes a playlist. Called by /playlist delete.
+//
+// Returns (JSON): { deleted: true }
+//   OR 404 if there's no playlist with that name.
+// ─────────────────────────────────────────────────────────────────────────────
+app.delete('/playlists/:scope/:ownerId/:name', (req, res) => {
+  const { scope, ownerId, name } = req.params;
+
+  try {
+    if (!deletePlaylist(scope, ownerId, name)) {
+      return res.status(404).json({ error: `No playlist called "${name}"` });
+    }
+    console.log(`[MUSIC] Deleted ${scope} playlist "${name}" for ${ownerId}`);
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /sessions
+//
+// Returns every saved playback checkpoint (see sessions.js). Called by the
+// bot when it starts, to carry on where it left off.
+//
+// Returns (JSON): [ { guildId, voiceChannelId, textChannelId, statusMessageId,
+//                     song, offset, isPaused, songStartedAt, savedAt }, ... ]
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/sessions', (req, res) => {
+  res.json(listSessions());
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUT /sessions/:guildId
+//
+// Saves a guild's playback checkpoint, replacing the last one. The bot calls
+// this while music plays.
+//
+// Request body (JSON): { voiceChannelId, textChannelId, statusMessageId, song,
+//                        offset, isPaused, songStartedAt }
+//
+// Returns (JSON): the saved checkpoint
+//   OR 400 if voiceChannelId or song is missing.
+// ─────────────────────────────────────────────────────────────────────────────
+app.put('/sessions/:guildId', (req, res) => {
+  try {
+    res.json(saveSession(req.params.guildId, req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DELETE /sessions/:guildId
+//
+// Forgets a guild's checkpoint (the music stopped).
+//
+// Returns (JSON): { deleted } — false if there wasn't one
+// ─────────────────────────────────────────────────────────────────────────────
+app.delete('/sessions/:guildId', (req, res) => {
+  res.json({ deleted: deleteSession(req.params.guildId) });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /settings/:guildId
+//
+// Returns the guild's music settings (see settings.js), e.g. { loopMode: "off" }.
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/settings/:guildId', (req, res) => {
+  res.json(getSettings(req.params.guildId));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PATCH /settings/:guildId
+//
+// Changes some of the guild's music settings. Called by commands like /loop.
+//
+// Request body (JSON): the settings to change, e.g. { loopMode: "queue" }
+//
+// Returns (JSON): the full, updated settings object
+//   OR 400 if a setting is unknown or its value isn't allowed.
+// ─────────────────────────────────────────────────────────────────────────────
+app.patch('/settings/:guildId', (req, res) => {
+  const { guildId } = req.params;
+
+  try {
+    const settings = updateSettings(guildId, req.body || {});
+    console.log(`[MUSIC] Updated settings for guild ${guildId}:`, req.body);
+
+    // Switching fair mode on re-sorts what's already queued into turn order.
+    if (req.body.fairMode === true) {
+      rebalanceQueue(guildId);
+    }
+
+    res.json(settings);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Start the server
 //
@@ -207,4 +886,10 @@ app.listen(MUSIC_SERVICE_PORT, () => {
   // Template literal: builds a string with the port number embedded.
   console.log(`[MUSIC SERVICE] Running on port ${MUSIC_SERVICE_PORT}`);
   console.log(`[MUSIC SERVICE] Health check: http://localhost:${MUSIC_SERVICE_PORT}/health`);
+  warnIfNoInternalSecret('MUSIC SERVICE');
+
+  // Read the library's tags now, so the first /library doesn't wait for them.
+  if (LIBRARY.DIR) {
+    listLibrary().catch(err => console.warn('[MUSIC SERVICE] Could not scan the music library:', err.message));
+  }
 });
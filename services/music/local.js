@@ -0,0 +1,413 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/local.js — Audio files and the local music library
+//
+// Not everything people want to play is on YouTube. This file handles two
+// other kinds of song:
+//
+//   Audio files by link — e.g. a file attached to /play, which Discord hosts
+//     at a link like https://cdn.discordapp.com/attachments/.../song.mp3
+//     The song's url is that link.
+//
+//   The local library — a folder of music on this computer (set with the
+//     MUSIC_LIBRARY_DIR environment variable), browsed with /library.
+//     The song's url is "library:" + the file's path inside that folder,
+//     e.g. "library:Johnny Cash/At Folsom Prison/01 Folsom Prison Blues.flac".
+//     Keeping the folder itself out of the url means a queue never points
+//     anywhere outside the library.
+//
+// Both become normal song objects { title, url, duration, thumbnail, ... },
+// so the queue, playlists and history treat them just like YouTube songs.
+// Title, artist and length come from the file's own tags, read with ffprobe
+// (part of ffmpeg, which the player needs anyway). If a file has no tags, the
+// file name is used as the title; if its length can't be read, it's 0
+// ("unknown", like a livestream). Local songs have no thumbnail.
+//
+// Only these file types are accepted: mp3, ogg, flac, wav.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// fs and path are built into Node.js — for reading folders and building paths.
+const fs = require('fs');
+const path = require('path');
+
+// crypto is built into Node.js — we use it to give library tracks short IDs.
+const crypto = require('crypto');
+
+// execFile runs a program and collects what it prints.
+// promisify() turns its callback style into one we can await.
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+
+// Where the library lives and how it's shown.
+const { LIBRARY } = require('../../shared/config');
+
+// Audio file links must be on the public internet, and are read through a
+// relay that makes sure of it (see network.js).
+const { assertPublicUrl, relayUrl } = require('./network');
+
+// The file types that can be played.
+const AUDIO_EXTENSIONS = ['.mp3', '.ogg', '.flac', '.wav'];
+
+// Library song urls start with this.
+const LIBRARY_PREFIX = 'library:';
+
+// ── Library cache ─────────────────────────────────────────────────────────────
+// Reading a file's tags takes a moment, so every track is remembered here and
+// only read again if the file changes:
+//   relative path → { mtimeMs, size, track }
+const libraryCache = new Map();
+
+// The library scan in progress, if there is one (so two /library commands at
+// once share one scan instead of running two).
+let scanInProgress = null;
+
+// The last finished scan: { at, tracks } — reused for LIBRARY.RESCAN_SECONDS.
+let lastScan = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isAudioFileName(name)
+//
+// True if a file name ends in one of the playable extensions.
+// Example: isAudioFileName("Song.MP3") → true
+// ─────────────────────────────────────────────────────────────────────────────
+function isAudioFileName(name) {
+  return AUDIO_EXTENSIONS.includes(path.extname(String(name)).toLowerCase());
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isAudioFileUrl(str)
+//
+// True if a string is a web link straight to an audio file (by its extension),
+// like a Discord attachment link. Anything after "?" doesn't count.
+// ─────────────────────────────────────────────────────────────────────────────
+function isAudioFileUrl(str) {
+  let url;
+  try {
+    url = new URL(str);
+  } catch {
+    return false;  // Not a link at all
+  }
+  return ['http:', 'https:'].includes(url.protocol) && isAudioFileName(url.pathname);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// assertAttachmentNotExpired(url)
+//
+// Discord attachment links are signed and only work for about a day — the
+// "ex=" part of the link is when they stop working, as a hex timestamp:
+//   https://cdn.discordapp.com/attachments/.../song.mp3?ex=6712ab34&is=...&hm=...
+// A song queued from an attached file keeps that link, so one saved in a
+// playlist, the history or a checkpoint can't play after that.
+//
+// Throws a clear error (with err.code 'ATTACHMENT_EXPIRED', so the bot can
+// show it) once the link has expired. Other links are left alone.
+// ─────────────────────────────────────────────────────────────────────────────
+function assertAttachmentNotExpired(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return;
+  }
+  if (!['cdn.discordapp.com', 'media.discordapp.net'].includes(parsed.hostname)) return;
+
+  // parseInt(..., 16) reads hex; it's in seconds, Date.now() is milliseconds.
+  const expiresAt = parseInt(parsed.searchParams.get('ex') || '', 16) * 1000;
+  if (!(expiresAt <= Date.now())) return;   // No "ex" (NaN), or still valid
+
+  const fileName = decodeURIComponent(path.basename(parsed.pathname));
+  const err = new Error(`The attached file "${fileName}" has expired — Discord only keeps attachment links working for about a day. Attach it again with /play.`);
+  err.code = 'ATTACHMENT_EXPIRED';
+  throw err;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isLibraryUrl(url)
+//
+// True for library songs ("library:..." urls).
+// ─────────────────────────────────────────────────────────────────────────────
+function isLibraryUrl(url) {
+  return String(url).startsWith(LIBRARY_PREFIX);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// probeAudio(input)
+//
+// Reads an audio file's length and tags with ffprobe. `input` can be a file
+// path or a web link. ffprobe reads a web link through the relay (see
+// network.js), so it can't be redirected to this computer or a private
+// network, and is only allowed to open things the same way ffmpeg is (see
+// openAudioStream() in sources.js).
+//
+// Returns { duration, title, artist, album } — any of them may be missing.
+// Never throws: a file ffprobe can't read just has no tags.
+// ─────────────────────────────────────────────────────────────────────────────
+async function probeAudio(input) {
+  try {
+    const isWebLink = /^https?:\/\//.test(input);
+
+    // -show_format prints the file's length and tags; -of json as JSON.
+    const { stdout } = await execFileAsync('ffprobe', [
+      '-protocol_whitelist', isWebLink ? 'http,https,tcp,tls' : 'file',
+      '-v', 'error',
+      '-show_format',
+      '-of', 'json',
+      isWebLink ? await relayUrl(input) : input
+    ], { timeout: 15_000 });
+
+    const format = JSON.parse(stdout).format || {};
+
+    // Tag names vary in case between file types ("TITLE" in FLAC, "title" in
+    // MP3), so make them all lower case first.
+    const tags = {};
+    for (const [name, value] of Object.entries(format.tags || {})) {
+      tags[name.toLowerCase()] = value;
+    }
+
+    return {
+      duration: Math.round(parseFloat(format.duration)) || 0,
+      title: tags.title || null,
+      artist: tags.artist || tags.album_artist || null,
+      album: tags.album || null
+    };
+  } catch (err) {
+    console.warn(`[LOCAL] Could not read tags from ${input}:`, err.message);
+    return {};
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// makeSong(url, fileName, info)
+//
+// Helper: builds a song object from a file's tags (from probeAudio()),
+// falling back to the file name for the title.
+// ─────────────────────────────────────────────────────────────────────────────
+function makeSong(url, fileName, info) {
+  // "01 Folsom Prison Blues.flac" → "01 Folsom Prison Blues"
+  const title = info.title || path.basename(fileName, path.extname(fileName));
+
+  return {
+    title: info.artist ? `${info.artist} - ${title}` : title,
+    url: url,
+    duration: info.duration || 0,
+    thumbnail: '',                // No picture for local files
+    uploader: info.artist || ''
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveAudioFile(url)
+//
+// Builds a song object for a link straight to an audio file. Throws if the
+// link is to this computer or a private network.
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveAudioFile(url) {
+  // ffprobe opens the link, so it has to be on the public internet (and,
+  // for a Discord attachment, still working).
+  await assertPublicUrl(url);
+  assertAttachmentNotExpired(url);
+
+  // decodeURIComponent() turns "My%20Song.mp3" back into "My Song.mp3".
+  const fileName = decodeURIComponent(path.basename(new URL(url).pathname));
+  return makeSong(url, fileName, await probeAudio(url));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// libraryFilePath(relativePath)
+//
+// Turns a path inside the library into the full path on disk. Throws if no
+// library is set up, or if the path would lead outside the library folder
+// (e.g. "../../secret.mp3").
+// ─────────────────────────────────────────────────────────────────────────────
+function libraryFilePath(relativePath) {
+  if (!LIBRARY.DIR) {
+    throw new Error('No music library is set up (set MUSIC_LIBRARY_DIR)');
+  }
+
+  const root = path.resolve(LIBRARY.DIR);
+  const fullPath = path.resolve(root, relativePath);
+
+  // path.sep is "/" (or "\" on Windows).
+  if (!fullPath.startsWith(root + path.sep)) {
+    throw new Error('That file isn\'t in the music library');
+  }
+  return fullPath;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// findAudioFiles(folder)
+//
+// Helper: lists every playable file under a folder (and its subfolders), as
+// paths relative to the library folder.
+// ─────────────────────────────────────────────────────────────────────────────
+async function findAudioFiles(folder, root = folder) {
+  const found = [];
+
+  // withFileTypes: true gives us entries that know whether they're folders.
+  const entries = await fs.promises.readdir(folder, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...await findAudioFiles(fullPath, root));
+    } else if (entry.isFile() && isAudioFileName(entry.name)) {
+      found.push(path.relative(root, fullPath));
+    }
+  }
+  return found;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// scanLibrary()
+//
+// Lists every track in the library, reading the tags of any file that's new
+// or changed since the last scan. Returns tracks sorted by path:
+//   [ { id, path, title, artist, album, duration }, ... ]
+//
+// A scan less than LIBRARY.RESCAN_SECONDS old is returned as it is. The
+// service starts the first scan when it starts, so the first /library doesn't
+// wait for ffprobe to read every file.
+// ─────────────────────────────────────────────────────────────────────────────
+async function scanLibrary() {
+  if (!LIBRARY.DIR) {
+    throw new Error('No music library is set up (set MUSIC_LIBRARY_DIR)');
+  }
+
+  // Recent enough — no need to look through the folder again.
+  if (lastScan && Date.now() - lastScan.at < LIBRARY.RESCAN_SECONDS * 1000) {
+    return lastScan.tracks;
+  }
+
+  // Join a scan that's already running instead of starting another.
+  if (scanInProgress) return scanInProgress;
+
+  scanInProgress = (async () => {
+    const root = path.resolve(LIBRARY.DIR);
+    const files = (await findAudioFiles(root)).sort((a, b) => a.localeCompare(b));
+
+    // Forget files that have been deleted since the last scan. (A Set can tell
+    // whether it holds something straight away, without searching a list.)
+    const fileSet = new Set(files);
+    for (const cached of libraryCache.keys()) {
+      if (!fileSet.has(cached)) libraryCache.delete(cached);
+    }
+
+    for (const relativePath of files) {
+      const stats = await fs.promises.stat(path.join(root, relativePath));
+      const cached = libraryCache.get(relativePath);
+
+      // Unchanged since last time — keep the tags we already read.
+      if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) continue;
+
+      const info = await probeAudio(path.join(root, relativePath));
+      libraryCache.set(relativePath, {
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        track: {
+          // A short ID that fits in a Discord select menu (paths can be long).
+          id: crypto.createHash('sha1').update(relativePath).digest('hex').slice(0, 12),
+          path: relativePath,
+          title: info.title || path.basename(relativePath, path.extname(relativePath)),
+          artist: info.artist,
+          album: info.album,
+          duration: info.duration || 0
+        }
+      });
+    }
+
+    const tracks = files.map(relativePath => libraryCache.get(relativePath).track);
+    lastScan = { at: Date.now(), tracks };
+    return tracks;
+  })();
+
+  try {
+    return await scanInProgress;
+  } finally {
+    scanInProgress = null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// listLibrary(query, offset, limit)
+//
+// Returns one page of the library, optionally only the tracks whose title,
+// artist, album or path contain every word of `query`.
+// Returns { total, tracks } — total = how many tracks matched in all.
+// ─────────────────────────────────────────────────────────────────────────────
+async function listLibrary(query = '', offset = 0, limit = LIBRARY.PAGE_SIZE) {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matches = (await scanLibrary()).filter(track => {
+    const text = [track.title, track.artist, track.album, track.path].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+
+  return {
+    total: matches.length,
+    tracks: matches.slice(offset, offset + limit)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveLibraryTrack(ref)
+//
+// Builds a song object for a library track. `ref` is either a track ID from
+// listLibrary() or its path inside the library.
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveLibraryTrack(ref) {
+  const tracks = await scanLibrary();
+  const track = tracks.find(t => t.id === ref || t.path === ref);
+
+  if (!track) {
+    throw new Error('That track isn\'t in the music library (anymore)');
+  }
+
+  return makeSong(`${LIBRARY_PREFIX}${track.path}`, track.path, track);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveLocalTrack(query)
+//
+// Builds a song object for a library song or an audio file link:
+//   "library:<track ID or path>" → a library track
+//   "https://.../song.mp3"       → an audio file link
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveLocalTrack(query) {
+  if (query.startsWith(LIBRARY_PREFIX)) {
+    return resolveLibraryTrack(query.slice(LIBRARY_PREFIX.length));
+  }
+  return resolveAudioFile(query);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getLocalStreamUrl(url)
+//
+// What ffmpeg should read to play a library song: its file on disk. Throws if
+// the url isn't a library song, or the file has been deleted.
+// ─────────────────────────────────────────────────────────────────────────────
+function getLocalStreamUrl(url) {
+  if (!isLibraryUrl(url)) {
+    throw new Error(`Not a library song: ${url}`);
+  }
+
+  const fullPath = libraryFilePath(url.slice(LIBRARY_PREFIX.length));
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Library file is missing: ${url.slice(LIBRARY_PREFIX.length)}`);
+  }
+  return fullPath;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the local-audio functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  isAudioFileName,    // Check a file name has a playable extension
+  isAudioFileUrl,     // Check if a link points straight at an audio file
+  isLibraryUrl,       // Check if a url is a library song
+  assertAttachmentNotExpired, // Throw if a Discord attachment link has expired
+  resolveLocalTrack,  // Build a song object for either
+  listLibrary,        // A page of library tracks (optionally searched)
+  getLocalStreamUrl,  // What ffmpeg should read to play a library song
+  probeAudio,         // Read an audio file's length and tags
+  AUDIO_EXTENSIONS    // The playable file types
+};
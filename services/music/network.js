@@ -0,0 +1,306 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/network.js — Only opening links on the public internet
+//
+// When someone pastes a web link into /play, the music service opens it
+// itself (to see if it's audio, or to read a radio playlist), and ffmpeg
+// later plays it. Without a check, a link like
+//   http://localhost:3002/tts          (our own AI service)
+//   http://192.168.1.1/admin           (the home router)
+//   http://169.254.169.254/latest/...  (a cloud server's secret settings)
+// would make the service open something only IT can reach, on behalf of
+// whoever pasted it. That's called "server-side request forgery" (SSRF).
+//
+// So every connection is checked: the host name is looked up (DNS), and if
+// ANY address it points to is on this computer or a private network, the
+// connection is refused. The check happens as the connection is made, using
+// the very addresses it connects to — so a host that changes its address
+// between a check and the download ("DNS rebinding") can't get round it.
+// Redirects are followed one at a time, and each one is checked the same way.
+//
+// ffmpeg and ffprobe would do their own DNS lookups and follow redirects on
+// their own, so they never get a pasted link directly. They read it through
+// the "relay" instead: a tiny web server on 127.0.0.1 inside this process
+// that opens the link the checked way and passes the audio through (see
+// relayUrl()).
+// ─────────────────────────────────────────────────────────────────────────────
+
+// dns, net, http and https are built into Node.js.
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// How many redirects requestPublic() follows before giving up.
+const MAX_REDIRECTS = 5;
+
+// How long a server may go without sending anything before we give up on it.
+const IDLE_TIMEOUT_MS = 30_000;
+
+// The headers the relay passes between ffmpeg and the website: the ones that
+// let it seek (Range) and read a radio station's "now playing" (icy-*).
+const RELAY_REQUEST_HEADERS = ['range', 'icy-metadata', 'user-agent'];
+const RELAY_RESPONSE_HEADERS = [
+  'content-type', 'content-length', 'content-range', 'accept-ranges',
+  'icy-name', 'icy-metaint', 'icy-genre', 'icy-br'
+];
+
+// The address ranges that aren't the public internet. A BlockList checks an
+// address against all of them (including IPv4 addresses written as IPv6,
+// like "::ffff:127.0.0.1").
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "this network"
+  ['10.0.0.0', 8],       // private networks
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // this computer (localhost)
+  ['169.254.0.0', 16],   // link-local (and cloud metadata servers)
+  ['172.16.0.0', 12],    // private networks
+  ['192.168.0.0', 16],   // private networks (most home routers)
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved (and 255.255.255.255)
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],           // unspecified
+  ['::1', 128],          // this computer (localhost)
+  ['fc00::', 7],         // private networks
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8]          // multicast
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// The relay server, once it's been started (see relayUrl()).
+let relayPromise = null;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isPrivateAddress(address)
+//
+// True if an IP address is on this computer or a private network.
+// Example: isPrivateAddress("192.168.1.1") → true
+// ─────────────────────────────────────────────────────────────────────────────
+function isPrivateAddress(address) {
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return PRIVATE_RANGES.check(address, type);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// privateAddressError(url)
+//
+// Helper: the error for a link that leads somewhere private.
+// ─────────────────────────────────────────────────────────────────────────────
+function privateAddressError(url) {
+  console.warn(`[NETWORK] Refused a link to a private address: ${url}`);
+  return new Error('Links to this computer or a private network can\'t be played');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// assertPublicUrl(url)
+//
+// Throws unless `url` is an http(s) link whose host is on the public
+// internet. Looks the host name up to find out (an IP address in the link is
+// checked as it is).
+//
+// This gives a clear error early (e.g. when a song is queued). The check that
+// really counts is the one made as each connection opens (requestPublic()).
+// ─────────────────────────────────────────────────────────────────────────────
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('That isn\'t a valid link');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http:// and https:// links can be played');
+  }
+
+  // "[::1]" → "::1" (IPv6 addresses have brackets in links).
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    // all: true = every address the name points to, not just the first.
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    throw new Error(`Could not find the website ${host}`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw privateAddressError(url);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// publicLookup(hostname, options, callback)
+//
+// Helper: a DNS lookup for http.request() that fails if the name points to
+// any private address. Node calls it while connecting, so the address that's
+// checked is the one that's used.
+// ─────────────────────────────────────────────────────────────────────────────
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError(hostname));
+    }
+
+    // Node asks for either every address or just one.
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// requestOnce(url, options)
+//
+// Helper: one GET request, connecting only to public addresses. Resolves with
+// the response (a Node.js IncomingMessage) once its headers arrive.
+// ─────────────────────────────────────────────────────────────────────────────
+function requestOnce(url, { headers = {}, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, {
+      headers,
+      signal,
+      lookup: publicLookup,
+      timeout: IDLE_TIMEOUT_MS
+    }, resolve);
+
+    // 'timeout' = nothing arrived for IDLE_TIMEOUT_MS.
+    request.on('timeout', () => request.destroy(new Error('The website took too long to answer')));
+    request.on('error', reject);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// requestPublic(url, options)
+//
+// Opens a link, but only on public hosts. Redirects are followed here, one
+// at a time, so each new link is checked too — otherwise a public link could
+// simply redirect to http://localhost.
+//
+// Options:
+//   headers — extra request headers, e.g. { range: 'bytes=1000-' }
+//   signal  — an AbortSignal to cancel it
+//
+// Returns the final response (a Node.js IncomingMessage): .statusCode,
+// .headers (lower-case names) and the body to read from. The caller must
+// read it to the end or .destroy() it.
+// ─────────────────────────────────────────────────────────────────────────────
+async function requestPublic(url, options = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    // Refuses other kinds of link, and IP addresses written in the link
+    // (those don't go through a DNS lookup at all).
+    await assertPublicUrl(current);
+
+    const response = await requestOnce(current, options);
+
+    const location = response.headers.location;
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+      // We don't want this response's body — just where it points.
+      response.destroy();
+      // A redirect can be relative ("/stream"), so resolve it against the link.
+      current = new URL(location, current).href;
+      continue;
+    }
+    return response;
+  }
+
+  throw new Error('That link redirects too many times');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// pickHeaders(headers, names)
+//
+// Helper: copies just the listed headers (the ones that are there).
+// ─────────────────────────────────────────────────────────────────────────────
+function pickHeaders(headers, names) {
+  const picked = {};
+  for (const name of names) {
+    if (headers[name] !== undefined) picked[name] = headers[name];
+  }
+  return picked;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// startRelay()
+//
+// Helper: starts the relay server on a free port on 127.0.0.1 (only this
+// computer can reach it). Resolves with the port.
+//
+// Each request to it names the link to open, e.g.
+//   http://127.0.0.1:41234/?url=https%3A%2F%2Fexample.com%2Fsong.mp3
+// The relay opens the link with requestPublic() and passes the answer back.
+// It never sends a redirect itself, so ffmpeg has nothing to follow.
+// ─────────────────────────────────────────────────────────────────────────────
+function startRelay() {
+  const server = http.createServer(async (req, res) => {
+    const target = new URL(req.url, 'http://relay').searchParams.get('url');
+
+    // Cancel the download if ffmpeg hangs up first (a skip, a seek...).
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let upstream;
+    try {
+      upstream = await requestPublic(target, {
+        headers: pickHeaders(req.headers, RELAY_REQUEST_HEADERS),
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (!res.headersSent) {
+        res.writeHead(502, { 'Content-Type': 'text/plain' });
+      }
+      res.end(err.message);
+      return;
+    }
+
+    res.writeHead(upstream.statusCode, pickHeaders(upstream.headers, RELAY_RESPONSE_HEADERS));
+    // .pipe() sends the website's bytes on to ffmpeg as they arrive.
+    upstream.pipe(res);
+    upstream.on('error', () => res.destroy());
+  });
+
+  return new Promise((resolve, reject) => {
+    // Port 0 = "any free port".
+    server.listen(0, '127.0.0.1', () => {
+      // Don't keep the process running just for the relay.
+      server.unref();
+      resolve(server.address().port);
+    });
+    server.on('error', reject);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// relayUrl(url)
+//
+// Returns the link ffmpeg or ffprobe should open instead of a pasted web
+// link: the same link, read through the relay (see startRelay()). Throws
+// straight away if the link isn't on the public internet.
+// ─────────────────────────────────────────────────────────────────────────────
+async function relayUrl(url) {
+  await assertPublicUrl(url);
+
+  if (!relayPromise) {
+    // If it couldn't start, try again next time.
+    relayPromise = startRelay().catch(err => {
+      relayPromise = null;
+      throw err;
+    });
+  }
+  const port = await relayPromise;
+
+  return `http://127.0.0.1:${port}/?url=${encodeURIComponent(url)}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the network functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  isPrivateAddress,  // Check if an IP address is local or on a private network
+  assertPublicUrl,   // Throw unless a link is on the public internet
+  requestPublic,     // Open a link, refusing private hosts, even after redirects
+  relayUrl           // The link ffmpeg/ffprobe should read a pasted link through
+};
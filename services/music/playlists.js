@@ -0,0 +1,194 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/playlists.js — Saved playlists
+//
+// Lets people save a queue under a name and load it again later, so the same
+// Friday-night set doesn't have to be typed in song by song every week.
+//
+// There are two kinds ("scopes") of playlist:
+//   'user'  — belongs to one person, works in any server (key: the user's ID)
+//   'guild' — shared by everyone in one server (key: the server's ID)
+//
+// Each owner's playlists are saved in the music store as one object:
+//   "playlists:user:<userId>"   → { "friday night": { name, songs, ... }, ... }
+//   "playlists:guild:<guildId>" → { ... }
+// The object is keyed by the lower-case name, so "Friday Night" and
+// "friday night" are the same playlist.
+//
+// The songs are the same song objects the queue uses (the ones
+// searchAndResolve() returns), so loading a playlist doesn't need to look
+// anything up on YouTube again.
+//
+// Who may EDIT a shared playlist is decided by the bot (it knows people's
+// roles) — this file just stores things.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The same durable store the queues live in.
+const store = require('./store').openStore('music');
+
+// The two kinds of owner a playlist can have.
+const SCOPES = ['user', 'guild'];
+
+// The longest a playlist name can be.
+const MAX_NAME_LENGTH = 50;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// playlistsKey(scope, ownerId)
+//
+// Builds the store key for one owner's playlists.
+// Example: playlistsKey('user', "123") → "playlists:user:123"
+// ─────────────────────────────────────────────────────────────────────────────
+function playlistsKey(scope, ownerId) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown playlist scope: ${scope}`);
+  }
+  return `playlists:${scope}:${ownerId}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// cleanName(name)
+//
+// Helper: trims a playlist name and checks it's usable. Throws if it isn't.
+// ─────────────────────────────────────────────────────────────────────────────
+function cleanName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Playlist name can\'t be empty');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Playlist names can be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// listPlaylists(scope, ownerId)
+//
+// Returns a short summary of every playlist an owner has, sorted by name:
+//   [ { name, count, duration, updatedAt }, ... ]
+// ─────────────────────────────────────────────────────────────────────────────
+function listPlaylists(scope, ownerId) {
+  const playlists = store.get(playlistsKey(scope, ownerId)) || {};
+
+  return Object.values(playlists)
+    .map(p => ({
+      name: p.name,
+      count: p.songs.length,
+      duration: p.songs.reduce((total, song) => total + (song.duration || 0), 0),
+      updatedAt: p.updatedAt
+    }))
+    // localeCompare() sorts text alphabetically (ignoring case differences).
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getPlaylist(scope, ownerId, name)
+//
+// Returns the full playlist { name, songs, createdBy, updatedAt }, or null.
+// ─────────────────────────────────────────────────────────────────────────────
+function getPlaylist(scope, ownerId, name) {
+  const playlists = store.get(playlistsKey(scope, ownerId)) || {};
+  return playlists[cleanName(name).toLowerCase()] || null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// savePlaylist(scope, ownerId, name, songs, createdBy)
+//
+// Saves a list of songs under a name. Saving over an existing name replaces it.
+//
+// Parameters:
+//   songs     — array of song objects (requesters and queue entry IDs are
+//               dropped — whoever loads the playlist later becomes the requester)
+//   createdBy — who saved it { id, name }
+//
+// Returns the saved playlist.
+// ─────────────────────────────────────────────────────────────────────────────
+function savePlaylist(scope, ownerId, name, songs, createdBy) {
+  const key = playlistsKey(scope, ownerId);
+  const playlists = store.get(key) || {};
+  const cleaned = cleanName(name);
+
+  if (!Array.isArray(songs) || songs.length === 0) {
+    throw new Error('There\'s nothing to save — the queue is empty');
+  }
+
+  // Copy each song without its requester or entry ID.
+  // ({ requester, ...rest }) = "take requester out, keep everything else in rest".
+  const savedSongs = songs.map(({ requester, entryId, ...rest }) => rest);
+
+  const playlist = {
+    name: cleaned,
+    songs: savedSongs,
+    createdBy: createdBy || null,
+    updatedAt: Date.now()
+  };
+
+  playlists[cleaned.toLowerCase()] = playlist;
+  store.set(key, playlists);
+
+  return playlist;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// deletePlaylist(scope, ownerId, name)
+//
+// Deletes a playlist. Returns true if it existed, false if it didn't.
+// ─────────────────────────────────────────────────────────────────────────────
+function deletePlaylist(scope, ownerId, name) {
+  const key = playlistsKey(scope, ownerId);
+  const playlists = store.get(key) || {};
+  const id = cleanName(name).toLowerCase();
+
+  if (!playlists[id]) return false;
+
+  delete playlists[id];
+
+  // Don't keep an empty object around in the data file.
+  if (Object.keys(playlists).length === 0) {
+    store.delete(key);
+  } else {
+    store.set(key, playlists);
+  }
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// renamePlaylist(scope, ownerId, name, newName)
+//
+// Renames a playlist. Throws if it doesn't exist or the new name is taken.
+// Returns the renamed playlist.
+// ─────────────────────────────────────────────────────────────────────────────
+function renamePlaylist(scope, ownerId, name, newName) {
+  const key = playlistsKey(scope, ownerId);
+  const playlists = store.get(key) || {};
+  const oldId = cleanName(name).toLowerCase();
+  const cleanedNew = cleanName(newName);
+  const newId = cleanedNew.toLowerCase();
+
+  const playlist = playlists[oldId];
+  if (!playlist) {
+    throw new Error(`No playlist called "${name}"`);
+  }
+  if (newId !== oldId && playlists[newId]) {
+    throw new Error(`There's already a playlist called "${playlists[newId].name}"`);
+  }
+
+  delete playlists[oldId];
+  playlist.name = cleanedNew;
+  playlist.updatedAt = Date.now();
+  playlists[newId] = playlist;
+
+  store.set(key, playlists);
+  return playlist;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the playlist functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  listPlaylists,   // Summaries of an owner's playlists
+  getPlaylist,     // One playlist with all its songs
+  savePlaylist,    // Save (or overwrite) a playlist
+  deletePlaylist,  // Delete a playlist
+  renamePlaylist,  // Rename a playlist
+  SCOPES           // The allowed scopes: 'user', 'guild'
+};
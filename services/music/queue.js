@@ -4,18 +4,73 @@
 // This file acts like a librarian for songs. It keeps track of all the songs
 // waiting to be played for every Discord server (guild) separately.
 //
-// Each Discord server gets its own independent queue, stored in a Map (a
-// key-value store where the key is the server's unique ID and the value is
-// the list of songs waiting to play).
+// Each Discord server gets its own independent queue, saved in the music
+// store (see store.js) under the key "queue:<guildId>". The store keeps
+// everything in memory for speed AND writes every change to disk, so queues
+// survive the music service restarting.
 //
 // Think of it like a jukebox that remembers separate playlists for every
-// room in a building.
+// room in a building — even after someone unplugs it.
+//
+// Fair mode:
+//   Normally the queue is first-come, first-served. With a server's "fair"
+//   setting on, requesters take turns instead: new songs are slotted in so the
+//   queue goes one song from each person, round after round. The array is
+//   always kept in the real play order, so dequeue() still just takes the
+//   first song — and "Up Next" shows exactly what will play.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// crypto is built into Node.js — we use it to give queue entries unique IDs.
+const crypto = require('crypto');
+
+// The durable key-value store shared by the whole music service.
+// It's loaded from disk the first time it's opened (when this file loads).
+const store = require('./store').openStore('music');
+
+// Per-guild settings — used to check whether fair mode is on.
+const { getSettings } = require('./settings');
+
+// Tells the bot (through GET /events) every time a queue changes.
+const { publish } = require('./events');
+
 // ─────────────────────────────────────────────────────────────────────────────
+// queueKey(guildId)
+//
+// Builds the store key for a server's queue.
+// Example: queueKey("123456789") → "queue:123456789"
+// ─────────────────────────────────────────────────────────────────────────────
+function queueKey(guildId) {
+  return `queue:${guildId}`;
+}
 
-// A Map is like a dictionary or address book.
-// Each entry maps a guildId (Discord server ID string) → array of song objects.
-// Example: { "123456789" → [song1, song2, song3], "987654321" → [song4] }
-const queues = new Map();
+// ─────────────────────────────────────────────────────────────────────────────
+// lastRequesterKey(guildId)
+//
+// Builds the store key that remembers who requested the last song dequeued.
+// Fair mode uses it so the person whose song is playing right now goes to the
+// back of the turn order.
+// ─────────────────────────────────────────────────────────────────────────────
+function lastRequesterKey(guildId) {
+  return `lastRequester:${guildId}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// saveQueue(guildId, queue)
+//
+// Writes a server's queue back to the store after it has been changed.
+// Empty queues are deleted instead of saved, to keep the data file small.
+//
+// Every change goes through here, so this is also where the "queue-changed"
+// event is sent (see events.js).
+// ─────────────────────────────────────────────────────────────────────────────
+function saveQueue(guildId, queue) {
+  if (queue.length === 0) {
+    store.delete(queueKey(guildId));
+  } else {
+    store.set(queueKey(guildId), queue);
+  }
+  publish(guildId, 'queue-changed', { length: queue.length });
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // getOrCreateQueue(guildId)
@@ -26,18 +81,11 @@ const queues = new Map();
 // This is a helper used by all the other functions in this file.
 // ─────────────────────────────────────────────────────────────────────────────
 function getOrCreateQueue(guildId) {
-  // Check if a queue already exists for this server.
-  // .has() returns true if the Map has an entry with this key.
-  if (!queues.has(guildId)) {
-    // No queue exists yet — create an empty array for this server.
-    // [] is an empty array, which will hold song objects.
-    queues.set(guildId, []);
-    // .set(key, value) adds a new entry to the Map, or replaces an existing one.
-  }
-
-  // Return the queue array for this server.
-  return queues.get(guildId);
-  // .get(key) retrieves the value associated with that key in the Map.
+  // Look up the saved queue for this server.
+  // store.get() returns undefined if nothing has been saved under this key.
+  // [] is an empty array, which will hold song objects.
+  return store.get(queueKey(guildId)) || [];
+  // An empty queue isn't saved until a song is actually added to it.
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -48,22 +96,199 @@ function getOrCreateQueue(guildId) {
 //
 // Parameters:
 //   guildId — the Discord server ID (string like "123456789012345678")
-//   song — an object with: { title, url, duration, thumbnail }
+//   song — an object with: { title, url, duration, thumbnail, requester }
 //            title: the song's display name (e.g. "Never Gonna Give You Up")
 //            url: the YouTube URL for this song
 //            duration: length in seconds (e.g. 213 for 3:33)
 //            thumbnail: URL of the video's thumbnail image
+//            source: where it's from, e.g. "youtube" (see sources.js)
+//            requester: who asked for it — { id, name } (optional)
+//
+// Every song added to the queue gets a fresh "entryId", so the bot can tell
+// two queued copies of the same song apart (see newEntry()).
+//
+// In fair mode the song is slotted into its requester's next turn instead of
+// going to the very back.
 // ─────────────────────────────────────────────────────────────────────────────
 function enqueue(guildId, song) {
   // Get (or create) the queue for this server.
   const queue = getOrCreateQueue(guildId);
 
-  // .push() adds the song to the END of the array (back of the line).
-  queue.push(song);
+  // Put the song in its place (the end, or its fair-mode turn).
+  const index = addToQueue(guildId, queue, song);
 
-  // Return the song's position — this is the queue length after adding it.
-  // If the queue has 3 songs, the new one is position 3.
-  return queue.length;
+  // Save the change so it survives a restart.
+  saveQueue(guildId, queue);
+  publish(guildId, 'enqueued', { count: 1, position: index + 1 });
+
+  // Return the song's position — its array index plus 1.
+  // If it landed at the back of a queue of 3, the new one is position 3.
+  return index + 1;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// enqueueMany(guildId, songs, shuffle)
+//
+// Adds several songs to the back of the queue at once (e.g. a whole playlist).
+// Saving once at the end is much cheaper than calling enqueue() for each song.
+//
+// Parameters:
+//   songs   — array of song objects, in the order they should be added
+//   shuffle — if true, the new songs are put in a random order first
+//             (songs already in the queue aren't moved)
+//
+// Returns the position of the FIRST added song (e.g. 4 = after the 3 already queued).
+// ─────────────────────────────────────────────────────────────────────────────
+function enqueueMany(guildId, songs, shuffle = false) {
+  const queue = getOrCreateQueue(guildId);
+  const firstPosition = queue.length + 1;
+
+  // Copy the array with [...songs] so shuffling doesn't change the caller's list.
+  const toAdd = shuffle ? shuffleArray([...songs]) : songs;
+
+  // Add each song in turn (in fair mode each one finds its own slot).
+  let first = null;
+  for (const song of toAdd) {
+    const index = addToQueue(guildId, queue, song);
+    if (first === null || index < first) first = index;
+  }
+
+  saveQueue(guildId, queue);
+
+  const position = first === null ? firstPosition : first + 1;
+  publish(guildId, 'enqueued', { count: songs.length, position });
+  return position;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// insertAt(guildId, songs, position, shuffle)
+//
+// Puts one or more songs at a specific spot in the queue instead of the back —
+// used by /playnext and /playnow to jump the line. Fair mode is ignored here:
+// asking for a position means "exactly here".
+//
+// Parameters:
+//   songs    — array of song objects, in the order they should play
+//   position — where the first one should go (1 = next up). Numbers past the
+//              end of the queue just mean "at the back".
+//   shuffle  — if true, the new songs are put in a random order first
+//
+// Returns the position the first song actually landed at.
+// ─────────────────────────────────────────────────────────────────────────────
+function insertAt(guildId, songs, position, shuffle = false) {
+  const queue = getOrCreateQueue(guildId);
+
+  // Keep the position between 1 and "just after the last song".
+  const index = Math.min(Math.max(position, 1), queue.length + 1) - 1;
+
+  const toAdd = shuffle ? shuffleArray([...songs]) : songs;
+
+  // .splice(index, 0, ...items) inserts the items at index without removing any.
+  queue.splice(index, 0, ...toAdd.map(newEntry));
+  saveQueue(guildId, queue);
+  publish(guildId, 'enqueued', { count: songs.length, position: index + 1 });
+
+  return index + 1;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// addToQueue(guildId, queue, song)
+//
+// Helper: puts one song into the queue array — at the back normally, or at its
+// requester's next turn when fair mode is on. Doesn't save.
+// Returns the array index the song landed at.
+// ─────────────────────────────────────────────────────────────────────────────
+function addToQueue(guildId, queue, song) {
+  song = newEntry(song);
+
+  if (!getSettings(guildId).fairMode) {
+    // .push() adds the song to the END of the array (back of the line).
+    queue.push(song);
+    return queue.length - 1;
+  }
+
+  const index = findFairSlot(queue, song, store.get(lastRequesterKey(guildId)));
+  queue.splice(index, 0, song);
+  return index;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// newEntry(song)
+//
+// Helper: copies a song with a new, unique entryId. The bot uses it to check
+// that the song it got ready in advance (see bot/music/prefetch.js) is really
+// the one that comes out of the queue — the same song queued twice, or put
+// back by repeat-queue, counts as a different entry each time.
+// ─────────────────────────────────────────────────────────────────────────────
+function newEntry(song) {
+  return { ...song, entryId: crypto.randomUUID() };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// findFairSlot(queue, song, lastRequesterId)
+//
+// Works out where a new song goes so requesters take turns.
+//
+// Every song in the queue belongs to a "round": a person's 1st queued song is
+// in round 0, their 2nd in round 1, and so on. The new song joins the end of
+// the round it belongs to. So if Alice has 30 songs queued and Bob adds one,
+// Bob's song goes right after Alice's first one instead of after all 30.
+//
+// The person whose song is playing right now (lastRequesterId) has already
+// had this round's turn, so their songs count one round later.
+//
+// Returns the array index to insert the song at.
+// ─────────────────────────────────────────────────────────────────────────────
+function findFairSlot(queue, song, lastRequesterId) {
+  // How many songs we've seen from each requester while walking the queue.
+  const counts = new Map();
+  if (lastRequesterId) counts.set(lastRequesterId, 1);
+
+  // The new song's round = how many songs its requester already has in line.
+  const newId = requesterId(song);
+  const newRound = queue.filter(s => requesterId(s) === newId).length
+    + (newId === lastRequesterId ? 1 : 0);
+
+  for (let i = 0; i < queue.length; i++) {
+    const id = requesterId(queue[i]);
+    const round = counts.get(id) || 0;
+    counts.set(id, round + 1);
+
+    // The first song from a LATER round marks where the new song's round ends.
+    if (round > newRound) return i;
+  }
+
+  return queue.length; // Every song is in an earlier or equal round — go last
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// requesterId(song)
+//
+// Helper: who requested a song. Songs without a requester (e.g. queued before
+// requesters were tracked) all count as one shared "unknown" person.
+// ─────────────────────────────────────────────────────────────────────────────
+function requesterId(song) {
+  return song.requester?.id || 'unknown';
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// rebalanceQueue(guildId)
+//
+// Re-sorts the whole queue into fair turn order. Called when fair mode is
+// switched on, so songs that were queued first-come-first-served get
+// interleaved right away. Each requester's own songs keep their order.
+// ─────────────────────────────────────────────────────────────────────────────
+function rebalanceQueue(guildId) {
+  const queue = getOrCreateQueue(guildId);
+  const lastRequesterId = store.get(lastRequesterKey(guildId));
+
+  // Rebuild the queue by fair-inserting every song, one by one, in their old order.
+  const balanced = [];
+  for (const song of queue) {
+    balanced.splice(findFairSlot(balanced, song, lastRequesterId), 0, song);
+  }
+
+  saveQueue(guildId, balanced);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -73,6 +298,8 @@ function enqueue(guildId, song) {
 // Returns null if the queue is empty (nothing to play).
 //
 // This is called when the bot finishes a song and needs to know what's next.
+// In fair mode the queue is already kept in turn order, so the first song is
+// always the next requester's turn.
 // ─────────────────────────────────────────────────────────────────────────────
 function dequeue(guildId) {
   const queue = getOrCreateQueue(guildId);
@@ -85,7 +312,19 @@ function dequeue(guildId) {
   // .shift() removes and returns the FIRST element of an array.
   // This is the opposite of .push() which adds to the end.
   // Think of it like the front of a line moving forward.
-  return queue.shift();
+  const song = queue.shift();
+
+  // Save the shorter queue.
+  saveQueue(guildId, queue);
+
+  // Remember whose turn just got used, for fair mode's turn order.
+  // (Only written when it changes, so a run of one person's songs doesn't
+  // grow the journal.)
+  if (store.get(lastRequesterKey(guildId)) !== requesterId(song)) {
+    store.set(lastRequesterKey(guildId), requesterId(song));
+  }
+
+  return song;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -125,17 +364,141 @@ function getQueue(guildId) {
 // Called when someone uses /stop.
 // ─────────────────────────────────────────────────────────────────────────────
 function clearQueue(guildId) {
-  // Setting the queue to an empty array [] removes all songs.
-  queues.set(guildId, []);
+  // Deleting the saved queue removes all songs (and frees up the space on disk).
+  store.delete(queueKey(guildId));
+  publish(guildId, 'cleared');
+  publish(guildId, 'queue-changed', { length: 0 });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// removeAt(guildId, position)
+//
+// Removes the song at a queue position and returns it.
+// Positions start at 1 (1 = next to play), the same numbers shown in "Up Next".
+// Returns null if there's no song at that position.
+// ─────────────────────────────────────────────────────────────────────────────
+function removeAt(guildId, position) {
+  const queue = getOrCreateQueue(guildId);
+
+  // Positions are 1-based for humans, but arrays are 0-based — subtract 1.
+  const index = position - 1;
+  if (!isValidIndex(queue, index)) {
+    return null; // No song there
+  }
+
+  // .splice(index, 1) cuts 1 element out of the array at that index and
+  // returns it inside a new array — [0] pulls the song back out.
+  const [song] = queue.splice(index, 1);
+
+  saveQueue(guildId, queue);
+  return song;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// moveSong(guildId, from, to)
+//
+// Moves the song at position `from` so it ends up at position `to`.
+// Every song in between shifts over by one to make room.
+// Returns the moved song, or null if either position doesn't exist.
+//
+// Example: queue [A, B, C, D], moveSong(g, 4, 1) → [D, A, B, C]
+// ─────────────────────────────────────────────────────────────────────────────
+function moveSong(guildId, from, to) {
+  const queue = getOrCreateQueue(guildId);
+
+  const fromIndex = from - 1;
+  const toIndex = to - 1;
+  if (!isValidIndex(queue, fromIndex) || !isValidIndex(queue, toIndex)) {
+    return null;
+  }
+
+  // Take the song out, then put it back in at its new spot.
+  // .splice(toIndex, 0, song) inserts without removing anything.
+  const [song] = queue.splice(fromIndex, 1);
+  queue.splice(toIndex, 0, song);
+
+  saveQueue(guildId, queue);
+  return song;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// swapSongs(guildId, a, b)
+//
+// Swaps the songs at positions `a` and `b` — nothing else moves.
+// Returns true if the swap happened, false if either position doesn't exist.
+// ─────────────────────────────────────────────────────────────────────────────
+function swapSongs(guildId, a, b) {
+  const queue = getOrCreateQueue(guildId);
+
+  const indexA = a - 1;
+  const indexB = b - 1;
+  if (!isValidIndex(queue, indexA) || !isValidIndex(queue, indexB)) {
+    return false;
+  }
+
+  // "Destructuring swap" — swaps two array slots in one line.
+  [queue[indexA], queue[indexB]] = [queue[indexB], queue[indexA]];
+
+  saveQueue(guildId, queue);
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// shuffleQueue(guildId)
+//
+// Puts the queued songs in a random order.
+// Returns how many songs were shuffled.
+// ─────────────────────────────────────────────────────────────────────────────
+function shuffleQueue(guildId) {
+  const queue = getOrCreateQueue(guildId);
+
+  shuffleArray(queue);
+
+  saveQueue(guildId, queue);
+  return queue.length;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// shuffleArray(array)
+//
+// Helper: shuffles an array in place and returns it.
+//
+// Uses the Fisher–Yates shuffle: walk backwards through the array and swap
+// each item with a random one at or before it. Every order is equally likely.
+// ─────────────────────────────────────────────────────────────────────────────
+function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    // Math.random() gives a number from 0 up to (not including) 1.
+    // Multiply and round down to get a random index from 0 to i.
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isValidIndex(queue, index)
+//
+// Helper: true if `index` is a whole number that points at a song in the queue.
+// ─────────────────────────────────────────────────────────────────────────────
+function isValidIndex(queue, index) {
+  return Number.isInteger(index) && index >= 0 && index < queue.length;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Export all functions so other files can use them
 // ─────────────────────────────────────────────────────────────────────────────
 module.exports = {
-  enqueue,    // Add a song to the queue
-  dequeue,    // Remove and return the next song
-  peek,       // Look at the next song without removing it
-  getQueue,   // Get the full list of queued songs
-  clearQueue  // Empty the queue completely
+  enqueue,        // Add a song to the queue
+  enqueueMany,    // Add a list of songs (e.g. a playlist) to the queue
+  insertAt,       // Add songs at a specific position (e.g. next up)
+  dequeue,        // Remove and return the next song
+  peek,           // Look at the next song without removing it
+  getQueue,       // Get the full list of queued songs
+  clearQueue,     // Empty the queue completely
+  removeAt,       // Remove the song at a position
+  moveSong,       // Move a song to a different position
+  swapSongs,      // Swap two songs' positions
+  shuffleQueue,   // Put the queue in a random order
+  rebalanceQueue  // Re-sort the queue into fair turn order
 };
@@ -0,0 +1,149 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/rules.js — What a server allows in its queue
+//
+// Without rules, anyone can queue "10 hours of bee sounds", a livestream that
+// never ends, or the same song ten times. Server managers can set rules with
+// /songrules, and every way a song gets into the queue checks it against them
+// first: POST /enqueue, replaying from the history, loading a saved playlist
+// and autoplay's picks.
+//
+// The rules (saved in the guild's music settings, see settings.js):
+//   maxSongMinutes   — songs longer than this are refused (0 = no limit)
+//   allowLivestreams — false = songs with no length are refused. That's
+//                      livestreams and radio stations (and the odd file whose
+//                      length can't be read)
+//   blockedKeywords  — songs whose title contains any of these are refused
+//   blockedChannels  — songs uploaded by any of these channels are refused
+//   blockedVideoIds  — these YouTube videos are refused
+//   maxSongsPerUser  — how many songs one person may have waiting in the queue
+//                      at once (0 = no limit)
+//   allowDuplicates  — false = a song that's already waiting in the queue
+//                      can't be queued again
+//
+// Keywords and channel names are saved in lower case, and compared that way.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { getQueue } = require('./queue');
+const { getSettings } = require('./settings');
+const { getVideoId } = require('./youtube');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// formatLength(seconds)
+//
+// Helper: turns seconds into "m:ss" or "h:mm:ss" for the messages below.
+// ─────────────────────────────────────────────────────────────────────────────
+function formatLength(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// songKey(song)
+//
+// Helper: what makes two songs "the same" for the duplicate rule — the video
+// ID for YouTube songs (so youtu.be and youtube.com links match), otherwise
+// the url.
+// ─────────────────────────────────────────────────────────────────────────────
+function songKey(song) {
+  return getVideoId(song.url) || song.url;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkContentRules(song, settings)
+//
+// Checks the rules about the song itself: length, livestreams and blocklists.
+// Returns null if the song is allowed, or the reason it isn't (a sentence
+// that can be shown to the person who asked for it).
+// ─────────────────────────────────────────────────────────────────────────────
+function checkContentRules(song, settings) {
+  const duration = song.duration || 0;
+
+  if (duration <= 0 && !settings.allowLivestreams) {
+    return `**${song.title}** is a livestream (or has no known length), and livestreams aren't allowed on this server.`;
+  }
+
+  if (settings.maxSongMinutes > 0 && duration > settings.maxSongMinutes * 60) {
+    return `**${song.title}** is ${formatLength(duration)} long — the limit on this server is ${formatLength(settings.maxSongMinutes * 60)}.`;
+  }
+
+  const title = String(song.title || '').toLowerCase();
+  const keyword = settings.blockedKeywords.find(word => title.includes(word));
+  if (keyword) {
+    return `**${song.title}** contains a blocked word ("${keyword}").`;
+  }
+
+  const channel = String(song.uploader || '').toLowerCase();
+  if (channel && settings.blockedChannels.includes(channel)) {
+    return `Songs from **${song.uploader}** are blocked on this server.`;
+  }
+
+  const videoId = getVideoId(song.url);
+  if (videoId && settings.blockedVideoIds.includes(videoId)) {
+    return `**${song.title}** is blocked on this server.`;
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// applySongRules(guildId, songs, requester)
+//
+// Checks songs that are about to be queued (one, or a whole playlist) against
+// all of the guild's rules. The per-person limit and the duplicate rule count
+// what's already waiting in the queue PLUS the songs allowed earlier in the
+// same list — so a 50-song playlist can't get round a 10-song limit.
+//
+// Parameters:
+//   requester — who's queueing them ({ id, name }). Without one, the
+//               per-person limit doesn't apply.
+//
+// Returns: { allowed, rejected }
+//   allowed  — the songs that may be queued, in their original order
+//   rejected — [ { song, reason }, ... ] for the rest
+// ─────────────────────────────────────────────────────────────────────────────
+function applySongRules(guildId, songs, requester = null) {
+  const settings = getSettings(guildId);
+  const queue = getQueue(guildId);
+
+  // How many songs this person has waiting, and which songs are queued already.
+  let userCount = requester
+    ? queue.filter(song => song.requester && song.requester.id === requester.id).length
+    : 0;
+  const queuedKeys = new Set(queue.map(songKey));
+
+  const allowed = [];
+  const rejected = [];
+
+  for (const song of songs) {
+    let reason = checkContentRules(song, settings);
+
+    if (!reason && !settings.allowDuplicates && queuedKeys.has(songKey(song))) {
+      reason = `**${song.title}** is already in the queue.`;
+    }
+
+    if (!reason && requester && settings.maxSongsPerUser > 0 && userCount >= settings.maxSongsPerUser) {
+      reason = `You already have ${userCount} song(s) in the queue — the limit on this server is ${settings.maxSongsPerUser}.`;
+    }
+
+    if (reason) {
+      rejected.push({ song, reason });
+      continue;
+    }
+
+    allowed.push(song);
+    queuedKeys.add(songKey(song));
+    userCount++;
+  }
+
+  return { allowed, rejected };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the rule functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  applySongRules,     // Split songs into the ones the guild allows and the ones it doesn't
+  checkContentRules   // Check one song's length, livestream status and blocklists
+};
@@ -0,0 +1,94 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/sessions.js — What each guild was playing, for after a restart
+//
+// The bot keeps the song that's playing, its voice channel and its Now
+// Playing message in memory (bot/state.js), so a bot restart would forget
+// them — and the music would stop, even though the queue is safe in here.
+//
+// So while music plays, the bot saves a "checkpoint" of each guild's session
+// here every few seconds (see bot/music/checkpoint.js). When it starts up
+// again, it reads them back, rejoins the channels and carries on.
+//
+// Checkpoints are saved in the music store under "session:<guildId>".
+// Each one looks like:
+//   { guildId, voiceChannelId, textChannelId, statusMessageId, song, offset,
+//     isPaused, songStartedAt, savedAt }
+//     song            — the song that was playing (it's no longer in the queue)
+//     offset          — how far into it, in seconds
+//     statusMessageId — the Now Playing message, so it can be reused
+//     songStartedAt   — when the song first started (for the play history)
+//     savedAt         — when the checkpoint was saved (Date.now())
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The same durable store the queues live in.
+const store = require('./store').openStore('music');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// sessionKey(guildId)
+//
+// Builds the store key for a server's checkpoint.
+// Example: sessionKey("123456789") → "session:123456789"
+// ─────────────────────────────────────────────────────────────────────────────
+function sessionKey(guildId) {
+  return `session:${guildId}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// saveSession(guildId, session)
+//
+// Saves (or replaces) a server's checkpoint. Throws if it's missing the
+// parts needed to resume.
+// Returns the saved checkpoint.
+// ─────────────────────────────────────────────────────────────────────────────
+function saveSession(guildId, session) {
+  if (!session || !session.voiceChannelId || !session.song || !session.song.url) {
+    throw new Error('A session needs voiceChannelId and song');
+  }
+
+  const saved = {
+    guildId: guildId,
+    voiceChannelId: String(session.voiceChannelId),
+    textChannelId: session.textChannelId ? String(session.textChannelId) : null,
+    statusMessageId: session.statusMessageId ? String(session.statusMessageId) : null,
+    song: session.song,
+    // Never negative, always whole seconds.
+    offset: Math.max(0, Math.floor(Number(session.offset) || 0)),
+    isPaused: session.isPaused === true,
+    songStartedAt: Number(session.songStartedAt) || null,
+    savedAt: Date.now()
+  };
+
+  store.set(sessionKey(guildId), saved);
+  return saved;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// listSessions()
+//
+// Returns every saved checkpoint (one per server that was playing).
+// ─────────────────────────────────────────────────────────────────────────────
+function listSessions() {
+  return store.keys('session:').map(key => store.get(key));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// deleteSession(guildId)
+//
+// Forgets a server's checkpoint — the music stopped, so there's nothing to
+// resume. Returns true if there was one.
+// ─────────────────────────────────────────────────────────────────────────────
+function deleteSession(guildId) {
+  const key = sessionKey(guildId);
+  if (store.get(key) === undefined) return false;
+  store.delete(key);
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the session functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  saveSession,    // Save a server's checkpoint
+  listSessions,   // Every saved checkpoint
+  deleteSession   // Forget a server's checkpoint
+};
@@ -0,0 +1,175 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/settings.js — Per-guild music settings
+//
+// Some choices belong to a whole server rather than to one song — like
+// "keep repeating the queue" or "let requesters take turns". They're saved in
+// the music store right next to the queue (under "settings:<guildId>"), so
+// they survive restarts too.
+//
+// Only the settings a server has actually changed are saved. Everything else
+// falls back to DEFAULT_SETTINGS below, so adding a new setting later doesn't
+// need any changes to data that's already on disk.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The same durable store the queues live in.
+const store = require('./store').openStore('music');
+
+// Tells the bot (through GET /events) when a guild's settings change.
+const { publish } = require('./events');
+
+// The audio filter presets — a guild's "filter" setting must be one of these.
+const { FILTERS } = require('./filters');
+
+// ── Loop modes ────────────────────────────────────────────────────────────────
+//   'off'   — play through the queue once, then stop
+//   'track' — replay the current song over and over
+//   'queue' — when a song finishes, put it back on the end of the queue
+const LOOP_MODES = ['off', 'track', 'queue'];
+
+// ── Defaults for a server that hasn't changed anything ───────────────────────
+const DEFAULT_SETTINGS = {
+  loopMode: 'off',
+  fairMode: false,         // true = requesters take turns instead of first-come-first-served
+  autoplay: false,         // true = keep playing related songs when the queue runs out
+  volume: 100,             // Music volume in percent (0–200, 100 = as YouTube sends it)
+  djVolume: 100,           // DJ intro volume in percent (0–200), set separately from the music
+  filter: 'off',           // Audio effect preset from filters.js, or 'off'
+  voteSkip: false,         // true = /skip needs enough listeners to vote for it
+  voteSkipShare: 50,       // Percent of listeners whose votes skip a song (10–100)
+  djRoleId: null,          // Role whose members skip instantly, like the requester
+  stopRoleIds: [],         // Roles allowed to /stop (empty = everyone)
+  clearRoleIds: [],        // Roles allowed to clear the queue (empty = everyone)
+  queueEditRoleIds: [],    // Roles allowed to remove, move and shuffle songs (empty = everyone)
+  removeOwnOnly: false,    // true = people without a queue-edit role may still remove their OWN songs
+  requireSameVoice: false, // true = music controls only work from inside the bot's voice channel
+  maxSongMinutes: 0,       // Longest song that may be queued, in minutes (0 = no limit)
+  allowLivestreams: true,  // false = songs with no length (livestreams, radio) are refused
+  blockedKeywords: [],     // Songs whose title contains one of these (lower case) are refused
+  blockedChannels: [],     // Songs uploaded by one of these channels (lower case) are refused
+  blockedVideoIds: [],     // These YouTube video IDs are refused
+  maxSongsPerUser: 0,      // Songs one person may have waiting in the queue (0 = no limit)
+  allowDuplicates: true,   // false = a song already waiting in the queue can't be queued again
+  playlistRoleId: null     // Role allowed to edit shared playlists (null = only server managers)
+};
+
+// ── Role lists ────────────────────────────────────────────────────────────────
+// The permission settings hold lists of role IDs. This many is plenty.
+const MAX_ROLES = 25;
+
+// True if value is an array of Discord IDs (long strings of digits).
+function isRoleList(value) {
+  return Array.isArray(value) &&
+    value.length <= MAX_ROLES &&
+    value.every(id => typeof id === 'string' && /^\d+$/.test(id));
+}
+
+// ── Blocklists ────────────────────────────────────────────────────────────────
+// The song rules (see rules.js) hold lists of words, channel names and video
+// IDs. Each list can be this long, and each entry this many characters.
+const MAX_BLOCKED = 100;
+const MAX_BLOCKED_LENGTH = 100;
+
+// True if value is a list of non-empty strings. `pattern` (optional) is a
+// regex every entry must match.
+function isTextList(value, pattern = null) {
+  return Array.isArray(value) &&
+    value.length <= MAX_BLOCKED &&
+    value.every(item =>
+      typeof item === 'string' &&
+      item.length > 0 &&
+      item.length <= MAX_BLOCKED_LENGTH &&
+      (!pattern || pattern.test(item))
+    );
+}
+
+// ── Validators ────────────────────────────────────────────────────────────────
+// One function per setting. Each returns true if the value is allowed.
+// A setting without a validator here can't be changed through updateSettings().
+const VALIDATORS = {
+  loopMode: value => LOOP_MODES.includes(value),
+  fairMode: value => typeof value === 'boolean',
+  autoplay: value => typeof value === 'boolean',
+  volume: value => Number.isInteger(value) && value >= 0 && value <= 200,
+  djVolume: value => Number.isInteger(value) && value >= 0 && value <= 200,
+  filter: value => value === 'off' || Object.prototype.hasOwnProperty.call(FILTERS, value),
+  voteSkip: value => typeof value === 'boolean',
+  voteSkipShare: value => Number.isInteger(value) && value >= 10 && value <= 100,
+  djRoleId: value => value === null || (typeof value === 'string' && /^\d+$/.test(value)),
+  stopRoleIds: value => isRoleList(value),
+  clearRoleIds: value => isRoleList(value),
+  queueEditRoleIds: value => isRoleList(value),
+  removeOwnOnly: value => typeof value === 'boolean',
+  requireSameVoice: value => typeof value === 'boolean',
+  maxSongMinutes: value => Number.isInteger(value) && value >= 0 && value <= 1440,
+  allowLivestreams: value => typeof value === 'boolean',
+  blockedKeywords: value => isTextList(value),
+  blockedChannels: value => isTextList(value),
+  // YouTube video IDs are always 11 letters, digits, "-" or "_".
+  blockedVideoIds: value => isTextList(value, /^[\w-]{11}$/),
+  maxSongsPerUser: value => Number.isInteger(value) && value >= 0 && value <= 100,
+  allowDuplicates: value => typeof value === 'boolean',
+  // Discord IDs are long strings of digits ("snowflakes").
+  playlistRoleId: value => value === null || (typeof value === 'string' && /^\d+$/.test(value))
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// settingsKey(guildId)
+//
+// Builds the store key for a server's settings.
+// Example: settingsKey("123456789") → "settings:123456789"
+// ─────────────────────────────────────────────────────────────────────────────
+function settingsKey(guildId) {
+  return `settings:${guildId}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getSettings(guildId)
+//
+// Returns the full settings object for a server: the defaults, with anything
+// the server has changed layered on top.
+// ─────────────────────────────────────────────────────────────────────────────
+function getSettings(guildId) {
+  // The spread operator (...) copies properties — later ones win.
+  // So saved values replace the defaults, and missing ones keep the default.
+  return { ...DEFAULT_SETTINGS, ...(store.get(settingsKey(guildId)) || {}) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// updateSettings(guildId, updates)
+//
+// Changes one or more settings for a server and saves them.
+// Throws an error (with a message safe to show users) if a setting is unknown
+// or its value isn't allowed. Nothing is saved unless every update is valid.
+//
+// Returns: the full, updated settings object.
+//
+// Example: updateSettings("123", { loopMode: 'queue' })
+// ─────────────────────────────────────────────────────────────────────────────
+function updateSettings(guildId, updates) {
+  // Check every update before saving anything.
+  for (const [name, value] of Object.entries(updates)) {
+    // Object.entries() turns { a: 1 } into [['a', 1]] so we can loop over it.
+    const validate = VALIDATORS[name];
+    if (!validate) {
+      throw new Error(`Unknown setting: ${name}`);
+    }
+    if (!validate(value)) {
+      throw new Error(`Invalid value for ${name}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  const saved = store.get(settingsKey(guildId)) || {};
+  store.set(settingsKey(guildId), { ...saved, ...updates });
+  publish(guildId, 'settings-changed', { changed: Object.keys(updates) });
+
+  return getSettings(guildId);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the settings functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  getSettings,      // Get a server's settings (with defaults filled in)
+  updateSettings,   // Change and save some of a server's settings
+  LOOP_MODES        // The allowed loop modes: 'off', 'track', 'queue'
+};
@@ -0,0 +1,357 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/sources.js — Where songs come from
+//
+// A song can come from many places: YouTube, SoundCloud, Bandcamp, a radio
+// station, an attached file, the local library... Each place is a "source",
+// and this file keeps the list of them (the "registry"). Every source knows:
+//
+//   name         — a short ID saved on each song as song.source, e.g. 'soundcloud'
+//   label, icon  — how the now-playing embed shows it, e.g. "☁️ SoundCloud"
+//   matches(url) — whether a link belongs to this source
+//   resolve(url) — builds a song object { title, url, duration, ... } for a link
+//   getStreamUrl(url)
+//                — what ffmpeg should read to play one of its songs (a direct
+//                  audio link, or a file on disk)
+//
+// When someone queues a link, the FIRST source in the list whose matches()
+// says yes handles it — so the specific sites come before the catch-all "any
+// other web link" at the end. Anything that isn't a link at all is searched
+// for on YouTube, as before.
+//
+// To support a new site, add an entry to SOURCES below.
+//
+// This file is also where playback starts: getAudioStream() asks the song's
+// source for its stream link, then runs ffmpeg on it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// child_process is built into Node.js — used to run ffmpeg.
+const { spawn } = require('child_process');
+
+const {
+  searchAndResolve,
+  resolveUrl,
+  getDirectAudioUrl,
+  isYouTubeUrl
+} = require('./youtube');
+const {
+  isAudioFileUrl,
+  isLibraryUrl,
+  resolveLocalTrack,
+  getLocalStreamUrl,
+  assertAttachmentNotExpired
+} = require('./local');
+const {
+  isWebUrl,
+  isRadioPlaylistUrl,
+  resolveRadioPlaylist,
+  getRadioStreamUrl,
+  resolveWebAudio
+} = require('./webaudio');
+
+// Reading pasted links through a relay that only opens public hosts.
+const { relayUrl } = require('./network');
+
+// Audio effect presets (bass boost, nightcore, ...) for openAudioStream().
+const { getFilter } = require('./filters');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveSoundCloud(url) / resolveBandcamp(url)
+//
+// yt-dlp reads single tracks from both sites. Their playlists (SoundCloud
+// "sets", Bandcamp albums) would need every track looked up one by one, so
+// for now those get a clear error instead.
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveSoundCloud(url) {
+  if (/\/sets\//.test(new URL(url).pathname)) {
+    throw new Error('SoundCloud playlists can\'t be queued — use the link to a single track');
+  }
+  return resolveUrl(url);
+}
+
+async function resolveBandcamp(url) {
+  if (!new URL(url).pathname.startsWith('/track/')) {
+    throw new Error('Only Bandcamp track links can be queued — open a song and use its link');
+  }
+  return resolveUrl(url);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// checkedWebLink(url)
+//
+// The stream link for audio file and web audio songs: the link, read through
+// the relay (see network.js). ffmpeg would otherwise look the website up and
+// follow its redirects by itself — to anywhere, including this computer. A
+// song can also sit in a queue or playlist for a long time, and the website's
+// address may have changed since it was queued.
+// ─────────────────────────────────────────────────────────────────────────────
+async function checkedWebLink(url) {
+  return relayUrl(url);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getAudioFileStreamUrl(url)
+//
+// The stream link for an audio file song: like checkedWebLink(), but a
+// Discord attachment whose link has expired gets a clear error instead of
+// ffmpeg failing on it (see assertAttachmentNotExpired() in local.js).
+// ─────────────────────────────────────────────────────────────────────────────
+async function getAudioFileStreamUrl(url) {
+  assertAttachmentNotExpired(url);
+  return checkedWebLink(url);
+}
+
+// ── The registry ──────────────────────────────────────────────────────────────
+// Checked in this order — keep the catch-all 'web' source last.
+const SOURCES = [
+  {
+    name: 'library',
+    label: 'Music library',
+    icon: '📚',
+    matches: isLibraryUrl,
+    resolve: resolveLocalTrack,
+    getStreamUrl: getLocalStreamUrl
+  },
+  {
+    name: 'youtube',
+    label: 'YouTube',
+    icon: '📺',
+    matches: isYouTubeUrl,
+    resolve: resolveUrl,
+    getStreamUrl: getDirectAudioUrl
+  },
+  {
+    name: 'soundcloud',
+    label: 'SoundCloud',
+    icon: '☁️',
+    // soundcloud.com, m.soundcloud.com (mobile) and on.soundcloud.com (share links)
+    matches: url => /^https?:\/\/((www|m|on)\.)?soundcloud\.com\//i.test(url),
+    resolve: resolveSoundCloud,
+    getStreamUrl: getDirectAudioUrl
+  },
+  {
+    name: 'bandcamp',
+    label: 'Bandcamp',
+    icon: '💿',
+    // Every artist has their own subdomain, e.g. https://artist.bandcamp.com/track/song
+    matches: url => /^https?:\/\/[\w-]+\.bandcamp\.com\//i.test(url),
+    resolve: resolveBandcamp,
+    getStreamUrl: getDirectAudioUrl
+  },
+  {
+    name: 'radio',
+    label: 'Internet radio',
+    icon: '📡',
+    matches: isRadioPlaylistUrl,
+    resolve: resolveRadioPlaylist,
+    getStreamUrl: getRadioStreamUrl
+  },
+  {
+    name: 'file',
+    label: 'Audio file',
+    icon: '📎',
+    matches: isAudioFileUrl,
+    resolve: resolveLocalTrack,
+    getStreamUrl: getAudioFileStreamUrl
+  },
+  {
+    // Any other web link — played only if it turns out to be audio.
+    name: 'web',
+    label: 'Web audio',
+    icon: '🔗',
+    matches: isWebUrl,
+    resolve: resolveWebAudio,
+    getStreamUrl: checkedWebLink
+  }
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// findSourceForUrl(url)
+//
+// Returns the first source that handles a link, or null if it isn't a link
+// any source knows (i.e. it's a search term).
+// ─────────────────────────────────────────────────────────────────────────────
+function findSourceForUrl(url) {
+  return SOURCES.find(source => source.matches(String(url))) || null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getSource(song)
+//
+// Returns the source a song came from — for SHOWING it (the icon and label
+// in the embeds and the dashboard). Songs queued before sources were saved
+// (and songs other parts of the service build themselves, like autoplay
+// picks) have no song.source, so those are worked out from their url.
+//
+// Never use this to decide how to PLAY a song: song.source is only a label,
+// and a song object can come from anywhere. See getPlaybackSource().
+// ─────────────────────────────────────────────────────────────────────────────
+function getSource(song) {
+  return SOURCES.find(source => source.name === song.source)
+    || findSourceForUrl(song.url)
+    || SOURCES.find(source => source.name === 'youtube');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getPlaybackSource(song)
+//
+// Returns the source that should PLAY a song, worked out from its url alone —
+// song.source isn't trusted, or a song saying { source: 'file' } could point
+// ffmpeg at any file on the computer. Only http(s) links and "library:" refs
+// match a source, so anything else is refused here.
+//
+// The one thing song.source can change: a plain web link that turned out to
+// be a radio playlist when it was queued (see resolveWebAudio()) is played as
+// one — that only changes how the link is read, not what can be read.
+// ─────────────────────────────────────────────────────────────────────────────
+function getPlaybackSource(song) {
+  const source = findSourceForUrl(song.url);
+  if (!source) {
+    throw new Error(`Can't play that song — its link isn't a web link or a library song: ${song.url}`);
+  }
+
+  if (source.name === 'web' && song.source === 'radio') {
+    return SOURCES.find(s => s.name === 'radio');
+  }
+  return source;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveQuery(query)
+//
+// Turns whatever someone typed into /play into a song object, with
+// song.source set:
+//   a link        → the source that handles it (or an error if none can play it)
+//   anything else → the top YouTube search result
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveQuery(query) {
+  // Tidy away accidental trailing punctuation ("https://...mp3." or "song?"),
+  // but not from library refs, which are exact.
+  let cleanQuery = query.trim();
+  if (!isLibraryUrl(cleanQuery)) {
+    cleanQuery = cleanQuery.replace(/[.,!?;:]+$/, '');
+  }
+
+  const source = findSourceForUrl(cleanQuery);
+  if (!source) {
+    const song = await searchAndResolve(cleanQuery);
+    return { ...song, source: 'youtube' };
+  }
+
+  const song = await source.resolve(cleanQuery);
+  // A resolver may pick a more specific source itself (e.g. a plain web link
+  // that turns out to be a radio playlist).
+  return { ...song, source: song.source || source.name };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getStreamUrl(song)
+//
+// Step 1 of getAudioStream(): asks the song's source what ffmpeg should read.
+// For YouTube, SoundCloud and Bandcamp this is the slow part (yt-dlp takes a
+// few seconds), which is why the bot can call it ahead of time for the next
+// song (see bot/music/prefetch.js).
+// ─────────────────────────────────────────────────────────────────────────────
+async function getStreamUrl(song) {
+  return getPlaybackSource(song).getStreamUrl(song.url);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getAudioStream(song, options)
+//
+// Gets a live stream of raw audio for a song, ready for Discord.
+//
+// Why stream instead of download?
+//   Streaming is instant (music starts immediately) and saves disk space.
+//   Downloading would make the user wait and fill up your drive.
+//
+// How it works:
+//   1. The song's source finds what to read — e.g. yt-dlp finds the direct
+//      link to a video's best audio track (getStreamUrl()).
+//   2. ffmpeg reads from that link and turns it into raw PCM audio
+//      (48kHz, stereo, 16-bit — exactly what Discord's player wants)
+//      (openAudioStream()).
+//   Because ffmpeg reads the link itself, it can jump straight to any point
+//   in the song (using HTTP range requests) instead of downloading
+//   everything before it. That's what makes /seek fast even in long videos.
+//
+// Options:
+//   seek   — where to start, in seconds (default 0 = the beginning)
+//   filter — (optional) name of an effect preset from filters.js, e.g. 'nightcore'
+//
+// The bot must create its AudioResource with StreamType.Raw for this stream.
+// ─────────────────────────────────────────────────────────────────────────────
+async function getAudioStream(song, options = {}) {
+  return openAudioStream(await getStreamUrl(song), options);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// openAudioStream(streamUrl, options)
+//
+// Step 2 of getAudioStream(): starts ffmpeg reading a direct audio link (from
+// getStreamUrl()) — or a library file's path — and returns its raw PCM output.
+// Takes the same options.
+// ─────────────────────────────────────────────────────────────────────────────
+function openAudioStream(streamUrl, { seek = 0, filter = null } = {}) {
+  // The effect preset's filter chain, if one is on.
+  const preset = getFilter(filter);
+
+  // spawn() starts ffmpeg as a child process with these arguments:
+  //   -protocol_whitelist  → the only ways ffmpeg may open things: over the web
+  //                          for links, from disk for library files (so a
+  //                          playlist file can't point it anywhere else)
+  //   -reconnect ...       → if the site drops the connection mid-song, reconnect
+  //                          (only for web links — ffmpeg rejects them for files)
+  //   -ss <seconds>        → start this far into the song (before -i = fast seek)
+  //   -i <link>            → read from the direct audio link
+  //   -af <filters>        → (only with a preset) run the audio through its effects
+  //   -f s16le -ar 48000 -ac 2
+  //                        → output raw 16-bit PCM, 48kHz, 2 channels
+  //   pipe:1               → write to stdout instead of a file
+  const isWebLink = /^https?:\/\//.test(streamUrl);
+  const ffmpegProcess = spawn('ffmpeg', [
+    '-protocol_whitelist', isWebLink ? 'http,https,tcp,tls' : 'file',
+    ...(isWebLink ? ['-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5'] : []),
+    '-ss', String(Math.max(0, Math.floor(seek))),
+    '-i', streamUrl,
+    '-vn',                    // Ignore any video
+    // ...[] adds nothing when there's no preset.
+    ...(preset ? ['-af', preset.af] : []),
+    '-loglevel', 'error',     // Only print real errors
+    '-f', 's16le',
+    '-ar', '48000',
+    '-ac', '2',
+    'pipe:1'
+  ], {
+    // stdio config: what to do with standard input, output, and error
+    //   'ignore'  → don't connect stdin (we don't send ffmpeg any input)
+    //   'pipe'    → connect stdout as a Node.js stream we can read from
+    //   'pipe'    → connect stderr as a Node.js stream (for error messages)
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // Log any errors ffmpeg prints to stderr (for debugging).
+  ffmpegProcess.stderr.on('data', (data) => {
+    console.error('[SOURCES] ffmpeg stderr:', data.toString().trim());
+  });
+
+  // When the player is done with the stream early (skip, seek, stop), the
+  // stream is destroyed — make sure ffmpeg doesn't keep running in the background.
+  ffmpegProcess.stdout.on('close', () => {
+    if (ffmpegProcess.exitCode === null) ffmpegProcess.kill('SIGKILL');
+  });
+
+  // Return the stdout stream — this is the actual audio data.
+  // The Discord audio player will read bytes from this stream to produce sound.
+  return ffmpegProcess.stdout;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the source functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  resolveQuery,      // Turn a /play query into a song object (with its source)
+  getSource,         // Which source a song came from ({ name, label, icon, ... })
+  getAudioStream,    // Get a live audio byte stream for a song (optionally from an offset)
+  getStreamUrl,      // Step 1 of getAudioStream: what ffmpeg should read
+  openAudioStream    // Step 2 of getAudioStream: stream audio from it
+};
@@ -0,0 +1,212 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/store.js — Tiny on-disk key-value store (append-only journal)
+//
+// The music service used to keep everything in memory, so every pm2 restart
+// wiped every server's queue. This file gives it a durable place to keep data
+// without needing a real database.
+//
+// How it works:
+//   • Every change is written as ONE line of JSON at the end of a file:
+//       {"k":"queue:123","v":[...]}   → "key queue:123 now holds this value"
+//       {"k":"queue:123","d":1}       → "key queue:123 was deleted"
+//   • On boot, we read the file top to bottom and replay every line. The last
+//     line written for a key wins, so we end up with the latest value.
+//   • Once the file has collected lots of old lines, we "compact" it: write
+//     just the current value of every key to a temporary file, then swap it
+//     into place in one step (a rename).
+//
+// Crash safety:
+//   • If the process dies halfway through writing a line, that last line is
+//     broken JSON. We skip it when loading and compact straight away, so the
+//     file is clean again.
+//   • If the process dies halfway through compacting, the temporary file is
+//     leftover junk but the real journal was never touched — we delete it.
+//
+// Think of it like a ship's logbook: you never erase old entries, you just
+// write new ones at the bottom. Every so often someone copies out a clean
+// summary and starts a fresh book.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// fs = File System module for reading and writing files.
+const fs = require('fs');
+
+// path helps build file paths that work on all operating systems.
+const path = require('path');
+
+// Import the storage settings (where the files live, when to compact).
+const { MUSIC_STORAGE } = require('../../shared/config');
+
+// Every store that has been opened so far, by name.
+// Opening the same name twice returns the same store instead of loading twice.
+const openStores = new Map();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createStore(filePath)
+//
+// Loads (or creates) a journal file and returns an object with get/set/delete
+// functions. All reads come from memory, so they're instant — the file is only
+// used to remember things across restarts.
+//
+// Parameters:
+//   filePath — absolute path of the journal file (e.g. /home/kent/data/music.jsonl)
+// ─────────────────────────────────────────────────────────────────────────────
+function createStore(filePath) {
+  // The live data: key (string) → value (any JSON-friendly value).
+  const data = new Map();
+
+  // How many lines are in the journal file right now.
+  // When this gets much bigger than the number of keys, it's time to compact.
+  let journalLines = 0;
+
+  // The temporary file used while compacting.
+  const tmpPath = `${filePath}.tmp`;
+
+  // ── Load the journal from disk ──────────────────────────────────────────
+  // Make sure the data folder exists. { recursive: true } = also create any
+  // missing parent folders, and don't complain if it already exists.
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // A leftover .tmp file means we crashed mid-compaction. The real journal is
+  // still intact (the rename never happened), so the .tmp file is just junk.
+  if (fs.existsSync(tmpPath)) {
+    console.warn(`[STORE] Removing unfinished compaction file: ${tmpPath}`);
+    fs.unlinkSync(tmpPath);
+  }
+
+  // Did we find any broken lines while loading? If so we'll compact right away.
+  let damaged = false;
+
+  if (fs.existsSync(filePath)) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    // Each line is one record. .split('\n') breaks the text into lines.
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue; // Skip blank lines (the file ends with '\n')
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A half-written line from a crash — skip it and remember to clean up.
+        damaged = true;
+        continue;
+      }
+
+      applyRecord(record);
+      journalLines++;
+    }
+  }
+
+  if (damaged) {
+    console.warn(`[STORE] Skipped half-written lines in ${path.basename(filePath)}, rewriting it`);
+  }
+
+  // ── applyRecord(record) ─────────────────────────────────────────────────
+  // Applies one journal line to the in-memory data.
+  function applyRecord(record) {
+    if (!record || typeof record.k !== 'string') return; // Not a record we understand
+
+    if (record.d) {
+      data.delete(record.k);   // A delete record
+    } else {
+      data.set(record.k, record.v);   // A set record
+    }
+  }
+
+  // ── append(record) ──────────────────────────────────────────────────────
+  // Writes one record to the end of the journal, compacting when it gets long.
+  function append(record) {
+    // appendFileSync() adds text to the end of a file (creating it if needed).
+    // We write the whole line in a single call so a crash can only ever
+    // damage the very last line.
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    journalLines++;
+
+    // Compact once there are lots of lines AND most of them are outdated.
+    if (journalLines > MUSIC_STORAGE.COMPACT_AFTER && journalLines > data.size * 2) {
+      compact();
+    }
+  }
+
+  // ── compact() ───────────────────────────────────────────────────────────
+  // Rewrites the journal so it contains exactly one line per key.
+  function compact() {
+    // Build the whole new file as one string.
+    let text = '';
+    for (const [k, v] of data) {
+      text += JSON.stringify({ k, v }) + '\n';
+    }
+
+    // Write to the temporary file and force it all the way to the disk
+    // (fsyncSync) before swapping it in, so the rename never exposes a
+    // half-written file.
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // renameSync() replaces the old journal in a single step.
+    fs.renameSync(tmpPath, filePath);
+    journalLines = data.size;
+  }
+
+  // Clean up a damaged or overgrown journal before anyone starts using it.
+  if (damaged || journalLines > MUSIC_STORAGE.COMPACT_AFTER) {
+    compact();
+  }
+
+  console.log(`[STORE] Loaded ${data.size} key(s) from ${path.basename(filePath)}`);
+
+  return {
+    // get(key) — returns the stored value, or undefined if there isn't one.
+    get(key) {
+      return data.get(key);
+    },
+
+    // set(key, value) — stores a value (must be JSON-friendly) and saves it.
+    set(key, value) {
+      data.set(key, value);
+      append({ k: key, v: value });
+    },
+
+    // delete(key) — removes a key and saves that it's gone.
+    delete(key) {
+      if (!data.has(key)) return; // Nothing to delete — don't grow the journal
+      data.delete(key);
+      append({ k: key, d: 1 });
+    },
+
+    // keys(prefix) — lists every key that starts with the given text.
+    // Example: keys('queue:') → ['queue:123', 'queue:456']
+    keys(prefix = '') {
+      return [...data.keys()].filter(k => k.startsWith(prefix));
+    },
+
+    compact   // Exposed so it can be triggered manually if ever needed
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// openStore(name)
+//
+// Returns the store called `name`, loading it from the data folder the first
+// time it's asked for. The file is named after the store: "music" → music.jsonl
+// ─────────────────────────────────────────────────────────────────────────────
+function openStore(name) {
+  if (!openStores.has(name)) {
+    const filePath = path.join(MUSIC_STORAGE.DATA_DIR, `${name}.jsonl`);
+    openStores.set(name, createStore(filePath));
+  }
+  return openStores.get(name);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the store functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  openStore,   // Get a named store from the data folder (loads it on first use)
+  createStore  // Create a store at a specific file path
+};
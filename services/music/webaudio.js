@@ -0,0 +1,279 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// services/music/webaudio.js — Audio straight from a web link
+//
+// Some links aren't a page on a music site but the audio itself:
+//
+//   Direct audio streams — a link that sends audio data when you open it,
+//     like an internet radio station's stream:
+//       http://stream.example.com:8000/live
+//     The server says what it's sending in its Content-Type header (e.g.
+//     "audio/mpeg"), and radio servers usually add their station's name in an
+//     "icy-name" header. The song's url is the link itself, and ffmpeg plays
+//     it as it is.
+//
+//   Radio playlists — small text files (.m3u or .pls) that radio stations
+//     publish instead of their stream link. They just list one or more stream
+//     links, e.g. a .pls file:
+//       [playlist]
+//       File1=http://stream.example.com:8000/live
+//       Title1=Example FM
+//     The song's url stays the PLAYLIST link: stations move their streams
+//     around, so the file is read again each time the song starts.
+//
+// Radio stations never end, so their duration is 0 (like a YouTube
+// livestream) — no seeking, and the song plays until someone skips it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Reading an audio file's length and tags (for direct links to finite files).
+const { probeAudio } = require('./local');
+
+// Opening links — but only ones on the public internet (see network.js).
+const { assertPublicUrl, requestPublic, relayUrl } = require('./network');
+
+// How long to wait for a web server to answer, in milliseconds.
+const FETCH_TIMEOUT_MS = 10_000;
+
+// Radio playlists are tiny — anything bigger than this isn't one.
+const MAX_PLAYLIST_BYTES = 64 * 1024;
+
+// Content-Type headers that mean "this is a radio playlist, not audio".
+const PLAYLIST_TYPES = ['audio/x-scpls', 'audio/x-mpegurl', 'audio/mpegurl'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isWebUrl(str)
+//
+// True if a string is an http:// or https:// link.
+// ─────────────────────────────────────────────────────────────────────────────
+function isWebUrl(str) {
+  return /^https?:\/\/\S+$/i.test(String(str));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// isRadioPlaylistUrl(str)
+//
+// True if a link points at a .m3u or .pls radio playlist (by its extension).
+// Anything after "?" doesn't count.
+//
+// (.m3u8 files are left out on purpose: those are HLS streams, which ffmpeg
+// can play directly, not lists of stations.)
+// ─────────────────────────────────────────────────────────────────────────────
+function isRadioPlaylistUrl(str) {
+  if (!isWebUrl(str)) return false;
+  return /\.(m3u|pls)$/i.test(new URL(str).pathname);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// parseRadioPlaylist(text)
+//
+// Reads the stream links (and their titles, if given) out of a .pls or .m3u
+// file. Returns [ { url, title }, ... ] — only web links are kept.
+//
+// A .pls file numbers its entries:        An .m3u file is one link per line,
+//   File1=http://...                        with an optional "#EXTINF" line
+//   Title1=Example FM                       before it:
+//                                             #EXTINF:-1,Example FM
+//                                             http://...
+// ─────────────────────────────────────────────────────────────────────────────
+function parseRadioPlaylist(text) {
+  const lines = String(text).split(/\r?\n/).map(line => line.trim());
+
+  // ── .pls ─────────────────────────────────────────────────────────────────
+  if (lines.some(line => /^\[playlist\]$/i.test(line))) {
+    const entries = new Map();   // entry number → { url, title }
+    for (const line of lines) {
+      // "File1=http://..." → key "File", number "1", value "http://..."
+      const match = line.match(/^(File|Title)(\d+)=(.*)$/i);
+      if (!match) continue;
+      const [, key, number, value] = match;
+      const entry = entries.get(number) || { url: null, title: null };
+      if (key.toLowerCase() === 'file') entry.url = value.trim();
+      else entry.title = value.trim() || null;
+      entries.set(number, entry);
+    }
+    return [...entries.values()].filter(entry => isWebUrl(entry.url));
+  }
+
+  // ── .m3u ─────────────────────────────────────────────────────────────────
+  const entries = [];
+  let title = null;
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      // "#EXTINF:-1,Example FM" → "Example FM" (everything after the first comma)
+      const comma = line.indexOf(',');
+      title = comma >= 0 ? line.slice(comma + 1).trim() || null : null;
+    } else if (line && !line.startsWith('#')) {
+      if (isWebUrl(line)) entries.push({ url: line, title });
+      title = null;
+    }
+  }
+  return entries;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// readLimitedText(response, maxBytes)
+//
+// Helper: reads a response's body as text, but gives up (and stops the
+// download) as soon as it's bigger than maxBytes — so a link to a huge file,
+// or to a radio stream that never ends, can't fill up the memory.
+// ─────────────────────────────────────────────────────────────────────────────
+async function readLimitedText(response, maxBytes) {
+  // Content-Length, if the server sends it, tells us the size up front.
+  const declared = Number(response.headers['content-length']);
+  if (declared > maxBytes) {
+    response.destroy();
+    throw new Error('That link is too big to be a radio playlist');
+  }
+
+  // Otherwise count the bytes as they arrive, one chunk at a time.
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      // Leaving a for await loop early stops the download.
+      throw new Error('That link is too big to be a radio playlist');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// fetchRadioPlaylist(url)
+//
+// Downloads a radio playlist and returns its entries (see parseRadioPlaylist()).
+// Throws if it can't be downloaded, is on a private network, is too big, or
+// has no stream links in it.
+// ─────────────────────────────────────────────────────────────────────────────
+async function fetchRadioPlaylist(url) {
+  // AbortSignal.timeout() cancels the download if the server is too slow.
+  const response = await requestPublic(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (response.statusCode !== 200) {
+    response.destroy();
+    throw new Error(`Could not download the radio playlist (HTTP ${response.statusCode})`);
+  }
+
+  const text = await readLimitedText(response, MAX_PLAYLIST_BYTES);
+
+  const entries = parseRadioPlaylist(text);
+  if (entries.length === 0) {
+    throw new Error('That radio playlist has no stream links in it');
+  }
+  return entries;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveRadioPlaylist(url)
+//
+// Builds a song object for a .m3u/.pls radio playlist link. The title is the
+// playlist's title for its first station, or the website's name.
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveRadioPlaylist(url) {
+  const [first] = await fetchRadioPlaylist(url);
+
+  return {
+    title: first.title || new URL(url).hostname,
+    url: url,
+    duration: 0,          // A radio station never ends
+    thumbnail: '',
+    uploader: '',
+    source: 'radio'
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getRadioStreamUrl(url)
+//
+// What ffmpeg should read to play a radio playlist song: the first stream
+// link in the playlist, read fresh each time, through the relay (see
+// network.js) — the playlist could point anywhere, and so could the stream's
+// redirects.
+// ─────────────────────────────────────────────────────────────────────────────
+async function getRadioStreamUrl(url) {
+  const [first] = await fetchRadioPlaylist(url);
+  return relayUrl(first.url);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveWebAudio(url)
+//
+// Builds a song object for any other web link — but only if it really is
+// audio. We open the link and look at the Content-Type header the server
+// sends back (without downloading the body):
+//   audio/... or application/ogg  → audio — play it
+//   a radio playlist type         → read it like a .m3u/.pls link
+//   anything else (a web page...) → throw: we can't play that
+//
+// Radio servers send "icy-name" (the station's name) and never send a
+// Content-Length (the stream has no end), so those become a duration-0 song
+// named after the station. For anything else ffprobe reads the length and tags.
+//
+// Links to this computer or a private network are refused (see network.js).
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolveWebAudio(url) {
+  // Checked before the request below, so its own error message comes through.
+  await assertPublicUrl(url);
+
+  let response;
+  try {
+    response = await requestPublic(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (err) {
+    throw new Error(`Could not open that link: ${err.message}`);
+  }
+
+  // We only wanted the headers — stop the download (a radio stream would
+  // otherwise go on forever).
+  response.destroy();
+
+  if (response.statusCode !== 200) {
+    throw new Error(`Could not open that link (HTTP ${response.statusCode})`);
+  }
+
+  // "audio/mpeg; charset=..." → "audio/mpeg"
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (PLAYLIST_TYPES.includes(contentType)) {
+    return resolveRadioPlaylist(url);
+  }
+
+  if (!contentType.startsWith('audio/') && contentType !== 'application/ogg') {
+    throw new Error('That link isn\'t audio or a site the bot knows — try a YouTube, SoundCloud or Bandcamp link, or a link to an audio file');
+  }
+
+  const stationName = response.headers['icy-name'];
+  const isLiveStream = Boolean(stationName) || response.headers['content-length'] === undefined;
+
+  if (isLiveStream) {
+    return {
+      title: stationName || new URL(url).hostname,
+      url: url,
+      duration: 0,
+      thumbnail: '',
+      uploader: ''
+    };
+  }
+
+  // A normal audio file that just doesn't have a file extension in its link.
+  const info = await probeAudio(url);
+  const title = info.title || decodeURIComponent(new URL(url).pathname.split('/').pop()) || new URL(url).hostname;
+
+  return {
+    title: info.artist ? `${info.artist} - ${title}` : title,
+    url: url,
+    duration: info.duration || 0,
+    thumbnail: '',
+    uploader: info.artist || ''
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export the web-audio functions
+// ─────────────────────────────────────────────────────────────────────────────
+module.exports = {
+  isWebUrl,               // Check if a string is an http(s) link
+  isRadioPlaylistUrl,     // Check if a link is a .m3u/.pls radio playlist
+  parseRadioPlaylist,     // Read the stream links out of a .m3u/.pls file
+  resolveRadioPlaylist,   // Build a song object for a radio playlist link
+  getRadioStreamUrl,      // What ffmpeg should read to play one
+  resolveWebAudio         // Build a song object for any other audio link
+};
@@ -18,6 +18,9 @@
 // It lets us call yt-dlp from JavaScript as if it were a function.
 const ytdlp = require('yt-dlp-exec');
 
+// Import the playlist import settings (how many songs one link can add).
+const { PLAYLIST } = require('../../shared/config');
+
 // ─────────────────────────────────────────────────────────────────────────────
 // isYouTubeUrl(str)
 //
@@ -37,6 +40,26 @@ function isYouTubeUrl(str) {
   // .test(str) runs the regex pattern against str, returning true or false.
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// isPlaylistUrl(str)
+//
+// Checks whether a YouTube URL points at a playlist or a mix rather than a
+// single video. Both have a "list=" parameter in the URL:
+//   https://www.youtube.com/playlist?list=PL123...          → playlist
+//   https://www.youtube.com/watch?v=abc123&list=PL123...    → video inside a playlist
+//   https://www.youtube.com/watch?v=abc123&list=RDabc123    → YouTube mix ("RD" = radio)
+//
+// Examples:
+//   isPlaylistUrl("https://youtube.com/playlist?list=PL123") → true
+//   isPlaylistUrl("https://youtube.com/watch?v=abc123")      → false
+// ─────────────────────────────────────────────────────────────────────────────
+function isPlaylistUrl(str) {
+  if (!isYouTubeUrl(str)) return false;
+
+  // [?&] = the "list" parameter can come first (?list=) or later (&list=).
+  return /[?&]list=[\w-]+/.test(str);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // searchAndResolve(query)
 //
@@ -104,19 +127,15 @@ async function searchYouTube(query) {
   const videoUrl = entry.url || `https://www.youtube.com/watch?v=${entry.id}`;
 
   // Get the best thumbnail URL.
-  // 'thumbnails' is an array of thumbnail images at different resolutions.
-  // We want the last one, which is usually the highest quality.
-  // If 'thumbnails' doesn't exist or is empty, fall back to 'thumbnail' (single URL).
-  const thumbnail = (Array.isArray(entry.thumbnails) && entry.thumbnails.length > 0)
-    ? entry.thumbnails[entry.thumbnails.length - 1].url  // Last = highest quality
-    : (entry.thumbnail || '');  // Fallback to single thumbnail field
+  const thumbnail = pickThumbnail(entry);
 
   // Return a clean, consistent song object.
   return {
     title: entry.title || 'Unknown Title',         // Song display name
     url: videoUrl,                                  // Full YouTube URL
     duration: entry.duration || 0,                 // Length in seconds (0 if unknown)
-    thumbnail: thumbnail                            // Thumbnail image URL
+    thumbnail: thumbnail,                           // Thumbnail image URL
+    uploader: entry.uploader || entry.channel || '' // Channel name (used by autoplay)
   };
 }
 
@@ -125,6 +144,9 @@ async function searchYouTube(query) {
 //
 // Fetches full metadata for a specific YouTube URL.
 // Used when the user pastes a YouTube link directly instead of searching.
+//
+// yt-dlp knows far more sites than YouTube, so sources.js uses this for
+// SoundCloud and Bandcamp links too — the JSON it prints looks the same.
 // ─────────────────────────────────────────────────────────────────────────────
 async function resolveUrl(url) {
   // Call yt-dlp on the specific URL with these options:
@@ -143,77 +165,234 @@ async function resolveUrl(url) {
 
   if (!info || !info.title) {
     // yt-dlp returned something we can't use.
-    throw new Error(`Could not get video info for URL: ${url}`);
+    throw new Error(`Could not get info for URL: ${url}`);
   }
 
-  // Get the best thumbnail URL (same logic as searchYouTube above).
-  const thumbnail = (Array.isArray(info.thumbnails) && info.thumbnails.length > 0)
-    ? info.thumbnails[info.thumbnails.length - 1].url
-    : (info.thumbnail || '');
+  // Get the best thumbnail URL.
+  const thumbnail = pickThumbnail(info);
 
   return {
     title: info.title || 'Unknown Title',
     url: url,          // Use the original URL (yt-dlp's 'url' field is a stream URL, not the page)
     duration: info.duration || 0,
-    thumbnail: thumbnail
+    thumbnail: thumbnail,
+    uploader: info.uploader || info.channel || ''
   };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// getAudioStream(url)
-//
-// Creates a live audio stream from a YouTube URL using yt-dlp as a subprocess.
-// Returns a Node.js readable stream of raw audio data.
-//
-// This is what actually plays music — it pipes yt-dlp's output directly into
-// Discord's audio player without downloading the file to disk.
-//
-// Why stream instead of download?
-//   Streaming is instant (music starts immediately) and saves disk space.
-//   Downloading would make the user wait and fill up your drive.
-// ─────────────────────────────────────────────────────────────────────────────
-function getAudioStream(url) {
-  // child_process is a built-in Node.js module for running other programs.
-  const { spawn } = require('child_process');
-
-  // spawn() starts the 'yt-dlp' program as a child process with these arguments:
-  //   url                     → the YouTube video to stream
-  //   -f bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio
-  //                           → pick the best audio-only format
-  //                             (prefer m4a, then webm, then whatever's best)
-  //   -o -                    → output (-o) to stdout (-) instead of a file
-  const ytdlpProcess = spawn('yt-dlp', [
-    url,
-    '-f', 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio',
-    '-o', '-'  // "-" as the output file means "write to stdout (the terminal/pipe)"
-  ], {
-    // stdio config: what to do with standard input, output, and error
-    //   'ignore'  → don't connect stdin (we don't send yt-dlp any input)
-    //   'pipe'    → connect stdout as a Node.js stream we can read from
-    //   'pipe'    → connect stderr as a Node.js stream (for error messages)
-    stdio: ['ignore', 'pipe', 'pipe']
+// resolvePlaylist(url, limit)
+//
+// Lists the videos in a YouTube playlist or mix and turns each one into a song.
+// Used when someone pastes a playlist link into /play.
+//
+// This uses a "flat" listing — yt-dlp reads just the playlist page instead of
+// opening every single video, so even a 100-song playlist takes a few seconds.
+//
+// Parameters:
+//   url   — the playlist or mix URL
+//   limit — the most songs to take (mixes are practically endless)
+//
+// Returns: { title, songs, truncated }
+//   title     — the playlist's name (e.g. "Friday Night Bangers")
+//   songs     — array of song objects { title, url, duration, thumbnail }
+//   truncated — true if the playlist had more songs than the limit
+// ─────────────────────────────────────────────────────────────────────────────
+async function resolvePlaylist(url, limit = PLAYLIST.MAX_SONGS) {
+  // Ask for one more than the limit, so we can tell if anything was cut off.
+  const info = await ytdlp(url, {
+    dumpSingleJson: true,
+    flatPlaylist: true,       // Just list the entries, don't open each video
+    yesPlaylist: true,        // A watch?v=...&list=... link means the whole list
+    playlistEnd: limit + 1,   // Stop listing after this many entries
+    extractorRetries: 1,
+    socketTimeout: 10,
+    noWarnings: true,
+    noCallHome: true
   });
 
-  // Log any errors yt-dlp prints to stderr (for debugging).
-  // yt-dlp often prints warnings here that we can safely ignore.
-  ytdlpProcess.stderr.on('data', (data) => {
-    // Only log if it looks like an actual error, not an info message.
-    const msg = data.toString();
-    if (msg.toLowerCase().includes('error')) {
-      console.error('[YOUTUBE] yt-dlp stderr:', msg.trim());
+  if (!info || !Array.isArray(info.entries)) {
+    throw new Error(`Could not read playlist: ${url}`);
+  }
+
+  const songs = info.entries
+    // Private and deleted videos still show up in playlists, but can't be played.
+    .filter(entry => entry && entry.id && !/^\[(private|deleted) video\]$/i.test(entry.title || ''))
+    .map(entry => ({
+      title: entry.title || 'Unknown Title',
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      duration: entry.duration || 0,
+      thumbnail: pickThumbnail(entry),
+      uploader: entry.uploader || entry.channel || ''
+    }));
+
+  if (songs.length === 0) {
+    throw new Error('That playlist has no playable videos');
+  }
+
+  return {
+    title: info.title || 'Playlist',
+    songs: songs.slice(0, limit),
+    truncated: songs.length > limit
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getVideoId(url)
+//
+// Pulls the 11-character video ID out of a YouTube URL. Returns null if the
+// URL isn't a YouTube video link.
+//
+// Examples:
+//   getVideoId("https://www.youtube.com/watch?v=dQw4w9WgXcQ") → "dQw4w9WgXcQ"
+//   getVideoId("https://youtu.be/dQw4w9WgXcQ")                → "dQw4w9WgXcQ"
+// ─────────────────────────────────────────────────────────────────────────────
+function getVideoId(url) {
+  if (!isYouTubeUrl(url || '')) return null;
+
+  // Either "?v=ID" / "&v=ID" (youtube.com) or "youtu.be/ID".
+  // The ( ) part of the regex "captures" the ID so we can read it from match[1].
+  const match = url.match(/(?:[?&]v=|youtu\.be\/)([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// findRelated(song, avoidUrls)
+//
+// Picks a song that would make a good follow-up to `song` — used by autoplay
+// when the queue runs dry.
+//
+// Two ways of finding one, tried in order:
+//   1. YouTube's own "mix" for the song (the endless radio playlist YouTube
+//      builds from a video — its list ID is "RD" + the video ID).
+//   2. A search built from the uploader and title, e.g. "Rick Astley Never
+//      Gonna Give You Up" — works for songs that have no mix.
+//
+// Parameters:
+//   song      — the song to find something related to { title, url, uploader }
+//   avoidUrls — a Set of video URLs not to pick (recently played songs)
+//   isAllowed — (optional) a function that says no to songs that mustn't be
+//               picked (autoplay passes the server's song rules)
+//
+// Returns a song object, or null if nothing new turned up.
+// ─────────────────────────────────────────────────────────────────────────────
+async function findRelated(song, avoidUrls = new Set(), isAllowed = () => true) {
+  // Compare by video ID, so "youtu.be/x" and "youtube.com/watch?v=x" match.
+  const avoidIds = new Set([...avoidUrls].map(getVideoId).filter(Boolean));
+  const seedId = getVideoId(song.url);
+  if (seedId) avoidIds.add(seedId);
+
+  const isNew = candidate => !avoidIds.has(getVideoId(candidate.url)) && isAllowed(candidate);
+
+  // ── 1. The song's YouTube mix ────────────────────────────────────────────
+  if (seedId) {
+    try {
+      const mix = await resolvePlaylist(
+        `https://www.youtube.com/watch?v=${seedId}&list=RD${seedId}`, 25
+      );
+      const pick = mix.songs.find(isNew);
+      if (pick) return pick;
+    } catch (err) {
+      // Not every video has a mix — fall through to the search.
+      console.log(`[YOUTUBE] No mix for "${song.title}": ${err.message}`);
     }
+  }
+
+  // ── 2. Search by uploader + title ────────────────────────────────────────
+  const candidates = await searchResults(`${song.uploader || ''} ${song.title}`.trim(), 10);
+  return candidates.find(isNew) || null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// searchResults(query, limit)
+//
+// Searches YouTube and returns the top `limit` results as song objects, best
+// match first. Unlike searchYouTube() this doesn't just take the first hit —
+// /search shows them all so people can pick the right one themselves.
+//
+// Returns: [ { title, url, duration, thumbnail, uploader }, ... ]
+//   (an empty array if nothing was found)
+// ─────────────────────────────────────────────────────────────────────────────
+async function searchResults(query, limit = 10) {
+  // "ytsearch10:" = search YouTube and list the top 10 results.
+  const results = await ytdlp(`ytsearch${limit}:${query}`, {
+    dumpSingleJson: true,
+    flatPlaylist: true,   // Just list the results, don't open each video
+    noWarnings: true,
+    noCallHome: true
   });
 
-  // Return the stdout stream — this is the actual audio data.
-  // The Discord audio player will read bytes from this stream to produce sound.
-  return ytdlpProcess.stdout;
+  return ((results && results.entries) || [])
+    .filter(entry => entry && entry.id)
+    .map(entry => ({
+      title: entry.title || 'Unknown Title',
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      duration: entry.duration || 0,
+      thumbnail: pickThumbnail(entry),
+      uploader: entry.uploader || entry.channel || ''
+    }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// pickThumbnail(info)
+//
+// Picks the best thumbnail URL out of yt-dlp's metadata for a video.
+// 'thumbnails' is an array of thumbnail images at different resolutions.
+// We want the last one, which is usually the highest quality.
+// If 'thumbnails' doesn't exist or is empty, fall back to 'thumbnail' (single URL).
+// ─────────────────────────────────────────────────────────────────────────────
+function pickThumbnail(info) {
+  return (Array.isArray(info.thumbnails) && info.thumbnails.length > 0)
+    ? info.thumbnails[info.thumbnails.length - 1].url  // Last = highest quality
+    : (info.thumbnail || '');  // Fallback to single thumbnail field
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getDirectAudioUrl(url)
+//
+// Asks yt-dlp for the direct link to a video's (or SoundCloud/Bandcamp
+// track's) audio. This is the slow part of starting a song (a few seconds).
+// The link stays valid for a few hours.
+//
+// sources.js calls this when a song from one of those sites starts; ffmpeg
+// then reads the audio from the link.
+// ─────────────────────────────────────────────────────────────────────────────
+async function getDirectAudioUrl(url) {
+  // Only ever a web link — anything starting with "-" would be read by yt-dlp
+  // as one of its own options.
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error(`Not a web link: ${url}`);
+  }
+
+  // Ask yt-dlp for the direct audio URL (getUrl = print the link, don't download).
+  //   format: prefer m4a, then webm, then whatever audio is best
+  const output = await ytdlp(url, {
+    getUrl: true,
+    format: 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio',
+    noPlaylist: true,
+    noWarnings: true,
+    noCallHome: true
+  });
+
+  // yt-dlp prints one link per line — we only asked for one format.
+  const streamUrl = String(output).trim().split('\n')[0];
+  if (!/^https?:\/\//.test(streamUrl)) {
+    throw new Error(`yt-dlp did not return an audio link for: ${url}`);
+  }
+  return streamUrl;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Export functions for use by the music service and bot
 // ─────────────────────────────────────────────────────────────────────────────
 module.exports = {
-  searchAndResolve, // Search YouTube or resolve a URL → returns song metadata
-  getAudioStream,   // Get a live audio byte stream from a YouTube URL
-  isYouTubeUrl      // Check if a string is a YouTube URL
+  searchAndResolve,  // Search YouTube or resolve a URL → returns song metadata
+  resolveUrl,        // Get song metadata for any link yt-dlp understands
+  resolvePlaylist,   // List a playlist or mix → returns an array of songs
+  searchResults,     // Search YouTube → returns the top few results
+  findRelated,       // Find a follow-up song for autoplay
+  getDirectAudioUrl, // Ask yt-dlp for the direct link to a song's audio
+  isYouTubeUrl,      // Check if a string is a YouTube URL
+  isPlaylistUrl,     // Check if a YouTube URL is a playlist or mix
+  getVideoId         // Pull the video ID out of a YouTube URL
 };
@@ -0,0 +1,83 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// shared/auth.js — Checking who's calling an HTTP route
+//
+// The music and AI services listen on ports that anything on the network
+// might be able to reach. Every route except /health only answers callers
+// that know a shared secret — the INTERNAL_API_SECRET from .env, which the
+// bot sends with every request in an "X-Internal-Secret" header.
+//
+// With no INTERNAL_API_SECRET set, the routes stay open (as they always
+// were) and each service prints a warning when it starts.
+//
+// This file is used by all three processes:
+//   the services  — requireInternalSecret() guards their routes
+//   the bot       — internalHeaders() adds the secret to its requests
+// ─────────────────────────────────────────────────────────────────────────────
+
+// crypto is built into Node.js — used to compare secrets safely.
+const crypto = require('crypto');
+
+const { API } = require('./config');
+
+// The header the shared secret travels in.
+const SECRET_HEADER = 'X-Internal-Secret';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// safeEqual(given, expected)
+//
+// True if two strings are the same. A normal === stops at the first
+// character that differs, so by timing lots of guesses someone could work
+// out a secret one character at a time. timingSafeEqual() always takes the
+// same time. (Hashing both first makes them the same length, which it needs.)
+// ─────────────────────────────────────────────────────────────────────────────
+function safeEqual(given, expected) {
+  const hash = text => crypto.createHash('sha256').update(String(text)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// internalHeaders()
+//
+// The headers the bot adds to its requests to the services, e.g.
+//   fetch(url, { headers: { 'Content-Type': 'application/json', ...internalHeaders() } })
+// Empty when no secret is set.
+// ─────────────────────────────────────────────────────────────────────────────
+function internalHeaders() {
+  return API.INTERNAL_SECRET ? { [SECRET_HEADER]: API.INTERNAL_SECRET } : {};
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// requireInternalSecret(req, res, next)
+//
+// Express middleware for the services' internal routes. Each service puts it
+// in front of everything except /health:
+//   app.use(requireInternalSecret);
+// Answers 401 (and the route never runs) if the caller sent the wrong secret.
+// ─────────────────────────────────────────────────────────────────────────────
+function requireInternalSecret(req, res, next) {
+  if (!API.INTERNAL_SECRET) return next();
+
+  if (!safeEqual(req.get(SECRET_HEADER) || '', API.INTERNAL_SECRET)) {
+    console.warn(`[AUTH] Refused ${req.method} ${req.path} from ${req.ip} — wrong or missing internal secret`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// warnIfNoInternalSecret(serviceName)
+//
+// Call once when a service starts: reminds whoever runs it that its internal
+// routes are open to anyone while no secret is set.
+// ─────────────────────────────────────────────────────────────────────────────
+function warnIfNoInternalSecret(serviceName) {
+  if (API.INTERNAL_SECRET) return;
+  console.warn(`[${serviceName}] ⚠️ INTERNAL_API_SECRET isn't set — anything that can reach this port can use it. Set it in .env.`);
+}
+
+module.exports = {
+  safeEqual,               // Compare a secret without leaking it through timing
+  internalHeaders,         // Headers that prove a request comes from the bot
+  requireInternalSecret,   // Middleware: only let the bot in
+  warnIfNoInternalSecret   // Startup warning when no secret is set
+};
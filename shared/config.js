@@ -12,6 +12,9 @@
 // This MUST be the first thing that runs so environment variables are ready.
 require('dotenv').config();
 
+// path helps build file paths that work on all operating systems.
+const path = require('path');
+
 // ── Service Network Settings ──────────────────────────────────────────────────
 // These are the ports the music and AI services listen on.
 // The bot process calls these services over HTTP to ask for help.
@@ -32,6 +35,130 @@ const MUSIC_SERVICE_URL = `http://localhost:${MUSIC_SERVICE_PORT}`;
 const AI_SERVICE_URL = `http://localhost:${AI_SERVICE_PORT}`;
 // Produces something like: "http://localhost:3002"
 
+// ── API Security Settings ─────────────────────────────────────────────────────
+// Secrets that keep strangers out of the bot's HTTP routes (see shared/auth.js).
+// Make each one a long random string, e.g. the output of:
+//   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+const API = {
+  // Shared by the bot and both services. Every service route except
+  // /health refuses requests without it.
+  // Leave unset to keep them open (not recommended).
+  INTERNAL_SECRET: process.env.INTERNAL_API_SECRET || '',
+
+  // The token for the external control API (see bot/web/control.js), used by
+  // things like a Stream Deck or home automation. Leave unset to turn the
+  // control API off.
+  CONTROL_TOKEN: process.env.CONTROL_API_TOKEN || ''
+};
+
+// ── Music Service Storage Settings ────────────────────────────────────────────
+// The music service saves queues to disk so they survive restarts.
+const MUSIC_STORAGE = {
+  // The folder where the music service keeps its data files.
+  // Defaults to a "data" folder in the project root.
+  DATA_DIR: process.env.MUSIC_DATA_DIR || path.join(__dirname, '..', 'data'),
+
+  // How many lines the journal file can grow to before it gets compacted
+  // (rewritten with just the latest value of everything).
+  COMPACT_AFTER: 500
+};
+
+// ── Playlist Import Settings ──────────────────────────────────────────────────
+const PLAYLIST = {
+  // The most songs one pasted playlist (or mix) link can add to the queue.
+  // Mixes are practically endless, so there always needs to be a cap.
+  MAX_SONGS: parseInt(process.env.PLAYLIST_MAX_SONGS || '100', 10)
+};
+
+// ── Search Settings ───────────────────────────────────────────────────────────
+const SEARCH = {
+  // How many results /search shows to pick from (a select menu holds at most 25).
+  RESULTS: 10
+};
+
+// ── Play History Settings ─────────────────────────────────────────────────────
+const HISTORY = {
+  // How many played songs to remember per server for /history.
+  MAX_ENTRIES: 200
+};
+
+// ── Autoplay Settings ─────────────────────────────────────────────────────────
+const AUTOPLAY = {
+  // Autoplay won't pick any of this many most recently played songs,
+  // so radio mode doesn't bounce between the same two tracks.
+  AVOID_RECENT: 50
+};
+
+// ── Local Music Library Settings ──────────────────────────────────────────────
+const LIBRARY = {
+  // A folder of music files (mp3/ogg/flac/wav) that /library can browse.
+  // Subfolders are fine. Leave MUSIC_LIBRARY_DIR unset to turn /library off.
+  DIR: process.env.MUSIC_LIBRARY_DIR || null,
+
+  // How many tracks /library shows per page (a select menu holds at most 25).
+  PAGE_SIZE: 15,
+
+  // How long a library scan is reused, in seconds, before the folder is
+  // looked through again (so paging through /library doesn't rescan it).
+  RESCAN_SECONDS: 60
+};
+
+// ── Prefetch Settings ─────────────────────────────────────────────────────────
+const PREFETCH = {
+  // How many seconds before the current song ends to start streaming the next
+  // one (so its first seconds are ready the moment it's needed). This is
+  // checked on the Now Playing tick (EMBED.TICK_SECONDS), so keep it above that.
+  LEAD_SECONDS: 20
+};
+
+// ── Resume After Restart Settings ─────────────────────────────────────────────
+// While music plays, the bot saves where it is (see bot/music/checkpoint.js),
+// and carries on from there when it starts up again.
+const RESUME = {
+  // Only resume sessions saved this recently. After a long outage, the bot
+  // suddenly joining a voice channel would be more surprising than useful.
+  MAX_AGE_MINUTES: 30,
+
+  // While a song just plays on, save its checkpoint at most this often.
+  // Song changes, pauses and seeks are saved straight away regardless.
+  CHECKPOINT_SECONDS: 60
+};
+
+// ── Music Event Stream Settings ───────────────────────────────────────────────
+// The music service streams queue and settings changes to the bot over
+// GET /events (see services/music/events.js).
+const EVENTS = {
+  // How often the music service sends an empty "still here" message, so the
+  // bot can tell a quiet connection from a dead one.
+  HEARTBEAT_SECONDS: 15,
+
+  // The bot gives up on a connection that's been silent this long, and
+  // reconnects (a few missed heartbeats).
+  TIMEOUT_SECONDS: 45,
+
+  // After a lost connection the bot waits 1s, 2s, 4s... before trying again,
+  // but never longer than this.
+  RECONNECT_MAX_SECONDS: 30
+};
+
+// ── Web Dashboard Settings ────────────────────────────────────────────────────
+// The bot serves a small website showing what's playing, with controls.
+// People open it with a link from /dashboard (see bot/web/).
+const DASHBOARD = {
+  // The port the dashboard's web server listens on.
+  PORT: parseInt(process.env.DASHBOARD_PORT || '3003', 10),
+
+  // The address people open in their browser. Change this if the bot runs
+  // on another computer, or behind a domain name.
+  URL: process.env.DASHBOARD_URL || `http://localhost:${process.env.DASHBOARD_PORT || '3003'}`,
+
+  // How long a /dashboard link keeps working, in hours.
+  TOKEN_TTL_HOURS: 12,
+
+  // How often the page asks for the latest state, in seconds.
+  POLL_SECONDS: 3
+};
+
 // ── DJ Feature Settings ───────────────────────────────────────────────────────
 const DJ = {
   // Whether the DJ intro feature is on by default when the bot starts.
@@ -52,7 +179,12 @@ const EMBED = {
   SHOW_SONG_LENGTH: true,
 
   // Whether to show the animated progress bar while a song is playing.
-  SHOW_PROGRESS_BAR: true
+  SHOW_PROGRESS_BAR: true,
+
+  // How often the embed is redrawn while a song plays, just to move the
+  // progress bar along. Queue and settings changes redraw it straight away
+  // (they arrive over the music event stream), so this can be slow.
+  TICK_SECONDS: 15
 };
 
 // ── Ollama (Local LLM) Settings ───────────────────────────────────────────────
@@ -103,6 +235,17 @@ module.exports = {
   AI_SERVICE_PORT,    // The port number for the AI service
   MUSIC_SERVICE_URL,  // The full URL to call the music service
   AI_SERVICE_URL,     // The full URL to call the AI service
+  API,                // Secrets for the internal and control APIs
+  MUSIC_STORAGE,      // Where the music service saves its data
+  PLAYLIST,           // Playlist import settings
+  SEARCH,             // /search settings
+  HISTORY,            // Play history settings
+  AUTOPLAY,           // Autoplay (radio mode) settings
+  LIBRARY,            // Local music library settings
+  PREFETCH,           // Next-song prefetch settings
+  RESUME,             // Resume-after-restart settings
+  EVENTS,             // Music event stream settings
+  DASHBOARD,          // Web dashboard settings
   DJ,                 // DJ feature settings
   EMBED,              // Now Playing embed display settings
   OLLAMA,             // Local LLM (Ollama) settings